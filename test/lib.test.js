@@ -0,0 +1,673 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+const lib = require("../weatherwidget_lib");
+const { loadModule, plain, fixture, DOCS } = require("./scriptable");
+
+test("g reads nested paths with a fallback", () => {
+  const obj = { a: { b: { c: 0 } }, n: null };
+  assert.equal(lib.g(obj, "a.b.c"), 0);
+  assert.equal(lib.g(obj, "a.x.c", "—"), "—");
+  assert.equal(lib.g(obj, "n", 5), 5);
+  assert.equal(lib.g(null, "a"), null);
+});
+
+test("parseWidgetParameter overrides defaults and disables GPS for fixed coords", () => {
+  const defaults = { useCurrentLocation: true, lat: 1, lon: 2, language: "pl", unitsSystem: "METRIC", days: 6, cacheMin: 5, refreshMin: 10 };
+  const cfg = lib.parseWidgetParameter("lat=52.23;lon=21,01;name=Warsaw;units=imperial;lang=en;days=4", defaults, { days: [1, 10] });
+  assert.equal(cfg.useCurrentLocation, false);
+  assert.equal(cfg.lat, 52.23);
+  assert.equal(cfg.lon, 21.01);
+  assert.equal(cfg.name, "Warsaw");
+  assert.equal(cfg.unitsSystem, "IMPERIAL");
+  assert.equal(cfg.language, "en");
+  assert.equal(cfg.days, 4);
+  assert.equal(cfg.cacheMin, 5);
+  assert.ok(cfg.cacheKey);
+
+  const plain = lib.parseWidgetParameter("", defaults);
+  assert.equal(plain.cacheKey, "");
+  assert.equal(plain.useCurrentLocation, true);
+});
+
+test("parseWidgetParameter reports every invalid key at once", () => {
+  assert.throws(
+    () => lib.parseWidgetParameter("lat=abc;units=SI;foo=1;days=99", {}, { days: [1, 10] }),
+    err => /lat must be a number/.test(err.message)
+      && /units must be METRIC or IMPERIAL/.test(err.message)
+      && /unknown key "foo"/.test(err.message)
+      && /days must be a number between 1 and 10/.test(err.message)
+      && /lat and lon must be given together/.test(err.message)
+  );
+});
+
+test("cache keys differ per parameter set but not per key order", () => {
+  const a = lib.parseWidgetParameter("lat=1;lon=2", {});
+  const b = lib.parseWidgetParameter("lon=2; lat=1", {});
+  const c = lib.parseWidgetParameter("lat=1;lon=3", {});
+  assert.equal(lib.hashString(a.cacheKey), lib.hashString(b.cacheKey));
+  assert.notEqual(lib.hashString(a.cacheKey), lib.hashString(c.cacheKey));
+});
+
+test("temperature and wind formatting", () => {
+  assert.equal(lib.fmtTemp({ degrees: 13.7, unit: "CELSIUS" }), "14°C");
+  assert.equal(lib.fmtTemp({ degrees: 56.2, unit: "FAHRENHEIT" }), "13°C");
+  assert.equal(lib.fmtTemp(null), "—");
+  assert.equal(lib.fmtTempCompact({ degrees: -0.6, unit: "CELSIUS" }), "-1°");
+  assert.equal(lib.parseTempC({ degrees: 50, unit: "FAHRENHEIT" }), 10);
+  assert.equal(lib.parseTempC({ degrees: 9.6, unit: "CELSIUS" }), 9.6);
+  assert.equal(lib.fmtWind({ direction: { degrees: 335 }, speed: { value: 8, unit: "KILOMETERS_PER_HOUR" } }), "8 km/h NNW");
+  assert.equal(lib.fmtWind({ speed: { value: 5, unit: "MILES_PER_HOUR" } }), "8 km/h");
+  assert.equal(lib.degToDir(359), "N");
+  assert.equal(lib.degToDir(null), "");
+});
+
+test("unit preferences are independent and converted on the client", () => {
+  const cfg = lib.parseWidgetParameter("units=imperial;wind=bft;pressure=mmhg", { unitsSystem: "METRIC", units: { temp: null, precip: "MM" } });
+  assert.deepEqual(plain(cfg.units), { temp: "F", wind: "BFT", precip: "MM", pressure: "MMHG" });
+  assert.deepEqual(plain(lib.parseWidgetParameter("", { unitsSystem: "METRIC" }).units), { temp: "C", wind: "KMH", precip: "MM", pressure: "HPA" });
+  assert.throws(() => lib.parseWidgetParameter("wind=furlongs", {}), /wind must be one of KMH, MS, MPH, KN, BFT/);
+
+  const { lib: l } = loadModule("weatherwidget_lib");
+  const kmh = v => ({ value: v, unit: "KILOMETERS_PER_HOUR" });
+  l.setUnits({ temp: "F", wind: "MS", precip: "IN", pressure: "INHG" });
+  assert.equal(l.fmtTemp({ degrees: 13.7, unit: "CELSIUS" }), "57°F");
+  assert.equal(l.fmtTempCompact({ degrees: 56.2, unit: "FAHRENHEIT" }), "56°");
+  assert.equal(l.fmtSpeed(kmh(18)), "5.0 m/s");
+  assert.equal(l.fmtPrecipAmount({ quantity: 5.08, unit: "MILLIMETERS" }), "0.20 in");
+  assert.equal(l.fmtPressure(1013.25), "29.92 inHg");
+
+  l.setUnits({ wind: "KN", precip: "MM", pressure: "MMHG" });
+  assert.equal(l.fmtTemp({ degrees: 56.2, unit: "FAHRENHEIT" }), "13°C");
+  assert.equal(l.fmtSpeed({ value: 10, unit: "MILES_PER_HOUR" }), "9 kn");
+  assert.equal(l.fmtPrecipAmount({ quantity: 0.2, unit: "INCHES" }), "5.1 mm");
+  assert.equal(l.fmtPressure(1013.25), "760 mmHg");
+
+  l.setUnits({ wind: "BFT", pressure: "HPA" });
+  assert.deepEqual([0, 5, 20, 40, 75, 118, 200].map(v => l.fmtSpeed(kmh(v))), ["0 Bft", "1 Bft", "4 Bft", "6 Bft", "9 Bft", "12 Bft", "12 Bft"]);
+  assert.equal(l.fmtPressure(1016.4), "1016 hPa");
+
+  l.setLanguage("de");
+  l.setUnits({ wind: "MS", pressure: "INHG" });
+  assert.equal(l.fmtSpeed(kmh(18)), "5,0 m/s");
+  assert.equal(l.fmtPressure(1013.25), "29,92 inHg");
+});
+
+test("pickSymbol uses the condition type regardless of language", () => {
+  const polish = { type: "RAIN", description: { text: "Deszcz", languageCode: "pl" } };
+  assert.equal(lib.pickSymbol(polish, true), "cloud.rain.fill");
+  assert.equal(lib.pickSymbol({ type: "CLEAR" }, false), "moon.stars.fill");
+  assert.equal(lib.pickSymbol({ description: { text: "Light snow" } }, true), "cloud.snow.fill");
+});
+
+test("every condition type has its own day and night symbol", () => {
+  const { lib: l, state } = loadModule("weatherwidget_lib");
+  const sym = (type, day = true) => l.pickSymbol({ type, description: { text: "Pochmurno" } }, day);
+  assert.equal(sym("PARTLY_CLOUDY"), "cloud.sun.fill");
+  assert.notEqual(sym("MOSTLY_CLOUDY"), sym("CLOUDY"));
+  assert.notEqual(sym("LIGHT_RAIN"), sym("HEAVY_RAIN"));
+  assert.notEqual(sym("RAIN_SHOWERS"), sym("SCATTERED_SHOWERS"));
+  assert.deepEqual([sym("SCATTERED_THUNDERSTORMS"), sym("SCATTERED_THUNDERSTORMS", false)], ["cloud.sun.bolt.fill", "cloud.moon.bolt.fill"]);
+  assert.equal(sym("HAIL_SHOWERS"), "cloud.hail.fill");
+  assert.equal(sym("WINDY"), "wind");
+  assert.equal(sym("BLOWING_SNOW"), "wind.snow");
+  assert.equal(Object.keys(l.CONDITION_SYMBOLS).length, 40);
+  assert.ok(Object.values(l.CONDITION_SYMBOLS).every(s => s.length === 2));
+
+  assert.equal(sym("VOLCANIC_ASH", false), "moon.stars.fill");
+  sym("VOLCANIC_ASH");
+  sym("TYPE_UNSPECIFIED");
+  assert.deepEqual(state.logs.map(x => x.text), ['Unknown weather condition type "VOLCANIC_ASH" (Pochmurno)']);
+});
+
+test("cache is per parameter set and keeps its timestamp", () => {
+  const { lib: l, state } = loadModule("weatherwidget_lib", { now: "2026-10-19T12:00:00Z" });
+  const cfg = { cacheMin: 5, cacheKey: "" };
+  const other = { cacheMin: 5, cacheKey: "lat=1;lon=2" };
+  l.writeCache(cfg, "test_cache", { v: 1 });
+  assert.deepEqual(plain(l.readCache(cfg, "test_cache")), { data: { v: 1 }, timestamp: Date.parse("2026-10-19T12:00:00Z"), ageMin: 0 });
+  assert.equal(l.readCache(other, "test_cache"), null);
+  assert.ok(Object.keys(state.files).some(p => p.endsWith("/test_cache.json")));
+});
+
+test("cachedFetch: fresh skips the network, stale refetches and falls back", async () => {
+  const now = Date.parse("2026-10-19T12:00:00Z");
+  const { lib: l, state } = loadModule("weatherwidget_lib", { now });
+  const cfg = { cacheMin: 10, maxStaleMin: 60, cacheKey: "" };
+  const path = l.cachePathFor(cfg, "c");
+  const seed = ageMin => { state.files[path] = JSON.stringify({ timestamp: now - ageMin * 60000, data: { v: "cached" } }); };
+  let calls = 0;
+  const ok = async () => { calls++; return { v: "fresh" }; };
+  const fail = async () => { calls++; throw new Error("offline"); };
+
+  seed(5);
+  let r = await l.cachedFetch(cfg, "c", ok);
+  assert.deepEqual([r.data.v, r.fromCache, r.stale, calls], ["cached", true, false, 0]);
+
+  seed(5);
+  r = await l.cachedFetch(cfg, "c", ok, () => false);
+  assert.deepEqual([r.data.v, r.fromCache, calls], ["fresh", false, 1]);
+
+  seed(30);
+  r = await l.cachedFetch(cfg, "c", ok);
+  assert.deepEqual([r.data.v, r.fromCache, r.timestamp], ["fresh", false, now]);
+  assert.equal(JSON.parse(state.files[path]).data.v, "fresh");
+
+  seed(30);
+  r = await l.cachedFetch(cfg, "c", fail);
+  assert.deepEqual([r.data.v, r.stale, r.timestamp], ["cached", true, now - 30 * 60000]);
+  assert.equal(JSON.parse(state.files[path]).timestamp, now - 30 * 60000);
+
+  seed(90);
+  await assert.rejects(l.cachedFetch(cfg, "c", fail), /offline/);
+});
+
+test("fmtUpdated measures from the data timestamp", () => {
+  const now = Date.parse("2026-10-19T12:00:00Z");
+  const { lib: l } = loadModule("weatherwidget_lib", { now });
+  assert.equal(l.fmtUpdated(now - 20 * 1000), "Updated just now");
+  assert.equal(l.fmtUpdated(now - 5 * 60000), "Updated 5m ago");
+  assert.equal(l.fmtUpdated(now - 125 * 60000), "Updated 2h ago");
+  assert.equal(l.fmtUpdated(now - 3 * 1440 * 60000), "Updated 3d ago");
+});
+
+test("quota counter is shared per month and stretches intervals when ahead of budget", async () => {
+  const now = Date.parse("2026-10-19T12:00:00Z");
+  const { lib: l, state } = loadModule("weatherwidget_lib", { now, routes: [{ match: "forecast/days:lookup", body: {} }] });
+  const path = `${DOCS}/google_weather_quota.json`;
+  state.files[path] = JSON.stringify({ month: "2026-09", calls: 9000, endpoints: {} });
+
+  await l.loadJSON("https://weather.googleapis.com/v1/forecast/days:lookup?key=K");
+  assert.deepEqual(plain(JSON.parse(state.files[path])), { month: "2026-10", calls: 1, endpoints: { "forecast/days:lookup": 1 } });
+
+  const cfg = { cacheMin: 10, refreshMin: 30, maxStaleMin: 60, monthlyBudget: 4000 };
+  state.files[path] = JSON.stringify({ month: "2026-10", calls: 1000, endpoints: {} });
+  let q = l.applyQuotaBudget(cfg).quota;
+  assert.deepEqual([q.calls, q.left, q.projected, q.stretch], [1000, 3000, 1676, 1]);
+  assert.equal(l.applyQuotaBudget(cfg).cacheMin, 10);
+
+  state.files[path] = JSON.stringify({ month: "2026-10", calls: 3000, endpoints: {} });
+  const stretched = l.applyQuotaBudget(cfg);
+  assert.equal(stretched.quota.projected, 5027);
+  assert.ok(Math.abs(stretched.cacheMin - 10 * 5027 / 4000) < 1e-9);
+  assert.ok(Math.abs(stretched.refreshMin - 30 * 5027 / 4000) < 1e-9);
+  assert.equal(stretched.maxStaleMin, 60);
+  assert.match(l.fmtQuota(stretched.quota), /3,000 of 4,000 \(1,000 left\)[\s\S]*Projected month-end total: 5,027[\s\S]*×1\.3/);
+
+  state.files[path] = JSON.stringify({ month: "2026-10", calls: 4000, endpoints: {} });
+  q = l.applyQuotaBudget(cfg);
+  assert.deepEqual([q.quota.left, q.quota.stretch, q.cacheMin, q.maxStaleMin], [0, 12, 120, 120]);
+});
+
+test("apiError maps Google error bodies to clear messages", () => {
+  const err = (status, reason, message = "m") => lib.apiError({ error: { code: 400, status, message, details: reason ? [{ reason }] : [] } }, 400);
+  assert.match(lib.apiError(fixture("error_api_key_invalid"), 403).message, /^API key not valid.*\(403 API_KEY_INVALID\)$/);
+  assert.equal(lib.apiError(fixture("error_api_key_invalid"), 403).reason, "API_KEY_INVALID");
+  assert.match(err("PERMISSION_DENIED", "SERVICE_DISABLED").message, /not enabled/);
+  assert.match(err("RESOURCE_EXHAUSTED").message, /quota exhausted/);
+  assert.match(err("INVALID_ARGUMENT", null, "Invalid location.latitude").message, /check the coordinates: Invalid location\.latitude/);
+  assert.match(lib.apiError(null, 502).message, /failed \(502\)/);
+  assert.equal(lib.apiError(fixture("error_unavailable"), 503).retryable, true);
+  assert.equal(err("INVALID_ARGUMENT").retryable, false);
+});
+
+test("loadJSON retries 5xx and timeouts with backoff, not client errors", async () => {
+  const url = "https://weather.googleapis.com/v1/currentConditions:lookup?key=K";
+  const flaky = (failures, route) => {
+    let n = 0;
+    return [{ match: () => n++ < failures, ...route }, { match: "currentConditions", body: { ok: 1 } }];
+  };
+
+  let rt = loadModule("weatherwidget_lib", { now: 0, routes: flaky(2, { status: 503, body: fixture("error_unavailable") }) });
+  assert.deepEqual(plain(await rt.lib.loadJSON(url)), { ok: 1 });
+  assert.equal(rt.state.requests.length, 3);
+  assert.ok(rt.state.timers[0] >= 1000 && rt.state.timers[0] <= 1500);
+  assert.ok(rt.state.timers[1] >= 2000 && rt.state.timers[1] <= 3000);
+
+  rt = loadModule("weatherwidget_lib", { now: 0, routes: flaky(1, { error: "The request timed out." }) });
+  assert.deepEqual(plain(await rt.lib.loadJSON(url)), { ok: 1 });
+  assert.equal(rt.state.requests.length, 2);
+
+  rt = loadModule("weatherwidget_lib", { now: 0, routes: flaky(5, { status: 503, body: fixture("error_unavailable") }) });
+  await assert.rejects(rt.lib.loadJSON(url), /unavailable.*\(503 UNAVAILABLE\)/);
+  assert.equal(rt.state.requests.length, 3);
+  assert.ok(rt.state.requests.every(r => r.timeout <= 12));
+
+  for (const route of [{ status: 403, body: fixture("error_api_key_invalid") }, { error: "offline" }]) {
+    rt = loadModule("weatherwidget_lib", { now: 0, routes: flaky(1, route) });
+    await assert.rejects(rt.lib.loadJSON(url));
+    assert.equal(rt.state.requests.length, 1);
+  }
+
+  rt = loadModule("weatherwidget_lib", { now: 0, routes: [{ match: "currentConditions", body: fixture("error_unavailable") }] });
+  await assert.rejects(rt.lib.loadJSON(url), /503 UNAVAILABLE/);
+});
+
+test("getLocation saves the fix, skips nearby geocoding and falls back to the last fix", async () => {
+  const now = Date.parse("2026-10-19T12:00:00Z");
+  const placemarks = [{ locality: "Kraków" }];
+  const cfg = { useCurrentLocation: true, geocodeKm: 1 };
+  const path = `${DOCS}/google_weather_location.json`;
+
+  let rt = loadModule("weatherwidget_lib", { now, placemarks });
+  assert.deepEqual(plain(await rt.lib.getLocation(cfg)), { latitude: 50.0647, longitude: 19.945, name: "Kraków" });
+  const saved = JSON.parse(rt.state.files[path]);
+  assert.equal(saved.timestamp, now);
+
+  rt = loadModule("weatherwidget_lib", { now, placemarks: [{ locality: "Elsewhere" }], location: { latitude: 50.07, longitude: 19.95 }, files: { "google_weather_location.json": saved } });
+  assert.equal((await rt.lib.getLocation(cfg)).name, "Kraków");
+  assert.equal(rt.state.geocodeCalls, undefined);
+
+  rt = loadModule("weatherwidget_lib", { now, placemarks: [{ locality: "Wieliczka" }], location: { latitude: 49.98, longitude: 20.06 }, files: { "google_weather_location.json": saved } });
+  assert.equal((await rt.lib.getLocation(cfg)).name, "Wieliczka");
+  assert.equal(JSON.parse(rt.state.files[path]).namedAt.latitude, 49.98);
+
+  for (const location of [new Error("GPS off"), "hang"]) {
+    rt = loadModule("weatherwidget_lib", { now, location, files: { "google_weather_location.json": saved } });
+    assert.deepEqual(plain(await rt.lib.getLocation(cfg)), { latitude: 50.0647, longitude: 19.945, name: "Kraków", fallback: true, timestamp: now });
+  }
+  rt = loadModule("weatherwidget_lib", { now, location: "hang" });
+  await assert.rejects(rt.lib.getLocation(cfg), /Timed out/);
+  assert.ok(Math.abs(lib.distanceKm({ latitude: 50.0647, longitude: 19.945 }, { latitude: 52.2297, longitude: 21.0122 }) - 252) < 1);
+});
+
+test("selectFavourite pins a saved location or rotates through all of them", () => {
+  const favourites = [
+    { name: "Current location", current: true },
+    { name: "Warsaw office", lat: 52.23, lon: 21.01 },
+    { name: "Gdańsk", lat: 54.35, lon: 18.65 }
+  ];
+  const defaults = { useCurrentLocation: true, lat: 1, lon: 2 };
+  const files = { "google_weather_locations.json": favourites };
+
+  let { lib: l } = loadModule("weatherwidget_lib", { files });
+  const pinned = l.selectFavourite(l.parseWidgetParameter("loc=warsaw office", defaults));
+  assert.deepEqual([pinned.useCurrentLocation, pinned.lat, pinned.lon, pinned.name], [false, 52.23, 21.01, "Warsaw office"]);
+  assert.throws(() => l.selectFavourite(l.parseWidgetParameter("loc=Paris", defaults)), /No saved location named "Paris"/);
+  assert.throws(() => l.parseWidgetParameter("loc=Gdańsk;lat=1;lon=2", defaults), /loc cannot be combined/);
+
+  const { lib: w, state } = loadModule("weatherwidget_lib", { files });
+  const rotate = w.parseWidgetParameter("loc=rotate", defaults);
+  const picks = [1, 2, 3, 4].map(() => w.selectFavourite(rotate));
+  assert.deepEqual(picks.map(c => c.name), [null, "Warsaw office", "Gdańsk", null]);
+  assert.equal(picks[0].useCurrentLocation, true);
+  assert.equal(new Set(picks.map(c => c.cacheKey)).size, 3);
+  assert.ok(Object.keys(state.files).some(p => p.endsWith("/google_weather_rotation.json")));
+
+  const app = loadModule("weatherwidget_lib", { files, family: null });
+  assert.equal(app.lib.selectFavourite(rotate).useCurrentLocation, true);
+  assert.equal(app.lib.selectFavourite(rotate).useCurrentLocation, true);
+  assert.equal(lib.parseWidgetParameter("", defaults).favourite, undefined);
+});
+
+test("string tables follow the language and fall back to English", () => {
+  const { lib: l } = loadModule("weatherwidget_lib");
+  for (const lang of ["pl", "de", "fr", "es"]) {
+    assert.deepEqual(Object.keys(l.STRINGS[lang]).sort(), Object.keys(l.STRINGS.en).sort(), lang);
+  }
+
+  l.setLanguage("de_DE");
+  assert.equal(l.tr("feels"), "Gefühlt");
+  assert.equal(l.tr("uv"), "UV");
+  assert.equal(l.tr("updatedMin", { n: 5 }), "Vor 5 Min.");
+  assert.equal(l.fmtNumber(1234.5, 1), "1.234,5");
+  assert.equal(l.fmtWeekday(new Date(2026, 9, 19)), "Mo");
+  assert.equal(l.fmtTime(18, 0), "18:00");
+
+  l.setLanguage("en");
+  assert.equal(l.fmtTime(18, 0), "6:00 PM");
+  assert.equal(l.fmtNumber(1234.5, 1), "1,234.5");
+
+  l.setLanguage("pt");
+  assert.equal(l.tr("wind"), "Wind");
+  assert.equal(l.fmtWeekday(new Date(2026, 9, 19)), "seg.");
+  l.setLanguage("not a locale!");
+  assert.equal(l.fmtNumber(1000), "1,000");
+});
+
+test("themes interpolate temperature stops and pick condition, night and dark-mode palettes", () => {
+  const { lib: l } = loadModule("weatherwidget_lib", { darkMode: true });
+  const colors = (...a) => plain(l.gradientFor(...a)).gradient;
+
+  l.setTheme("classic");
+  assert.deepEqual(plain(l.tempColors(-5)), ["#1e3c72", "#2a5298"]);
+  assert.deepEqual(plain(l.tempColors(5)), ["#254688", "#2a56b4"]);
+  assert.deepEqual(plain(l.tempColors(40)), ["#ff512f", "#dd2476"]);
+  assert.deepEqual(colors(5, false), ["#0F2027", "#203A43"]);
+  assert.deepEqual(colors(5, false, { type: "THUNDERSTORM" }), ["#232526", "#414345"]);
+  assert.equal(l.conditionGroup({ type: "LIGHT_SNOW_SHOWERS" }), "snow");
+  assert.equal(l.conditionGroup({ type: "CLEAR" }), null);
+  assert.equal(plain(l.themeColor("text")), "#FFFFFF");
+
+  // auto: dynamic light | dark colours in a widget, the device's appearance in the app
+  l.setTheme("auto");
+  assert.equal(plain(l.themeColor("text")), "#1C1C1E|#F2F2F7");
+  assert.deepEqual(colors(5, false), ["#D7DCE8|#000000", "#B9C1D4|#1C1C1E"]);
+  const app = loadModule("weatherwidget_lib", { darkMode: true, family: null }).lib;
+  app.setTheme("auto");
+  assert.equal(plain(app.themeColor("text")), "#F2F2F7");
+  const light = loadModule("weatherwidget_lib", { darkMode: false, family: null }).lib;
+  light.setTheme("auto");
+  assert.equal(plain(light.themeColor("text")), "#1C1C1E");
+
+  const custom = loadModule("weatherwidget_lib", {
+    files: { "google_weather_theme.json": { base: "dark", accent: "#ffd60a", stops: [[20, "#000000", "#000000"], [0, "#ffffff", "#ffffff"]] } }
+  }).lib;
+  custom.setTheme("custom");
+  assert.equal(plain(custom.themeColor("accent")), "#FFD60A");
+  assert.equal(plain(custom.themeColor("text")), "#F2F2F7");
+  assert.deepEqual(plain(custom.tempColors(10)), ["#808080", "#808080"]);
+  assert.throws(() => l.setTheme("custom"), /google_weather_theme\.json/);
+
+  const defaults = { theme: "classic" };
+  assert.equal(l.parseWidgetParameter("theme=Dark;bg=transparent:top", defaults).theme, "dark");
+  assert.equal(l.parseWidgetParameter("theme=dark;bg=photo.jpg;lang=en", defaults).cacheKey, "lang=en");
+  assert.throws(() => l.parseWidgetParameter("theme=neon;bg=transparent:left", defaults),
+    /theme must be one of classic, light, dark, auto, custom; bg=transparent: position must be one of/);
+
+  const frame = l.widgetFrame(2532, "small", "bottom-right");
+  assert.deepEqual([frame.x, frame.y, frame.width, frame.height], [618, 1407, 474, 474]);
+  assert.equal(l.widgetFrame(1000, "small", "top-left"), null);
+});
+
+test("daily precipitation combines day and night parts", () => {
+  const { lib: l } = loadModule("weatherwidget_lib");
+  l.setLanguage("en");
+  l.setUnits({});
+  const day = fixture("forecast_days").forecastDays[5];
+  const precip = l.dayPrecipitation(day);
+  assert.deepEqual(plain(precip), { probability: { percent: 70, type: "SNOW" }, qpf: { quantity: 9, unit: "MILLIMETERS" } });
+  assert.equal(l.precipLabel(precip), "Snow");
+  assert.equal(l.fmtPrecip(precip), "70% · 9.0 mm");
+  assert.equal(l.fmtPrecip({ probability: { percent: 35 } }), "35%");
+  assert.equal(l.fmtPrecip(null), "—");
+  assert.equal(l.dayPrecipitation({ displayDate: {} }), null);
+
+  assert.equal(l.needsUmbrella(precip, 70), true);
+  assert.equal(l.needsUmbrella(precip, 71), false);
+  assert.equal(l.needsUmbrella(precip, null), false);
+  assert.equal(l.parseWidgetParameter("umbrella=30", {}).umbrellaPct, 30);
+  assert.throws(() => l.parseWidgetParameter("umbrella=120", {}), /umbrella must be a number between 0 and 100/);
+});
+
+test("sun and moon helpers read forecast days in the forecast's time zone", () => {
+  const { lib: l, state } = loadModule("weatherwidget_lib", { now: "2026-10-19T10:00:00Z" });
+  l.setLanguage("pl");
+  const days = fixture("forecast_days").forecastDays;
+
+  assert.equal(l.fmtClock(l.sunTimes(days[0]).sunrise, "Europe/Warsaw"), "07:12");
+  assert.equal(l.fmtClock(l.sunTimes(days[0]).sunset, "America/New_York"), "11:48");
+  assert.equal(l.fmtClock(l.sunTimes(days[0]).sunset, "Not/AZone").length, 5);
+
+  assert.deepEqual(plain(l.nextSunEvent(days)), { type: "sunset", at: "2026-10-19T15:48:00.000Z" });
+  assert.deepEqual(plain(l.nextSunEvent(days, Date.parse("2026-10-19T16:00:00Z"))), { type: "sunrise", at: "2026-10-20T05:14:00.000Z" });
+  assert.equal(l.nextSunEvent([{ sunEvents: {} }]), null);
+
+  // no history yet: tomorrow's change stands in; every day's length is recorded per place
+  const krakow = { latitude: 50.0647, longitude: 19.945 };
+  const first = l.dayLength(days, krakow);
+  assert.deepEqual(plain(first), { minutes: 636, change: -4 });
+  assert.equal(l.fmtDayLength(first), "10 godz. 36 min (−4 min)");
+  const history = JSON.parse(state.files[`${DOCS}/google_weather_daylength.json`]);
+  assert.equal(history["50.06,19.95"]["2026-10-19"], 636);
+  assert.equal(Object.keys(history["50.06,19.95"]).length, 10);
+
+  state.files[`${DOCS}/google_weather_daylength.json`] = JSON.stringify({ "50.06,19.95": { "2026-10-18": 639 } });
+  assert.equal(l.dayLength(days, krakow).change, -3);
+
+  assert.deepEqual(plain(l.moonPhase(days[0])), { symbol: "moonphase.waxing.gibbous", label: "Przybywający garb" });
+  assert.equal(l.moonPhase({}), null);
+
+  assert.deepEqual(plain(l.parseWidgetParameter("details=Sunrise, moon", {}).details), ["sunrise", "moon"]);
+  assert.throws(() => l.parseWidgetParameter("details=tides", {}), /details must be a comma-separated list/);
+});
+
+test("day length changes are compared per location", () => {
+  const { lib: l } = loadModule("weatherwidget_lib", { now: "2026-10-19T10:00:00Z" });
+  const days = fixture("forecast_days").forecastDays;
+  const iso = (t, h) => new Date(Date.parse(t) + h * 3600000).toISOString();
+  // the same days a day earlier (same lengths), optionally with sunsets `extra` hours later
+  const shifted = (back, extra = 0) => days.map(d => ({
+    ...d,
+    displayDate: { ...d.displayDate, day: d.displayDate.day - back },
+    sunEvents: { sunriseTime: iso(d.sunEvents.sunriseTime, -24 * back), sunsetTime: iso(d.sunEvents.sunsetTime, extra - 24 * back) }
+  }));
+  const warsaw = { latitude: 52.23, longitude: 21.01 };
+  const lisbon = { latitude: 38.72, longitude: -9.14 };
+
+  // yesterday's runs at both places, then today's: each compares with its own yesterday
+  l.dayLength(shifted(1), warsaw);
+  l.dayLength(shifted(1, 1), lisbon);
+  assert.deepEqual(plain(l.dayLength(days, warsaw)), { minutes: 636, change: 0 });
+  assert.deepEqual(plain(l.dayLength(shifted(0, 1), lisbon)), { minutes: 696, change: 0 });
+});
+
+test("drawChart shades nights, draws precipitation bars and labels the axis in the preferred unit", () => {
+  const { lib: l, state } = loadModule("weatherwidget_lib", { now: "2026-10-19T10:00:00Z" });
+  l.setLanguage("pl");
+  const days = fixture("forecast_days").forecastDays;
+
+  const slots = l.chartSlotsFromDays(days, 3);
+  assert.deepEqual(plain(slots.slice(0, 2)), [
+    { temp: { degrees: 14.2, unit: "CELSIUS" }, pct: 10, night: false, label: "pon." },
+    { temp: { degrees: 5.1, unit: "CELSIUS" }, pct: 20, night: true, label: null }
+  ]);
+
+  const img = l.drawChart(slots, l.chartSize("medium"));
+  assert.equal(img.name, "drawn:0");
+  const ops = state.drawings[0];
+  const named = name => ops.filter(o => o[0] === name);
+  // 3 night slots shaded + 6 bars
+  assert.equal(named("fillRect").length, 9);
+  assert.equal(named("addPath")[0][1].length, 6);
+  assert.deepEqual(named("drawTextInRect").map(o => o[1]), ["15°C", "3°C", "pon.", "wt.", "śr."]);
+  // bar height follows the chance: 80% of the 48 pt plot
+  assert.ok(named("fillRect").some(o => Math.abs(o[1][3] - 38.4) < 1e-9));
+
+  l.setUnits({ temp: "F" });
+  const hours = l.chartSlotsFromHours(fixture("forecast_hours_page1").forecastHours, 24);
+  assert.equal(hours.length, 12);
+  assert.equal(hours[0].night, true);
+  l.drawChart(hours, l.chartSize("large"));
+  const labels = state.drawings[1].filter(o => o[0] === "drawTextInRect").map(o => o[1]);
+  assert.deepEqual(labels.slice(0, 3), ["54°F", "47°F", "20:00"]);
+  // 48 pt apart at this width: every other hour
+  assert.equal(labels.length, 8);
+
+  assert.equal(l.parseWidgetParameter("chart=Hours", {}).chart, "hours");
+  assert.throws(() => l.parseWidgetParameter("chart=weeks", {}), /chart must be one of off, days, hours/);
+});
+
+test("yesterday's temperatures come from the history hour 24 h ago and its local day", () => {
+  const { lib: l } = loadModule("weatherwidget_lib", { now: "2026-10-19T18:30:00Z" });
+  const history = fixture("history_hours").historyHours;
+
+  assert.equal(l.minutesSinceMidnight("Europe/Warsaw"), 20 * 60 + 30);
+  assert.equal(l.minutesSinceMidnight("America/New_York"), 14 * 60 + 30);
+
+  const y = l.yesterdayTemps(history);
+  assert.deepEqual(plain(y), {
+    same: { degrees: 10.1, unit: "CELSIUS" },
+    high: { degrees: 16.4, unit: "CELSIUS" },
+    low: { degrees: 6.2, unit: "CELSIUS" }
+  });
+  // nothing 24 h before this time
+  assert.equal(l.yesterdayTemps(history, Date.parse("2026-10-20T12:00:00Z")), null);
+
+  assert.equal(l.fmtTempDelta({ degrees: 13.7, unit: "CELSIUS" }, y.same), "+4°");
+  assert.equal(l.fmtTempDelta({ degrees: 8, unit: "CELSIUS" }, y.same), "−2°");
+  assert.equal(l.fmtTempDelta({ degrees: 50, unit: "FAHRENHEIT" }, y.same), "±0°");
+  l.setUnits({ temp: "F" });
+  assert.equal(l.fmtTempDelta({ degrees: 13.7, unit: "CELSIUS" }, y.same), "+7°");
+  assert.equal(l.fmtTempDelta(null, y.same), null);
+});
+
+test("shared settings sit between the CONFIG defaults and the widget parameter", () => {
+  const defaults = { language: "pl", unitsSystem: "METRIC", units: { temp: null, wind: null, precip: null, pressure: null } };
+  const files = { "google_weather_settings.json": { lang: "de", units: "IMPERIAL", temp: "c", junk: "x" } };
+  const { lib: l, state } = loadModule("weatherwidget_lib", { files });
+
+  const base = l.applySettings(defaults);
+  const cfg = l.parseWidgetParameter("", base);
+  assert.equal(cfg.language, "de");
+  assert.deepEqual(plain(cfg.units), { temp: "C", wind: "MPH", precip: "IN", pressure: "INHG" });
+  assert.equal(cfg.cacheKey, "lang=de;temp=c;units=IMPERIAL");
+
+  // the parameter's units= still decides the units the settings left open
+  const param = l.parseWidgetParameter("units=metric;theme=dark", base);
+  assert.deepEqual(plain(param.units), { temp: "C", wind: "KMH", precip: "MM", pressure: "HPA" });
+  assert.equal(param.cacheKey, "lang=de;temp=c;units=IMPERIAL;units=metric");
+
+  state.files[`${DOCS}/google_weather_settings.json`] = JSON.stringify({ lat: "52" });
+  assert.equal(l.applySettings(defaults), defaults);
+  assert.match(state.logs[0].text, /Ignoring google_weather_settings\.json: .*lat and lon must be given together/);
+});
+
+test("tap links run the script again with the view, or open the weather page", () => {
+  const { lib: l } = loadModule("weatherwidget_lib", { queryParameters: { view: "day", index: "3" } });
+  const loc = { latitude: 50.0647, longitude: 19.945 };
+  assert.equal(l.scriptLink({ view: "hour", at: "2026-10-19T21:00:00Z", index: null }),
+    "scriptable:///run/weatherwidget?view=hour&at=2026-10-19T21%3A00%3A00Z");
+  assert.equal(l.widgetUrl({ tap: "app" }, loc, { view: "current" }), "scriptable:///run/weatherwidget?view=current");
+  assert.equal(l.widgetUrl({ tap: "web" }, loc, { view: "current" }), "https://weather.com/weather/today/l/50.0647,19.9450");
+  assert.equal(l.itemUrl({ tap: "web" }, { view: "day", index: 1 }), null);
+  assert.deepEqual(plain(l.linkedView()), { view: "day", index: 3 });
+
+  assert.equal(loadModule("weatherwidget_lib").lib.linkedView(), null);
+  const bad = loadModule("weatherwidget_lib", { queryParameters: { view: "day", index: "-1" } }).lib;
+  assert.equal(bad.linkedView().index, 0);
+  assert.equal(lib.parseWidgetParameter("tap=WEB", { tap: "app" }).tap, "web");
+});
+
+test("weatherFacts turns any of the responses into rule values", () => {
+  const { lib: l } = loadModule("weatherwidget_lib", { now: "2026-10-19T18:30:00Z" });
+  // no rain chance from current conditions, no temperature from a forecast
+  assert.deepEqual(plain(l.weatherFacts({ current: fixture("current_conditions") })), {
+    temp: 13.7, wind: 8, gust: 18, uv: 0,
+    from: { temp: "current", wind: "current", gust: "current", uv: "current" }
+  });
+  const days = l.weatherFacts({ days: fixture("forecast_days").forecastDays });
+  assert.equal(days.low, 5.1);
+  assert.equal(days.rain, 20);
+  assert.equal(days.gust, 25);
+  assert.equal(days.temp, undefined);
+  assert.deepEqual(plain([days.from.rain, days.from.gust]), ["days", "days"]);
+  const hours = [...fixture("forecast_hours_page1").forecastHours, ...fixture("forecast_hours_page2").forecastHours];
+  const next = l.weatherFacts({ hours });
+  assert.equal(next.temp, undefined);
+  assert.equal(next.rain, 98);
+  assert.equal(next.from.rain, "hours");
+  assert.equal(Math.round(next.precip * 10), 48);
+  const both = l.weatherFacts({ current: fixture("current_conditions"), days: fixture("forecast_days").forecastDays });
+  assert.deepEqual(plain([both.from.temp, both.from.rain, both.from.gust]), ["current", "days", "current+days"]);
+});
+
+test("quiet hours may span midnight", () => {
+  const quiet = { from: 22 * 60, to: 7 * 60 };
+  assert.equal(lib.quietEnd(quiet, new Date("2026-10-19T23:10:00")).toISOString(), new Date("2026-10-20T07:00:00").toISOString());
+  assert.equal(lib.quietEnd(quiet, new Date("2026-10-20T06:59:00")).toISOString(), new Date("2026-10-20T07:00:00").toISOString());
+  assert.equal(lib.quietEnd(quiet, new Date("2026-10-20T07:00:00")), null);
+  assert.equal(lib.quietEnd({ from: 13 * 60, to: 14 * 60 }, new Date("2026-10-20T13:30:00")).getHours(), 14);
+  assert.equal(lib.quietEnd(null), null);
+});
+
+test("notification rules fire once, again after they cleared, and wait out quiet hours", async () => {
+  const rules = {
+    quiet: "22:00-07:00",
+    rules: [
+      { when: "gust", above: 15 },
+      { when: "drop", above: 8, message: "Colder by {v}" },
+      { when: "rain", above: "60" },
+      { when: "fog", above: 1 }
+    ]
+  };
+  const loc = { latitude: 50.0647, longitude: 19.945 };
+  const { lib: l, state } = loadModule("weatherwidget_lib", {
+    now: "2026-10-19T18:30:00Z", files: { "google_weather_rules.json": rules }
+  });
+  l.setLanguage("en");
+
+  await l.notifyRules({ temp: 14, gust: 18 }, loc, "Kraków");
+  assert.deepEqual(state.notifications.map(n => [n.title, n.body, n.triggerDate]),
+    [["Kraków", "Wind gusts up to 18 km/h", null]]);
+  assert.deepEqual(state.logs.map(e => e.text), [
+    "Ignoring rule 3 in google_weather_rules.json: needs a number in either \"above\" or \"below\"",
+    "Ignoring rule 4 in google_weather_rules.json: \"when\" must be one of temp, low, high, rain, precip, wind, gust, uv, drop, rise"
+  ]);
+
+  // still gusty: no repeat within 12 hours; a 9° drop fires its own rule
+  await l.notifyRules({ temp: 5, gust: 20 }, loc, "Kraków");
+  assert.deepEqual(state.notifications.map(n => n.body), ["Wind gusts up to 18 km/h", "Colder by 9°"]);
+
+  // the gusts ease off and come back at night: scheduled for the end of the quiet hours
+  await l.notifyRules({ temp: 5, gust: 10 }, loc, "Kraków");
+  const files = Object.fromEntries(Object.entries(state.files).map(([k, v]) => [k.slice(DOCS.length + 1), v]));
+  const night = loadModule("weatherwidget_lib", { now: "2026-10-19T23:00:00Z", files });
+  night.lib.setLanguage("en");
+  await night.lib.notifyRules({ temp: 5, gust: 30 }, loc, "Kraków");
+  assert.deepEqual(night.state.notifications.map(n => [n.body, n.triggerDate]),
+    [["Wind gusts up to 30 km/h", "2026-10-20T07:00:00.000Z"]]);
+
+  const saved = JSON.parse(night.state.files[`${DOCS}/google_weather_notify.json`]);
+  assert.deepEqual(Object.keys(saved), ["50.06,19.95"]);
+  assert.equal(saved["50.06,19.95"].temp, 5);
+});
+
+test("a rule fired from one source is not cleared by another", async () => {
+  const loc = { latitude: 50.0647, longitude: 19.945 };
+  const { lib: l, state } = loadModule("weatherwidget_lib", {
+    now: "2026-10-19T18:30:00Z", files: { "google_weather_rules.json": { rules: [{ when: "rain", above: 30 }] } }
+  });
+  l.setLanguage("en");
+  // the hourly forecast's 24 h maximum against today's chance from the daily one, in turns
+  await l.notifyRules({ rain: 77, from: { rain: "hours" } }, loc, "Kraków");
+  await l.notifyRules({ rain: 20, from: { rain: "days" } }, loc, "Kraków");
+  await l.notifyRules({ rain: 80, from: { rain: "hours" } }, loc, "Kraków");
+  assert.deepEqual(state.notifications.map(n => n.body), ["77% chance of rain or snow in the next 24 hours"]);
+});
+
+test("shortcut input accepts widget-parameter text or a dictionary", () => {
+  const text = loadModule("weatherwidget_lib", { shortcutParameter: "location=52.23, 21.01;units=IMPERIAL;forecast" }).lib;
+  assert.deepEqual(plain(text.shortcutInput(["current", "forecast"])),
+    { param: "lat=52.23;lon=21.01;units=IMPERIAL", data: "forecast" });
+
+  const dict = loadModule("weatherwidget_lib", { shortcutParameter: { location: "Home", Lang: "en", data: "Current" } }).lib;
+  assert.deepEqual(plain(dict.shortcutInput(["current", "forecast"])), { param: "loc=Home;lang=en", data: "current" });
+
+  const none = loadModule("weatherwidget_lib").lib;
+  assert.deepEqual(plain(none.shortcutInput(["forecast"])), { param: "", data: "forecast" });
+  assert.throws(() => text.shortcutInput(["current"]), /data must be current for this script/);
+});
+
+test("public alerts drop expired entries and sort the most severe first", () => {
+  const { lib: l } = loadModule("weatherwidget_lib");
+  const alerts = fixture("public_alerts").weatherAlerts;
+  const active = l.activeAlerts(alerts, Date.parse("2026-10-19T18:30:00Z"));
+  assert.deepEqual(active.map(a => a.severity), ["SEVERE", "MODERATE"]);
+  assert.equal(l.alertHeadline(active[0]), "Severe: Pomarańczowe ostrzeżenie: silny wiatr");
+  assert.equal(l.alertHeadline({ eventType: "FLOOD", severity: "bogus" }), "Alert: FLOOD");
+  assert.ok(l.hasSevereAlert(active));
+  assert.ok(!l.hasSevereAlert(active.slice(1)));
+
+  l.setTheme("classic");
+  assert.deepEqual(plain(l.gradientFor(5, true, null, true)).gradient, ["#5F0F0F", "#9B1C1C"]);
+});
+
+test("air quality and pollen responses become detail slots", () => {
+  const { lib: l } = loadModule("weatherwidget_lib");
+  assert.equal(l.apiColor({ green: 0.6156863, blue: 0.22745098 }), "#009d3a");
+  assert.equal(l.apiColor(null), null);
+
+  const pollen = fixture("pollen_forecast");
+  assert.equal(l.pollenToday(pollen, new Date(2026, 9, 19)).date.day, 19);
+  assert.equal(l.pollenToday(pollen, new Date(2026, 9, 20)), null);
+
+  const slots = plain(l.airSlots(fixture("air_quality"), l.pollenToday(pollen, new Date(2026, 9, 19))));
+  assert.deepEqual(slots.aqi, ["AQI", "58", false, "aqi.medium", "#b3d220"]);
+  assert.deepEqual(slots.pollutant, ["Pollutant", "PM2.5"]);
+  assert.deepEqual([slots.grass, slots.tree, slots.weed], [["Grass", "Bardzo niski"], ["Trees", "—"], ["Weeds", "Niski"]]);
+  assert.deepEqual(plain(l.airSlots(null, null)), { aqi: null, pollutant: null, grass: null, tree: null, weed: null });
+
+  assert.ok(l.DETAIL_SLOTS.includes("aqi"));
+  assert.throws(() => l.parseWidgetParameter("details=pm", { details: [] }), /details must be a comma-separated list of .*aqi, pollutant, grass, tree, weed/);
+});
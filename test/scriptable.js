@@ -0,0 +1,656 @@
+/**
+ * Headless Scriptable runtime for Node tests.
+ *
+ * Every run gets a fresh vm context with fake versions of the Scriptable
+ * globals (Request, FileManager, Keychain, Location, ListWidget, SFSymbol,
+ * Color, LinearGradient, Script, config, ...). Requests are answered from
+ * `routes` (recorded Google Weather API JSON in test/fixtures), so the widget
+ * scripts run unchanged and the widget they hand to Script.setWidget (or
+ * present in the app) comes back as a plain JSON snapshot.
+ *
+ *   const { runScript, fixture } = require("./scriptable");
+ *   const run = await runScript("weatherwidget.js", {
+ *     family: "medium",
+ *     routes: [{ match: "currentConditions:lookup", body: fixture("current_conditions") }]
+ *   });
+ *   run.widget   // snapshot tree: { type: "widget", children: [...] }
+ *   run.texts()  // every text in the tree, depth-first
+ */
+
+const fs = require("fs");
+const path = require("path");
+const vm = require("vm");
+
+const ROOT = path.join(__dirname, "..");
+const FIXTURES = path.join(__dirname, "fixtures");
+const DOCS = "/scriptable/Documents";
+
+function fixture(name) {
+  return JSON.parse(fs.readFileSync(path.join(FIXTURES, `${name}.json`), "utf8"));
+}
+
+// ---- Snapshot helpers ----
+function toSnapshot(v) {
+  if (v == null || typeof v !== "object") return v;
+  if (typeof v.toSnapshot === "function") return v.toSnapshot();
+  if (typeof v.toISOString === "function") return v.toISOString();
+  if (Array.isArray(v)) return v.map(toSnapshot);
+  const out = {};
+  for (const k of Object.keys(v)) {
+    if (v[k] !== undefined) out[k] = toSnapshot(v[k]);
+  }
+  return out;
+}
+
+// Objects created inside the vm context have that context's prototypes;
+// round-trip through JSON before deepEqual against test-side literals.
+function plain(v) {
+  return v === undefined ? undefined : JSON.parse(JSON.stringify(toSnapshot(v)));
+}
+
+function collect(node, pred, out = []) {
+  if (!node) return out;
+  if (pred(node)) out.push(node);
+  for (const c of node.children || []) collect(c, pred, out);
+  return out;
+}
+
+// ---- Fake drawing primitives ----
+class Color {
+  constructor(hex, alpha = 1) {
+    this.hex = String(hex).replace(/^#/, "").toUpperCase();
+    this.alpha = alpha;
+  }
+  static white() { return new Color("FFFFFF"); }
+  static black() { return new Color("000000"); }
+  static red() { return new Color("FF0000"); }
+  static green() { return new Color("00FF00"); }
+  static blue() { return new Color("0000FF"); }
+  static orange() { return new Color("FF9500"); }
+  static yellow() { return new Color("FFCC00"); }
+  static gray() { return new Color("808080"); }
+  static lightGray() { return new Color("AAAAAA"); }
+  static darkGray() { return new Color("555555"); }
+  static clear() { return new Color("000000", 0); }
+  static dynamic(light, dark) {
+    const c = new Color(light.hex, light.alpha);
+    c.dark = dark;
+    return c;
+  }
+  toSnapshot() {
+    const s = `#${this.hex}${this.alpha !== 1 ? `@${this.alpha}` : ""}`;
+    return this.dark ? `${s}|${this.dark.toSnapshot()}` : s;
+  }
+}
+
+class Size {
+  constructor(width, height) { this.width = width; this.height = height; }
+  toSnapshot() { return [this.width, this.height]; }
+}
+
+class Point {
+  constructor(x, y) { this.x = x; this.y = y; }
+}
+
+class Rect {
+  constructor(x, y, width, height) {
+    Object.assign(this, { x, y, width, height });
+    this.origin = new Point(x, y);
+    this.size = new Size(width, height);
+    this.minX = x; this.minY = y;
+    this.maxX = x + width; this.maxY = y + height;
+  }
+  toSnapshot() { return [this.x, this.y, this.width, this.height]; }
+}
+
+class LinearGradient {
+  constructor() { this.colors = []; this.locations = []; }
+  toSnapshot() { return { gradient: this.colors.map(toSnapshot), locations: this.locations }; }
+}
+
+// Every static font factory just records its name and size
+const FONT_FACTORIES = [
+  "systemFont", "ultraLightSystemFont", "thinSystemFont", "lightSystemFont", "regularSystemFont",
+  "mediumSystemFont", "semiboldSystemFont", "boldSystemFont", "heavySystemFont", "blackSystemFont",
+  "italicSystemFont", "regularMonospacedSystemFont", "mediumMonospacedSystemFont",
+  "boldMonospacedSystemFont", "regularRoundedSystemFont", "mediumRoundedSystemFont",
+  "boldRoundedSystemFont"
+];
+class Font {
+  constructor(name, size) { this.name = name; this.size = size; }
+  toSnapshot() { return `${this.name}(${this.size})`; }
+}
+for (const f of FONT_FACTORIES) Font[f] = size => new Font(f, size);
+
+class Image {
+  constructor(name, size = new Size(100, 100)) { this.name = name; this.size = size; }
+  static fromFile(p) { return new Image(`file:${p}`); }
+  static fromData() { return new Image("data"); }
+  toSnapshot() { return this.name; }
+}
+
+const SFSymbol = {
+  named(name) {
+    return { name, image: new Image(`sf:${name}`), applyFont() {}, applyMediumWeight() {} };
+  }
+};
+
+class Path {
+  constructor() { this.points = []; }
+  move(p) { this.points.push(["M", p.x, p.y]); }
+  addLine(p) { this.points.push(["L", p.x, p.y]); }
+  addLines(ps) { ps.forEach(p => this.addLine(p)); }
+  addRect(r) { this.points.push(["R", r.x, r.y, r.width, r.height]); }
+  addEllipse(r) { this.points.push(["E", r.x, r.y, r.width, r.height]); }
+  closeSubpath() { this.points.push(["Z"]); }
+  toSnapshot() { return this.points; }
+}
+
+// DrawContext: records every call; getImage() returns an image named
+// "drawn:<n>" whose ops land in state.drawings[n]
+const DRAW_OPS = [
+  "drawImageAtPoint", "drawImageInRect", "setFillColor", "setStrokeColor", "setLineWidth",
+  "fillRect", "fillEllipse", "strokeRect", "strokeEllipse", "addPath", "fillPath", "strokePath",
+  "setFont", "setTextColor", "setTextAlignedLeft", "setTextAlignedCenter", "setTextAlignedRight",
+  "drawText", "drawTextInRect"
+];
+function makeDrawContext(state) {
+  class DrawContext {
+    constructor() {
+      this.size = new Size(100, 100);
+      this.opaque = true;
+      this.respectScreenScale = false;
+      this.ops = [];
+    }
+    getImage() {
+      state.drawings.push(this.ops.map(plain));
+      return new Image(`drawn:${state.drawings.length - 1}`, new Size(this.size.width, this.size.height));
+    }
+  }
+  for (const op of DRAW_OPS) {
+    DrawContext.prototype[op] = function (...a) { this.ops.push([op, ...a]); };
+  }
+  return DrawContext;
+}
+
+// ---- Fake widget tree ----
+class WidgetElement {
+  constructor(type) { this.type = type; }
+  toSnapshot() {
+    const out = { type: this.type };
+    for (const k of Object.keys(this)) {
+      if (k === "type" || this[k] === undefined) continue;
+      out[k] = toSnapshot(this[k]);
+    }
+    return out;
+  }
+}
+
+class WidgetText extends WidgetElement {
+  constructor(text) { super("text"); this.text = text; }
+  leftAlignText() { this.align = "left"; }
+  centerAlignText() { this.align = "center"; }
+  rightAlignText() { this.align = "right"; }
+}
+
+class WidgetImage extends WidgetElement {
+  constructor(image) { super("image"); this.image = image; }
+  leftAlignImage() { this.align = "left"; }
+  centerAlignImage() { this.align = "center"; }
+  rightAlignImage() { this.align = "right"; }
+  applyFittingContentMode() { this.contentMode = "fitting"; }
+  applyFillingContentMode() { this.contentMode = "filling"; }
+}
+
+class WidgetDate extends WidgetElement {
+  constructor(date) { super("date"); this.date = date; }
+  applyTimeStyle() { this.style = "time"; }
+  applyDateStyle() { this.style = "date"; }
+  applyRelativeStyle() { this.style = "relative"; }
+  applyOffsetStyle() { this.style = "offset"; }
+  applyTimerStyle() { this.style = "timer"; }
+  leftAlignText() { this.align = "left"; }
+  centerAlignText() { this.align = "center"; }
+  rightAlignText() { this.align = "right"; }
+}
+
+class WidgetSpacer extends WidgetElement {
+  constructor(length) { super("spacer"); this.length = length == null ? null : length; }
+}
+
+class WidgetStack extends WidgetElement {
+  constructor(type = "stack") { super(type); this.children = []; }
+  _add(el) { this.children.push(el); return el; }
+  addText(text) { return this._add(new WidgetText(text)); }
+  addImage(image) { return this._add(new WidgetImage(image)); }
+  addDate(date) { return this._add(new WidgetDate(date)); }
+  addSpacer(length) { return this._add(new WidgetSpacer(length)); }
+  addStack() { return this._add(new WidgetStack()); }
+  layoutHorizontally() { this.layout = "horizontal"; }
+  layoutVertically() { this.layout = "vertical"; }
+  topAlignContent() { this.alignContent = "top"; }
+  centerAlignContent() { this.alignContent = "center"; }
+  bottomAlignContent() { this.alignContent = "bottom"; }
+  setPadding(top, leading, bottom, trailing) { this.padding = [top, leading, bottom, trailing]; }
+  useDefaultPadding() { this.padding = "default"; }
+  toSnapshot() {
+    const out = super.toSnapshot();
+    // keep children last so snapshots read top-down
+    const children = out.children;
+    delete out.children;
+    out.children = children;
+    return out;
+  }
+}
+
+// ---- Runtime ----
+// options:
+//   family          config.widgetFamily ("medium" default; null = in-app run)
+//   runsInWidget    defaults to true when a family is given
+//   widgetParameter args.widgetParameter
+//   queryParameters args.queryParameters
+//   runsWithSiri    run from Siri / Shortcuts (config.runsWithSiri)
+//   shortcutParameter args.shortcutParameter (text or dictionary)
+//   now             fixed clock (Date/ISO/ms) for Date and Date.now();
+//                   Timer.schedule fires at once and moves it forward
+//   routes          [{ match: string|RegExp|fn(url, req), status, body, error }]
+//   files           { name: string|object } pre-seeded Documents files
+//   keychain        { key: value } (defaults to a valid API key)
+//   location        { latitude, longitude } | Error (missing GPS) | "hang" (never answers)
+//   placemarks      reverseGeocode result (array) | Error
+//   alerts          queue of answers for Alert.present*/presentSheet: index or
+//                   { index, fields: [...] }. With the queue empty, Alert throws
+//                   like Scriptable does inside a widget.
+//   darkMode        Device.isUsingDarkAppearance() in the app; a widget always gets
+//                   false, as in Scriptable
+//   photo           [width, height] of the image Photos.fromLibrary() picks
+//                   (omitted = the picker is cancelled)
+//   taps            queue of UITable rows to tap: a cell title or a row index.
+//                   With the queue empty, a presented table is closed.
+function createRuntime(options = {}) {
+  const family = options.family === undefined ? "medium" : options.family;
+  const runsInWidget = options.runsInWidget ?? family != null;
+  let nowMs = options.now == null ? Date.now() : new Date(options.now).getTime();
+
+  const state = {
+    files: {},
+    keychain: { GOOGLE_WEATHER_API_KEY: "TEST_KEY", ...(options.keychain || {}) },
+    requests: [],
+    alerts: [],
+    logs: [],
+    timers: [],
+    notifications: [],
+    drawings: [],
+    tables: [],
+    shortcutOutput: undefined,
+    setWidget: null,
+    presented: null,
+    completed: false,
+    opened: []
+  };
+  if (options.keychain === null) state.keychain = {};
+  for (const [name, content] of Object.entries(options.files || {})) {
+    state.files[`${DOCS}/${name}`] = typeof content === "string" ? content : JSON.stringify(content);
+  }
+  const alertQueue = [...(options.alerts || [])];
+  const tapQueue = [...(options.taps || [])];
+
+  // Fixed clock
+  const RealDate = Date;
+  class FakeDate extends RealDate {
+    constructor(...a) {
+      if (a.length === 0) super(nowMs);
+      else super(...a);
+    }
+    static now() { return nowMs; }
+  }
+
+  // Timer: fires once pending promises have settled and advances the fixed
+  // clock by its interval
+  const Timer = {
+    schedule(interval, repeats, handler) {
+      state.timers.push(interval);
+      let live = true;
+      setImmediate(() => {
+        if (!live) return;
+        nowMs += interval;
+        handler();
+      });
+      return { invalidate() { live = false; } };
+    }
+  };
+
+  // Request: answers from routes; unmatched URLs fail like a dead network
+  class Request {
+    constructor(url) {
+      this.url = url;
+      this.method = "GET";
+      this.headers = {};
+      this.body = null;
+      this.timeoutInterval = 60;
+      this.response = null;
+    }
+    async _load() {
+      state.requests.push({ url: this.url, method: this.method, body: this.body, timeout: this.timeoutInterval });
+      const route = (options.routes || []).find(r =>
+        typeof r.match === "function" ? r.match(this.url, this)
+          : r.match instanceof RegExp ? r.match.test(this.url)
+          : this.url.includes(r.match));
+      if (!route || route.error) {
+        throw new Error(route && typeof route.error === "string"
+          ? route.error
+          : "The Internet connection appears to be offline.");
+      }
+      const status = route.status || 200;
+      this.response = { statusCode: status, url: this.url, headers: { "Content-Type": "application/json" } };
+      const body = typeof route.body === "function" ? route.body(this.url, this) : route.body;
+      return typeof body === "string" ? body : JSON.stringify(body ?? {});
+    }
+    async loadString() { return this._load(); }
+    async loadJSON() { return JSON.parse(await this._load()); }
+    async load() { return { toRawString: () => "", size: 0, _raw: await this._load() }; }
+    async loadImage() { await this._load(); return new Image("remote"); }
+  }
+
+  // FileManager: one in-memory Documents folder for local() and iCloud()
+  const fmInstance = {
+    documentsDirectory: () => DOCS,
+    libraryDirectory: () => "/scriptable/Library",
+    cacheDirectory: () => "/scriptable/Caches",
+    temporaryDirectory: () => "/scriptable/tmp",
+    joinPath: (a, b) => `${a.replace(/\/$/, "")}/${b}`,
+    fileExists: p => p in state.files,
+    isDirectory: p => p === DOCS,
+    readString: p => (p in state.files ? state.files[p] : null),
+    writeString: (p, s) => { state.files[p] = String(s); },
+    remove: p => { delete state.files[p]; },
+    listContents: dir => Object.keys(state.files)
+      .filter(p => p.startsWith(`${dir}/`))
+      .map(p => p.slice(dir.length + 1)),
+    readImage: p => (p in state.files ? new Image(`file:${p}`) : null),
+    writeImage: (p) => { state.files[p] = "<image>"; },
+    modificationDate: p => (p in state.files ? new FakeDate() : null),
+    createDirectory: () => {},
+    downloadFileFromiCloud: async () => {},
+    isFileStoredIniCloud: () => false,
+    fileName: (p, ext) => {
+      const base = p.split("/").pop();
+      return ext ? base : base.replace(/\.[^.]*$/, "");
+    }
+  };
+  const FileManager = { local: () => fmInstance, iCloud: () => fmInstance };
+
+  const Keychain = {
+    contains: k => k in state.keychain,
+    get: k => {
+      if (!(k in state.keychain)) throw new Error(`Keychain has no value for ${k}`);
+      return state.keychain[k];
+    },
+    set: (k, v) => { state.keychain[k] = v; },
+    remove: k => { delete state.keychain[k]; }
+  };
+
+  const gps = options.location === undefined ? { latitude: 50.0647, longitude: 19.945 } : options.location;
+  const placemarks = options.placemarks === undefined
+    ? [{ locality: "Kraków", administrativeArea: "Lesser Poland" }]
+    : options.placemarks;
+  const Location = {
+    accuracy: null,
+    setAccuracyToBest() { this.accuracy = "best"; },
+    setAccuracyToTenMeters() { this.accuracy = "tenMeters"; },
+    setAccuracyToHundredMeters() { this.accuracy = "hundredMeters"; },
+    setAccuracyToKilometer() { this.accuracy = "kilometer"; },
+    setAccuracyToThreeKilometers() { this.accuracy = "threeKilometers"; },
+    async current() {
+      state.locationCalls = (state.locationCalls || 0) + 1;
+      if (gps === "hang") return new Promise(() => {});
+      if (!gps || gps instanceof Error) throw gps || new Error("Location services unavailable");
+      return { ...gps, altitude: 0, horizontalAccuracy: 50, verticalAccuracy: 50 };
+    },
+    async reverseGeocode() {
+      state.geocodeCalls = (state.geocodeCalls || 0) + 1;
+      if (placemarks instanceof Error) throw placemarks;
+      return placemarks;
+    }
+  };
+
+  class Alert {
+    constructor() { this.title = ""; this.message = ""; this.actions = []; this.fields = []; }
+    addAction(t) { this.actions.push(t); }
+    addDestructiveAction(t) { this.actions.push(t); }
+    addCancelAction(t) { this.cancel = t; }
+    addTextField(placeholder, text) { this.fields.push(text ?? ""); }
+    addSecureTextField(placeholder, text) { this.fields.push(text ?? ""); }
+    textFieldValue(i) { return this.fields[i]; }
+    async _present() {
+      state.alerts.push({ title: this.title, message: this.message, actions: [...this.actions] });
+      if (!alertQueue.length) throw new Error("Alerts are not supported in a widget.");
+      const a = alertQueue.shift();
+      if (typeof a === "object" && a) {
+        if (a.fields) this.fields = [...a.fields];
+        return a.index;
+      }
+      return a;
+    }
+    present() { return this._present(); }
+    presentAlert() { return this._present(); }
+    presentSheet() { return this._present(); }
+  }
+
+  // Notification: schedule() records the notification in state.notifications,
+  // removePending() drops the pending ones with those identifiers
+  class Notification {
+    constructor() { this.title = ""; this.body = ""; this.identifier = null; this.triggerDate = null; }
+    setTriggerDate(date) { this.triggerDate = date.toISOString(); }
+    async schedule() {
+      state.notifications = state.notifications.filter(n => !this.identifier || n.identifier !== this.identifier);
+      state.notifications.push({ ...this });
+    }
+    static async removePending(ids) {
+      state.notifications = state.notifications.filter(n => !(n.triggerDate && ids.includes(n.identifier)));
+    }
+  }
+
+  // UITable: every present() and reload() records the rows (cell titles and subtitles)
+  // in state.tables; taps run the row's onSelect until a dismissOnSelect row is hit.
+  class UITableCell {
+    constructor(title = null, subtitle = null) {
+      this.title = title; this.subtitle = subtitle; this.widthWeight = 1;
+    }
+    static text(title, subtitle) { return new UITableCell(title, subtitle); }
+    static button(title) { return new UITableCell(title); }
+    leftAligned() { this.align = "left"; }
+    centerAligned() { this.align = "center"; }
+    rightAligned() { this.align = "right"; }
+  }
+
+  class UITableRow {
+    constructor() { this.cells = []; this.height = 44; this.isHeader = false; this.dismissOnSelect = true; this.onSelect = null; }
+    addCell(cell) { this.cells.push(cell); }
+    addText(title, subtitle) { const c = UITableCell.text(title, subtitle); this.cells.push(c); return c; }
+    addButton(title) { const c = UITableCell.button(title); this.cells.push(c); return c; }
+  }
+
+  class UITable {
+    constructor() { this.rows = []; this.showSeparators = false; this.presented = false; }
+    addRow(row) { this.rows.push(row); }
+    removeRow(row) { this.rows = this.rows.filter(r => r !== row); }
+    removeAllRows() { this.rows = []; }
+    _record() {
+      state.tables.push(this.rows.map(r => r.cells.flatMap(c => [c.title, c.subtitle]).filter(t => t != null)));
+    }
+    reload() { if (this.presented) this._record(); }
+    async present() {
+      this.presented = true;
+      this._record();
+      while (tapQueue.length) {
+        const tap = tapQueue.shift();
+        const row = typeof tap === "number" ? this.rows[tap] : this.rows.find(r => r.cells.some(c => c.title === tap));
+        if (!row) throw new Error(`No table row "${tap}"`);
+        if (row.onSelect) await row.onSelect(this.rows.indexOf(row));
+        if (row.dismissOnSelect) break;
+      }
+      this.presented = false;
+    }
+  }
+
+  class ListWidget extends WidgetStack {
+    constructor() { super("widget"); }
+    _present(f) { state.presented = { family: f, widget: this }; return Promise.resolve(); }
+    presentSmall() { return this._present("small"); }
+    presentMedium() { return this._present("medium"); }
+    presentLarge() { return this._present("large"); }
+    presentExtraLarge() { return this._present("extraLarge"); }
+    presentAccessoryCircular() { return this._present("accessoryCircular"); }
+    presentAccessoryRectangular() { return this._present("accessoryRectangular"); }
+    presentAccessoryInline() { return this._present("accessoryInline"); }
+  }
+
+  const Script = {
+    name: () => options.scriptName || "weatherwidget",
+    setWidget(w) { state.setWidget = w; },
+    setShortcutOutput(v) { state.shortcutOutput = v; },
+    complete() { state.completed = true; }
+  };
+
+  const Device = {
+    isUsingDarkAppearance: () => !!options.darkMode && !runsInWidget,
+    screenSize: () => new Size(390, 844),
+    screenResolution: () => new Size(1170, 2532),
+    screenScale: () => 3,
+    locale: () => "en_US",
+    language: () => "en",
+    preferredLanguages: () => ["en-US"],
+    model: () => "iPhone",
+    isPhone: () => true,
+    isPad: () => false
+  };
+
+  const logger = kind => (...a) => state.logs.push({ kind, text: a.map(String).join(" ") });
+
+  const sandbox = {
+    console: { log: logger("log"), warn: logger("warn"), error: logger("error") },
+    Date: FakeDate,
+    Request,
+    Timer,
+    FileManager,
+    Keychain,
+    Location,
+    Alert,
+    Notification,
+    UITable,
+    UITableRow,
+    UITableCell,
+    ListWidget,
+    WidgetStack,
+    SFSymbol,
+    Color,
+    Font,
+    Size,
+    Point,
+    Rect,
+    Path,
+    Image,
+    LinearGradient,
+    Script,
+    Device,
+    DrawContext: makeDrawContext(state),
+    Photos: {
+      async fromLibrary() {
+        if (!options.photo) throw new Error("No image was picked.");
+        return new Image("photo", new Size(...options.photo));
+      }
+    },
+    Safari: { open: url => state.opened.push(url), openInApp: async url => { state.opened.push(url); } },
+    URLScheme: { forRunningScript: () => `scriptable:///run/${encodeURIComponent(Script.name())}` },
+    config: {
+      runsInWidget,
+      runsInApp: !runsInWidget && !options.runsWithSiri,
+      runsWithSiri: !!options.runsWithSiri,
+      runsInAccessoryWidget: runsInWidget && String(family).startsWith("accessory"),
+      widgetFamily: runsInWidget ? family : undefined
+    },
+    args: {
+      widgetParameter: options.widgetParameter ?? null,
+      queryParameters: options.queryParameters || {},
+      shortcutParameter: options.shortcutParameter ?? null,
+      plainTexts: [],
+      urls: [],
+      fileURLs: [],
+      images: []
+    },
+    setTimeout,
+    clearTimeout
+  };
+  sandbox.globalThis = sandbox;
+
+  const context = vm.createContext(sandbox);
+  const modules = {};
+
+  // importModule: loads <name>.js from the repo root into the same context
+  sandbox.importModule = name => {
+    const file = path.join(ROOT, name.endsWith(".js") ? name : `${name}.js`);
+    if (modules[file]) return modules[file].exports;
+    const module = { exports: {} };
+    modules[file] = module;
+    const src = fs.readFileSync(file, "utf8");
+    const fn = vm.runInContext(`(function (module, exports) {\n${src}\n})`, context, { filename: file });
+    fn(module, module.exports);
+    return module.exports;
+  };
+
+  return { context, sandbox, state, docs: DOCS };
+}
+
+async function runScript(script, options = {}) {
+  const rt = createRuntime(options);
+  const file = path.join(ROOT, script);
+  const src = fs.readFileSync(file, "utf8");
+
+  let error = null;
+  try {
+    await vm.runInContext(`(async () => {\n${src}\n})()`, rt.context, { filename: file });
+  } catch (err) {
+    error = err; // uncaught by the script itself
+  }
+
+  const { state } = rt;
+  const widgetObj = state.setWidget || (state.presented && state.presented.widget);
+  const widget = widgetObj ? plain(widgetObj) : null;
+
+  return {
+    widget,
+    error,
+    presented: state.presented && state.presented.family,
+    requests: state.requests,
+    alerts: state.alerts,
+    logs: state.logs,
+    files: state.files,
+    keychain: state.keychain,
+    state,
+    runtime: rt,
+    texts: () => collect(widget, n => n.type === "text").map(n => n.text),
+    symbols: () => collect(widget, n => n.type === "image" && /^sf:/.test(n.image))
+      .map(n => n.image.slice(3)),
+    find: pred => collect(widget, pred),
+    file: name => {
+      const s = state.files[`${DOCS}/${name}`];
+      return s == null ? null : JSON.parse(s);
+    }
+  };
+}
+
+// Load a module into a fresh fake runtime (for helpers that need Scriptable globals)
+function loadModule(name, options = {}) {
+  const rt = createRuntime(options);
+  return { lib: rt.sandbox.importModule(name), runtime: rt, state: rt.state };
+}
+
+// File name of a per-place cache (alerts, air quality, pollen; see placeCacheConfig):
+// the default GPS fix and no widget parameter unless given
+function placeCacheFile(baseName, loc = { latitude: 50.0647, longitude: 19.945 }, cacheKey = "") {
+  const { lib } = loadModule("weatherwidget_lib");
+  return lib.cachePathFor(lib.placeCacheConfig({ cacheKey, maxStaleMin: 0 }, 0, loc), baseName).split("/").pop();
+}
+
+module.exports = { ROOT, DOCS, fixture, createRuntime, runScript, loadModule, toSnapshot, plain, placeCacheFile };
@@ -0,0 +1,543 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+const { runScript, fixture, plain, DOCS, placeCacheFile } = require("./scriptable");
+
+const NOW = "2026-10-19T18:30:00Z";
+const ALERTS_CACHE = placeCacheFile("google_weather_alerts_cache");
+const current = () => ({ match: "currentConditions:lookup", body: fixture("current_conditions") });
+// Fresh sunrise/sunset, history and alerts caches keep the extra calls out of the request counts
+const sunCache = () => ({ timestamp: Date.parse(NOW), data: fixture("forecast_days") });
+const noAlerts = () => ({ timestamp: Date.parse(NOW), data: {} });
+// history as fetched at 00:30 today (Warsaw): all of yesterday
+const HISTORY_AT = "2026-10-18T22:30:00Z";
+const historyCache = () => ({ timestamp: Date.parse(HISTORY_AT), data: fixture("history_hours") });
+const run = (opts = {}) => runScript("weatherwidget.js", {
+  now: NOW, routes: [current()], ...opts,
+  files: {
+    "google_weather_sun_cache.json": sunCache(),
+    "google_weather_history_cache.json": historyCache(),
+    [ALERTS_CACHE]: noAlerts(),
+    ...opts.files
+  }
+});
+
+test("renders current conditions and caches the response", async () => {
+  const r = await run();
+  assert.equal(r.error, null);
+  assert.deepEqual(r.texts().slice(0, 1), ["Kraków"]);
+  assert.ok(r.texts().includes("14°C"));
+  assert.ok(r.texts().includes("Częściowe zachmurzenie"));
+  assert.ok(r.texts().includes("8 km/h NNW"));
+  assert.deepEqual(r.symbols(), ["cloud.moon.fill"]);
+  assert.equal(r.requests.length, 1);
+  assert.match(r.requests[0].url, /location\.latitude=50\.0647/);
+  assert.equal(r.file("google_weather_cache.json").data.temperature.degrees, 13.7);
+  assert.ok(r.state.completed);
+});
+
+test("every widget family gets its own layout", async () => {
+  const seen = new Set();
+  for (const family of ["small", "medium", "large", "accessoryCircular", "accessoryRectangular", "accessoryInline"]) {
+    const r = await run({ family });
+    assert.equal(r.error, null, family);
+    assert.ok(r.texts().some(t => t.includes("14°")), family);
+    seen.add(JSON.stringify(r.widget));
+  }
+  assert.equal(seen.size, 6);
+
+  const large = await run({ family: "large" });
+  assert.ok(large.texts().includes("1016 hPa"));
+  const circular = await run({ family: "accessoryCircular" });
+  assert.equal(circular.widget.backgroundGradient, undefined);
+});
+
+test("in-app run previews the chosen family", async () => {
+  const r = await run({ family: null, taps: ["large"] });
+  assert.equal(r.presented, "large");
+  assert.deepEqual(r.state.tables[0].slice(2, 5), [["small"], ["medium"], ["large"]]);
+
+  // closing the menu ends the run without a request
+  const closed = await run({ family: null });
+  assert.equal(closed.presented, null);
+  assert.equal(closed.requests.length, 0);
+  assert.ok(closed.state.completed);
+});
+
+test("a fresh cache is served without calling the API", async () => {
+  const cached = { timestamp: Date.parse(NOW) - 2 * 60 * 1000, data: fixture("current_conditions") };
+  const r = await run({ files: { "google_weather_cache.json": cached } });
+  assert.equal(r.requests.length, 0);
+  assert.ok(r.texts().includes("14°C"));
+  assert.ok(r.texts().includes("2 min temu"));
+});
+
+test("a stale cache is refetched and used as fallback when the network fails", async () => {
+  const cached = { timestamp: Date.parse(NOW) - 2 * 60 * 60 * 1000, data: fixture("current_conditions") };
+  cached.data.temperature.degrees = 3;
+
+  const refreshed = await run({ files: { "google_weather_cache.json": cached } });
+  assert.equal(refreshed.requests.length, 1);
+  assert.ok(refreshed.texts().includes("14°C"));
+  assert.ok(refreshed.texts().includes("Przed chwilą"));
+
+  const offline = await run({ routes: [], files: { "google_weather_cache.json": cached } });
+  assert.ok(offline.texts().includes("3°C"));
+  assert.ok(offline.texts().includes("2 godz. temu"));
+  assert.ok(offline.symbols().includes("exclamationmark.arrow.circlepath"));
+  assert.equal(offline.file("google_weather_cache.json").timestamp, cached.timestamp);
+
+  const old = { ...cached, timestamp: Date.parse(NOW) - 4 * 60 * 60 * 1000 };
+  const tooOld = await run({ routes: [], files: { "google_weather_cache.json": old } });
+  assert.equal(tooOld.texts()[0], "Błąd pogody");
+});
+
+test("shows the error widget without cache", async () => {
+  const offline = await run({ routes: [] });
+  assert.equal(offline.texts()[0], "Błąd pogody");
+  assert.match(offline.texts()[1], /offline/);
+
+  const forbidden = await run({ routes: [{ match: "currentConditions", status: 403, body: fixture("error_api_key_invalid") }] });
+  assert.equal(forbidden.texts()[0], "Błąd pogody");
+  assert.match(forbidden.texts()[1], /403/);
+  assert.equal(forbidden.file("google_weather_cache.json"), null);
+
+  const unavailable = await run({ routes: [{ match: "currentConditions", status: 503, body: fixture("error_unavailable") }] });
+  assert.match(unavailable.texts()[1], /503/);
+});
+
+test("missing Keychain key or GPS ends in the error widget", async () => {
+  const noKey = await run({ keychain: null });
+  assert.equal(noKey.texts()[0], "Błąd pogody");
+  assert.equal(noKey.requests.length, 0);
+
+  const noGps = await run({ location: new Error("Location services are disabled") });
+  assert.equal(noGps.texts()[0], "Błąd pogody");
+  assert.match(noGps.texts()[1], /Location services/);
+});
+
+test("widget parameter picks coordinates, name and its own cache file", async () => {
+  const r = await run({ widgetParameter: "lat=52.23;lon=21.01;name=Warsaw;lang=en" });
+  assert.equal(r.texts()[0], "Warsaw");
+  assert.match(r.requests[0].url, /location\.latitude=52\.23&location\.longitude=21\.01/);
+  assert.match(r.requests[0].url, /languageCode=en/);
+  assert.equal(r.file("google_weather_cache.json"), null);
+  assert.ok(Object.keys(r.files).some(p => /google_weather_cache_\w+\.json$/.test(p)));
+
+  const bad = await run({ widgetParameter: "lat=200" });
+  assert.equal(bad.texts()[0], "Błąd pogody");
+  assert.match(bad.texts()[1], /Invalid widget parameter/);
+});
+
+test("API calls are counted and an over-budget pace stretches cache and refresh", async () => {
+  const r = await run();
+  assert.deepEqual(r.file("google_weather_quota.json"), { month: "2026-10", calls: 1, endpoints: { "currentConditions:lookup": 1 } });
+
+  // 19 of 31 days elapsed, 9000 calls → projected ~14700 against the 10000 budget
+  const cached = { timestamp: Date.parse(NOW) - 6 * 60 * 1000, data: fixture("current_conditions") };
+  const busy = await run({
+    files: { "google_weather_cache.json": cached, "google_weather_quota.json": { month: "2026-10", calls: 9000, endpoints: {} } }
+  });
+  assert.equal(busy.requests.length, 0);
+  const refreshMin = (Date.parse(busy.widget.refreshAfterDate) - Date.parse(NOW)) / 60000;
+  assert.ok(refreshMin > 14 && refreshMin < 15, String(refreshMin));
+
+  const app = await run({
+    family: null, taps: ["small"], widgetParameter: "budget=2000;lang=en",
+    files: { "google_weather_quota.json": { month: "2026-10", calls: 600, endpoints: {} } }
+  });
+  const report = app.state.tables[0][1][0];
+  assert.match(report, /API calls in 2026-10: 600 of 2,000 \(1,400 left\)/);
+  assert.match(report, /Projected month-end total: 9\d\d\b/);
+});
+
+test("a rejected API key can be replaced from the app", async () => {
+  const routes = [
+    { match: url => url.includes("key=TEST_KEY"), status: 403, body: fixture("error_api_key_invalid") },
+    current()
+  ];
+  const widget = await run({ routes });
+  assert.match(widget.texts()[1], /API key not valid/);
+  assert.equal(widget.alerts.length, 0);
+
+  const app = await run({ family: null, routes, taps: ["medium"], alerts: [0, { index: 0, fields: [" NEW_KEY "] }] });
+  assert.equal(app.alerts[0].title, "Klucz API odrzucony");
+  assert.equal(app.keychain.GOOGLE_WEATHER_API_KEY, "NEW_KEY");
+  assert.match(app.requests[1].url, /key=NEW_KEY/);
+  assert.equal(app.presented, "medium");
+  assert.ok(app.texts().includes("14°C"));
+});
+
+test("without a GPS fix the last known location is used and flagged", async () => {
+  const first = await run({ placemarks: [{ locality: "Kraków" }] });
+  const saved = first.file("google_weather_location.json");
+  assert.equal(saved.name, "Kraków");
+
+  const r = await run({ location: new Error("GPS off"), files: { "google_weather_location.json": saved } });
+  assert.equal(r.error, null);
+  assert.equal(r.texts()[0], "Kraków");
+  assert.ok(r.symbols().includes("location.slash"));
+  assert.match(r.requests[0].url, /location\.latitude=50\.0647/);
+  assert.ok(!first.symbols().includes("location.slash"));
+});
+
+test("saved locations are managed in the app and rotate per refresh", async () => {
+  const app = await run({
+    family: null,
+    taps: ["Zapisane lokalizacje…", "medium"],
+    alerts: [1, { index: 0, fields: ["Warsaw office", "52,23", "21.01"] }, 1, { index: 0, fields: ["Bad", "95", "0"] }, 0, -1]
+  });
+  assert.equal(app.alerts[0].title, "Zapisane lokalizacje");
+  assert.equal(app.alerts[3].title, "Nowa lokalizacja");
+  assert.equal(app.alerts[4].title, "Nie zapisano lokalizacji");
+  assert.equal(app.presented, "medium");
+  const saved = app.file("google_weather_locations.json");
+  assert.deepEqual(saved, [{ name: "Current location", current: true }, { name: "Warsaw office", lat: 52.23, lon: 21.01 }]);
+
+  const files = { "google_weather_locations.json": saved };
+  const first = await run({ widgetParameter: "loc=rotate", files, placemarks: [{ locality: "Kraków" }] });
+  const carried = Object.fromEntries(Object.entries(first.files).map(([p, c]) => [p.split("/").pop(), c]));
+  const second = await run({ widgetParameter: "loc=rotate", files: carried });
+  assert.equal(first.texts()[0], "Kraków");
+  assert.equal(second.texts()[0], "Warsaw office");
+  assert.match(second.requests[0].url, /location\.latitude=52\.23/);
+  assert.equal(Object.keys(second.files).filter(p => /google_weather_cache_\w+\.json$/.test(p)).length, 2);
+
+  const pinned = await run({ widgetParameter: "loc=Warsaw office", files });
+  assert.equal(pinned.texts()[0], "Warsaw office");
+
+  // a tap opens the location the widget showed, though the rotation has moved on
+  const link = new URL(first.widget.url);
+  assert.equal(link.searchParams.get("pin"), "Current location");
+  const after = Object.fromEntries(Object.entries(second.files).map(([p, c]) => [p.split("/").pop(), c]));
+  const tapped = await run({ family: null, queryParameters: Object.fromEntries(link.searchParams), files: after });
+  assert.equal(tapped.error, null);
+  assert.equal(tapped.requests.length, 0);
+  assert.equal(tapped.state.tables[0][0][0], "Kraków");
+});
+
+test("details show the chance and amount of rain, highlighted from the umbrella threshold", async () => {
+  const r = await run();
+  assert.ok(r.texts().includes("Deszcz"));
+  assert.ok(r.texts().includes("10% · 0,0 mm"));
+
+  const wet = await run({ widgetParameter: "umbrella=10;precip=IN" });
+  const value = wet.find(n => n.text === "☂︎ 10% · 0,00 in")[0];
+  assert.equal(value.textColor, "#CFE8FF");
+});
+
+test("display units follow the widget parameter, not the API units", async () => {
+  const r = await run({ family: "large", widgetParameter: "temp=F;wind=ms;pressure=inhg" });
+  assert.match(r.requests[0].url, /unitsSystem=METRIC/);
+  assert.ok(r.texts().includes("57°F"));
+  assert.ok(r.texts().includes("2,2 m/s NNW"));
+  assert.ok(r.texts().includes("30,01 inHg"));
+
+  // 9.6 °C is interpolated as 9.6, not rounded up to the 10 °C stop (#2B4F9E, #2A5AD0)
+  const body = fixture("current_conditions");
+  body.temperature.degrees = 9.6;
+  body.isDaytime = true;
+  const cold = await run({ routes: [{ match: "currentConditions", body }] });
+  assert.deepEqual(cold.widget.backgroundGradient.gradient, ["#2A4E9C", "#2A5ACE"]);
+});
+
+test("themes, dark mode and background images", async () => {
+  // a widget can't ask for dark mode: it gets colours for both appearances
+  const auto = await run({ widgetParameter: "theme=auto", darkMode: true });
+  assert.equal(auto.find(n => n.type === "text")[0].textColor, "#1C1C1E|#F2F2F7");
+  assert.deepEqual(auto.widget.backgroundGradient.gradient, ["#D7DCE8|#000000", "#B9C1D4|#1C1C1E"]);
+  // looks-only keys share the default cache file
+  assert.ok(auto.file("google_weather_cache.json"));
+
+  // the in-app preview follows the device
+  const dark = await run({ family: null, taps: ["medium"], widgetParameter: "theme=auto", darkMode: true });
+  assert.equal(dark.find(n => n.type === "text")[0].textColor, "#F2F2F7");
+  const light = await run({ family: null, taps: ["medium"], widgetParameter: "theme=auto" });
+  assert.equal(light.find(n => n.type === "text")[0].textColor, "#1C1C1E");
+  assert.deepEqual(light.widget.backgroundGradient.gradient, ["#D7DCE8", "#B9C1D4"]);
+
+  // In the app: crop a 1170×2532 screenshot for the medium "top" slot
+  const setup = await run({ family: null, photo: [1170, 2532], taps: ["Przezroczyste tło…", "medium"], alerts: [0, 1, 0, 0] });
+  assert.equal(setup.error, null);
+  assert.deepEqual(setup.state.drawings[0][0].slice(0, 1), ["drawImageAtPoint"]);
+  assert.deepEqual(setup.state.drawings[0][0][2], { x: -78, y: -231 });
+  assert.equal(setup.files[`${DOCS}/google_weather_bg_medium_top.jpg`], "<image>");
+  assert.match(setup.alerts[3].message, /bg=transparent:top/);
+
+  const files = { "google_weather_bg_medium_top.jpg": "<image>" };
+  const bg = await run({ widgetParameter: "bg=transparent:top", files });
+  assert.equal(bg.widget.backgroundImage, `file:${DOCS}/google_weather_bg_medium_top.jpg`);
+  assert.equal(bg.widget.backgroundGradient, undefined);
+  const missing = await run({ family: "small", widgetParameter: "bg=transparent:top" });
+  assert.ok(missing.widget.backgroundGradient);
+
+  const unsupported = await run({ family: null, photo: [1000, 1000], taps: ["Przezroczyste tło…", "medium"], alerts: [0, 0] });
+  assert.match(unsupported.alerts[1].message, /1000×1000/);
+  assert.equal(unsupported.presented, "medium");
+});
+
+test("refreshes right after the next sunrise or sunset", async () => {
+  const beforeSunset = "2026-10-19T15:40:00Z";
+  const sun = { match: "forecast/days:lookup", body: fixture("forecast_days") };
+  const r = await runScript("weatherwidget.js", { now: beforeSunset, routes: [current(), sun] });
+  assert.equal(r.widget.refreshAfterDate, "2026-10-19T15:49:00.000Z");
+  const sunRequest = r.requests.find(q => q.url.includes("forecast/days"));
+  assert.match(sunRequest.url, /days=2&pageSize=2/);
+  assert.ok(r.file("google_weather_sun_cache.json"));
+
+  // cached events are reused
+  const again = await runScript("weatherwidget.js", { now: beforeSunset, routes: [current(), sun], files: { "google_weather_sun_cache.json": r.file("google_weather_sun_cache.json") } });
+  assert.equal(again.requests.filter(q => q.url.includes("forecast/days")).length, 0);
+
+  // over budget its 12 h lifetime is stretched like the main cache: 14 h old is still fresh
+  const aged = { ...r.file("google_weather_sun_cache.json"), timestamp: Date.parse(beforeSunset) - 14 * 60 * 60 * 1000 };
+  const busy = await runScript("weatherwidget.js", {
+    now: beforeSunset, routes: [current(), sun],
+    files: { "google_weather_sun_cache.json": aged, "google_weather_quota.json": { month: "2026-10", calls: 9000, endpoints: {} } }
+  });
+  assert.equal(busy.requests.filter(q => q.url.includes("forecast/days")).length, 0);
+
+  // without sun events the regular interval applies and the widget still renders
+  const offline = await runScript("weatherwidget.js", { now: beforeSunset, routes: [current()] });
+  assert.equal(offline.error, null);
+  assert.equal(offline.widget.refreshAfterDate, "2026-10-19T15:50:00.000Z");
+  assert.ok(offline.logs.some(l => /Sunrise\/sunset unavailable/.test(l.text)));
+});
+
+test("compares with yesterday from a history fetched once a day", async () => {
+  const r = await run();
+  assert.equal(r.requests.length, 1);
+  // 14°C now, 10°C at 20:00 yesterday
+  assert.ok(r.texts().includes("+4° od wczoraj"));
+
+  const large = await run({ family: "large" });
+  const i = large.texts().indexOf("Wczoraj");
+  assert.equal(large.texts()[i + 1], "16° / 6°");
+
+  // a cache from before midnight is replaced, once
+  const history = { match: "history/hours:lookup", body: fixture("history_hours") };
+  const beforeMidnight = { timestamp: Date.parse("2026-10-18T21:30:00Z"), data: fixture("history_hours") };
+  const refetched = await run({
+    routes: [current(), history],
+    files: { "google_weather_history_cache.json": beforeMidnight }
+  });
+  assert.equal(refetched.requests.length, 2);
+  assert.match(refetched.requests[1].url, /history\/hours:lookup\?.*hours=24&pageSize=24/);
+  assert.equal(refetched.file("google_weather_history_cache.json").timestamp, Date.parse(NOW));
+
+  // over budget the lifetime is stretched like the main cache, and the old copy kept
+  const busy = await run({
+    routes: [current(), history],
+    files: {
+      "google_weather_history_cache.json": beforeMidnight,
+      "google_weather_quota.json": { month: "2026-10", calls: 9000, endpoints: {} }
+    }
+  });
+  assert.equal(busy.requests.filter(q => q.url.includes("history")).length, 0);
+
+  // history unavailable: no comparison, the rest of the widget is unaffected
+  const failed = await run({ files: { "google_weather_history_cache.json": beforeMidnight } });
+  assert.equal(failed.error, null);
+  assert.ok(failed.texts().includes("14°C"));
+  assert.ok(!failed.texts().some(t => t.includes("wczoraj")));
+  assert.ok(failed.logs.some(l => /History unavailable/.test(l.text)));
+});
+
+test("the in-app menu edits shared settings, the API key and the caches", async () => {
+  const app = await run({
+    family: null,
+    taps: ["lang", "temp", "Zmień klucz API", "Wyczyść cache", "medium"],
+    alerts: [{ index: 0, fields: ["en"] }, { index: 0, fields: ["K"] }, 0, { index: 0, fields: ["NEW_KEY"] }, 0]
+  });
+  assert.equal(app.error, null);
+  assert.match(app.alerts[2].message, /temp must be one of C, F/);
+  assert.deepEqual(app.file("google_weather_settings.json"), { lang: "en" });
+  assert.ok(app.state.tables.at(-1).some(r => r[0] === "lang" && r[1] === "en"));
+  assert.equal(app.keychain.GOOGLE_WEATHER_API_KEY, "NEW_KEY");
+  // sun, history and alerts caches went; the location, quota and settings files stay
+  assert.equal(app.alerts[4].message, "Usunięte pliki cache: 3.");
+  assert.equal(app.file("google_weather_sun_cache.json"), null);
+  assert.ok(app.file("google_weather_location.json"));
+  // the preview already uses the new settings
+  assert.equal(app.presented, "medium");
+  assert.ok(app.texts().includes("Feels"));
+  assert.match(app.requests[0].url, /key=NEW_KEY.*languageCode=en/);
+
+  // every script reads the settings; a widget parameter still wins
+  const files = { "google_weather_settings.json": { lang: "en", lat: "52.23", lon: "21.01" } };
+  const widget = await run({ files });
+  assert.ok(widget.texts().includes("Feels"));
+  assert.match(widget.requests[0].url, /location\.latitude=52\.23/);
+  const daily = await runScript("weatherwidget_daily.js", {
+    now: NOW, widgetParameter: "lang=de", files,
+    routes: [{ match: "forecast/days:lookup", body: fixture("forecast_days") }]
+  });
+  assert.ok(daily.texts().includes("Gefühlt"));
+  assert.match(daily.requests[0].url, /location\.latitude=52\.23.*languageCode=de/);
+
+  const deleted = await run({ family: null, taps: ["Usuń klucz API"], alerts: [0] });
+  assert.deepEqual(deleted.keychain, {});
+  assert.equal(deleted.presented, null);
+});
+
+test("the in-app detail view lists every field of the current response", async () => {
+  const r = await run({ family: null, taps: ["Wszystkie bieżące dane"] });
+  assert.equal(r.error, null);
+  assert.equal(r.presented, null);
+  const rows = Object.fromEntries(r.state.tables.at(-1).slice(1));
+  assert.equal(rows["Ciśnienie"], "1016 hPa");
+  assert.equal(rows["Punkt rosy"], "5°C");
+  assert.equal(rows["UV"], "0");
+  assert.equal(rows["Widoczność"], "16 km");
+  assert.equal(rows["Chmury"], "40%");
+  assert.equal(rows["Burza"], "0%");
+  assert.equal(rows["Zmiana w 24 godz."], "−2°");
+  assert.equal(rows["Pomiar"], "20:24");
+});
+
+test("a tap on the widget opens the detail view", async () => {
+  const widget = await run({ family: "small" });
+  assert.equal(widget.widget.url, "scriptable:///run/weatherwidget?view=current");
+
+  const r = await run({ family: null, queryParameters: { view: "current" } });
+  assert.equal(r.error, null);
+  assert.equal(r.state.tables.length, 1);
+  assert.deepEqual(r.state.tables[0][0], ["Kraków"]);
+});
+
+test("active weather alerts add a banner, tinted by the most severe one", async () => {
+  const cachedAlerts = { timestamp: Date.parse(NOW), data: fixture("public_alerts") };
+  const r = await run({ family: "medium", files: { [ALERTS_CACHE]: cachedAlerts } });
+  assert.equal(r.error, null);
+  // the expired frost warning is gone
+  assert.ok(r.texts().includes("Groźne: Pomarańczowe ostrzeżenie: silny wiatr +1"));
+  assert.ok(r.symbols().includes("exclamationmark.triangle.fill"));
+  const banner = r.find(n => n.type === "stack" && /view=alerts/.test(n.url || ""))[0];
+  assert.equal(banner.url, "scriptable:///run/weatherwidget?view=alerts");
+  assert.equal(banner.backgroundColor, "#D32F2F");
+  assert.deepEqual(r.widget.backgroundGradient.gradient, ["#5F0F0F", "#9B1C1C"]);
+
+  const inline = await run({ family: "accessoryInline", files: { [ALERTS_CACHE]: cachedAlerts } });
+  assert.ok(!inline.texts().some(t => t.includes("Groźne")));
+
+  // moved with GPS: Kraków's alerts are not shown for Warsaw, fresh or stale
+  const warsaw = { latitude: 52.23, longitude: 21.01 };
+  const moved = await run({ location: warsaw, files: { [ALERTS_CACHE]: cachedAlerts } });
+  assert.ok(!moved.texts().some(t => t.startsWith("Groźne:")));
+  assert.match(moved.requests.find(q => q.url.includes("publicAlerts")).url, /location\.latitude=52\.23/);
+});
+
+test("alerts are fetched without units and fail without taking the widget down", async () => {
+  const old = Date.parse(NOW) - 48 * 60 * 60 * 1000;
+  const files = { [ALERTS_CACHE]: { timestamp: old, data: {} } };
+  const r = await run({ files, routes: [current(), { match: "publicAlerts:lookup", body: fixture("public_alerts") }] });
+  const url = r.requests.find(q => q.url.includes("publicAlerts")).url;
+  assert.match(url, /location\.latitude=50\.0647/);
+  assert.doesNotMatch(url, /unitsSystem/);
+  assert.ok(r.texts().some(t => t.startsWith("Groźne:")));
+
+  const failed = await run({ files });
+  assert.equal(failed.error, null);
+  assert.ok(failed.texts().includes("14°C"));
+  assert.ok(!failed.texts().some(t => t.startsWith("Groźne:")));
+  assert.ok(failed.logs.some(l => /Weather alerts unavailable/.test(l.text)));
+});
+
+test("a tap on the banner lists every active alert in full", async () => {
+  const cachedAlerts = { timestamp: Date.parse(NOW), data: fixture("public_alerts") };
+  const r = await run({ family: null, queryParameters: { view: "alerts" }, files: { [ALERTS_CACHE]: cachedAlerts } });
+  assert.equal(r.error, null);
+  assert.equal(r.state.tables.length, 1);
+  const table = r.state.tables[0];
+  assert.deepEqual(table[0], ["Ostrzeżenia pogodowe"]);
+  assert.deepEqual(table[1], ["Groźne: Pomarańczowe ostrzeżenie: silny wiatr"]);
+  assert.deepEqual(table[2], ["Obszar", "powiat krakowski"]);
+  assert.ok(table.some(row => row[0] === "Wydane przez" && row[1] === "Instytut Meteorologii i Gospodarki Wodnej"));
+  // expiry in the device's time zone (UTC here)
+  assert.deepEqual(table[4], ["Do", "wt., 20 paź, 06:00"]);
+  assert.ok(table.some(row => row[0] === "Nie parkuj pod drzewami."));
+  assert.ok(table.some(row => row[0] === "Umiarkowane: Żółte ostrzeżenie: opady deszczu"));
+
+  const none = await run({ family: null, queryParameters: { view: "alerts" } });
+  assert.deepEqual(none.state.tables[0].slice(1), [["Brak aktywnych ostrzeżeń"]]);
+});
+
+test("air quality and pollen fill optional detail slots from their own APIs and caches", async () => {
+  const air = { match: "airquality.googleapis.com/v1/currentConditions:lookup", body: fixture("air_quality") };
+  const pollen = { match: "pollen.googleapis.com/v1/forecast:lookup", body: fixture("pollen_forecast") };
+  const widgetParameter = "details=feels,aqi,pollutant,grass,tree,weed";
+  // before current(), whose match would also catch the air quality URL
+  const r = await run({ widgetParameter, routes: [air, pollen, current()] });
+  assert.equal(r.error, null);
+  for (const t of ["Odczuwalna", "AQI", "58", "PM2.5", "Trawy", "Bardzo niski", "Drzewa", "Chwasty", "Niski"]) {
+    assert.ok(r.texts().includes(t), t);
+  }
+  // trees are out of season
+  assert.ok(r.texts().includes("—"));
+  assert.ok(!r.texts().includes("Wilg."));
+  const aqi = r.find(n => n.type === "image" && n.image === "sf:aqi.medium")[0];
+  assert.equal(aqi.tintColor, "#B3D220");
+
+  const airRequest = r.requests.find(q => q.url.includes("airquality"));
+  assert.equal(airRequest.method, "POST");
+  assert.deepEqual(JSON.parse(airRequest.body), { location: { latitude: 50.0647, longitude: 19.945 }, languageCode: "pl" });
+  assert.match(r.requests.find(q => q.url.includes("pollen")).url, /location\.latitude=50\.0647&location\.longitude=19\.945&days=1/);
+  const quota = r.file("google_weather_quota.json").endpoints;
+  assert.equal(quota["airquality/currentConditions:lookup"], 1);
+  assert.equal(quota["pollen/forecast:lookup"], 1);
+  assert.equal(quota["currentConditions:lookup"], 1);
+
+  // both caches are still fresh on the next run
+  const files = Object.fromEntries(Object.entries(r.files).map(([k, v]) => [k.split("/").pop(), JSON.parse(v)]));
+  const again = await run({ widgetParameter, files, routes: [] });
+  assert.ok(!again.requests.some(q => /airquality|pollen|currentConditions/.test(q.url)));
+  assert.ok(again.texts().includes("58"));
+  assert.ok(again.texts().includes("Niski"));
+});
+
+test("a failed air quality or pollen request only leaves its slots out", async () => {
+  const pollen = { match: "pollen.googleapis.com", body: fixture("pollen_forecast") };
+  const offline = { match: "airquality.googleapis.com", error: "The Internet connection appears to be offline." };
+  const r = await run({ widgetParameter: "details=feels,aqi,weed", routes: [offline, pollen, current()] });
+  assert.equal(r.error, null);
+  assert.ok(r.texts().includes("Odczuwalna"));
+  assert.ok(r.texts().includes("Niski"));
+  assert.ok(!r.texts().includes("AQI"));
+  assert.ok(r.logs.some(l => /Air quality unavailable/.test(l.text)));
+
+  // the default slots never call either API
+  const plainRun = await run({ family: "large" });
+  assert.ok(!plainRun.requests.some(q => /airquality|pollen/.test(q.url)));
+});
+
+test("notification rules are checked on new data, not on a cached copy", async () => {
+  const rules = { rules: [{ when: "gust", above: 15 }, { when: "temp", below: 0 }] };
+  const r = await run({ files: { "google_weather_rules.json": rules } });
+  assert.equal(r.error, null);
+  assert.deepEqual(r.state.notifications.map(n => [n.title, n.body]), [["Kraków", "Porywy wiatru do 18 km/h"]]);
+
+  const cached = await run({ files: { "google_weather_rules.json": rules, "google_weather_cache.json": r.file("google_weather_cache.json") } });
+  assert.equal(cached.requests.length, 0);
+  assert.deepEqual(cached.state.notifications, []);
+});
+
+test("from Shortcuts it returns a spoken summary and the data instead of a widget", async () => {
+  const r = await run({
+    family: null, runsWithSiri: true,
+    shortcutParameter: { lang: "en", units: "IMPERIAL", location: "52.23,21.01", name: "Warsaw" }
+  });
+  assert.equal(r.error, null);
+  assert.equal(r.widget, null);
+  assert.equal(r.state.tables.length, 0);
+  assert.match(r.requests[0].url, /latitude=52\.23&location\.longitude=21\.01&languageCode=en&unitsSystem=IMPERIAL/);
+  const out = r.state.shortcutOutput;
+  assert.equal(out.summary, "57° and częściowe zachmurzenie in Warsaw, feels like 54°, wind 5 mph NNW");
+  assert.deepEqual(plain(out.location), { name: "Warsaw", latitude: 52.23, longitude: 21.01 });
+  assert.equal(out.units.temp, "F");
+  assert.equal(out.current.temperature, 56.7);
+  assert.deepEqual(plain(out.current.wind), { speed: 5, gust: 11.2, direction: "NNW" });
+
+  const bad = await run({ family: null, runsWithSiri: true, shortcutParameter: "data=forecast" });
+  assert.equal(bad.widget, null);
+  assert.equal(bad.state.shortcutOutput.error, "data must be current for this script");
+});
@@ -0,0 +1,140 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+const { runScript, fixture, placeCacheFile } = require("./scriptable");
+
+const NOW = "2026-10-19T10:00:00Z";
+const ALERTS_CACHE = placeCacheFile("google_weather_alerts_cache");
+const currentBody = (degrees = 5.2) => {
+  const body = fixture("current_conditions");
+  body.temperature.degrees = degrees;
+  return body;
+};
+const current = () => ({ match: "currentConditions:lookup", body: currentBody() });
+const days = () => ({ match: "forecast/days:lookup", body: fixture("forecast_days") });
+const run = (opts = {}) => runScript("weatherwidget_combined.js", { now: NOW, routes: [current(), days()], ...opts });
+
+test("hero shows the real current temperature with today's high and low", async () => {
+  const r = await run();
+  assert.equal(r.error, null);
+  assert.ok(r.texts().includes("5°C"));
+  assert.ok(r.texts().includes("14° / 5°"));
+  assert.ok(!r.texts().includes("14°C"));
+  // hero icon + 5 strip days
+  assert.equal(r.symbols().length, 6);
+  assert.match(r.requests.find(q => q.url.includes("forecast/days")).url, /days=5&pageSize=5/);
+  assert.ok(r.file("google_weather_combined_current_cache.json"));
+  assert.ok(r.file("google_weather_combined_forecast_cache.json"));
+});
+
+test("both requests go out together", async () => {
+  // a timed-out current request is retried only after the forecast request was sent
+  const r = await run({ routes: [{ match: "currentConditions", error: "The request timed out." }, days()] });
+  assert.deepEqual(r.requests.slice(0, 3).map(q => q.url.match(/v1\/([^?]+)/)[1]),
+    ["currentConditions:lookup", "forecast/days:lookup", "currentConditions:lookup"]);
+});
+
+test("each part falls back on its own", async () => {
+  const noCurrent = await run({ routes: [days()] });
+  assert.equal(noCurrent.error, null);
+  assert.ok(noCurrent.texts().includes("14° / 5°"));
+  assert.ok(noCurrent.texts().includes("—"));
+  assert.ok(noCurrent.symbols().includes("exclamationmark.arrow.circlepath"));
+
+  const noForecast = await run({ routes: [current()] });
+  assert.ok(noForecast.texts().includes("5°C"));
+  assert.ok(noForecast.texts().includes("Brak danych prognozy"));
+  assert.equal(noForecast.symbols().length, 2);
+
+  // a stale forecast cache stands in for a failed forecast request
+  const cachedAt = Date.parse(NOW) - 2 * 60 * 60 * 1000;
+  const stale = await run({
+    routes: [current()],
+    files: { "google_weather_combined_forecast_cache.json": { timestamp: cachedAt, data: fixture("forecast_days") } }
+  });
+  assert.ok(stale.texts().includes("14° / 5°"));
+  assert.ok(stale.texts().includes("2 godz. temu"));
+
+  const neither = await run({ routes: [], family: "small" });
+  assert.equal(neither.texts()[0], "Błąd pogody");
+});
+
+test("a rejected API key is replaced once for both requests", async () => {
+  const routes = [
+    { match: url => url.includes("key=TEST_KEY"), status: 403, body: fixture("error_api_key_invalid") },
+    current(), days()
+  ];
+  const app = await run({ family: null, routes, taps: ["medium"], alerts: [0, { index: 0, fields: ["NEW_KEY"] }] });
+  assert.equal(app.error, null);
+  // one prompt and one key entry, not one per request
+  assert.equal(app.alerts.length, 2);
+  assert.equal(app.alerts[0].title, "Klucz API odrzucony");
+  assert.equal(app.keychain.GOOGLE_WEATHER_API_KEY, "NEW_KEY");
+  assert.equal(app.requests.filter(q => q.url.includes("key=NEW_KEY")).length, 2);
+  assert.equal(app.presented, "medium");
+  assert.ok(app.texts().includes("5°C"));
+});
+
+test("every widget family renders and large lists more days", async () => {
+  for (const family of ["small", "large", "accessoryCircular", "accessoryRectangular", "accessoryInline"]) {
+    const r = await run({ family });
+    assert.equal(r.error, null, family);
+    assert.ok(r.texts().some(t => t.includes("5°")), family);
+  }
+  const large = await run({ family: "large" });
+  assert.match(large.requests.find(q => q.url.includes("forecast/days")).url, /days=10&pageSize=10/);
+  assert.ok(large.texts().includes("Odczuwalna"));
+});
+
+test("taps open the current conditions or a day from the strip", async () => {
+  const medium = await run({ family: "medium" });
+  assert.equal(medium.widget.url, "scriptable:///run/weatherwidget?view=current");
+  assert.deepEqual(medium.find(n => n.type === "stack" && /view=day/.test(n.url || "")).map(n => n.url.slice(-1)),
+    ["0", "1", "2", "3", "4"]);
+
+  const now = await run({ family: null, queryParameters: { view: "current" } });
+  assert.equal(now.error, null);
+  const rows = Object.fromEntries(now.state.tables[0].slice(1));
+  assert.equal(rows["Temperatura"], "5°C");
+  assert.equal(rows["Ciśnienie"], "1016 hPa");
+
+  const day = await run({ family: null, queryParameters: { view: "day", index: "1" } });
+  assert.deepEqual(day.state.tables[0][0], ["wtorek, 20 października"]);
+});
+
+test("from Shortcuts the input picks current conditions or the forecast", async () => {
+  const now = await run({ family: null, runsWithSiri: true });
+  assert.equal(now.state.shortcutOutput.summary, "Kraków: 5°, częściowe zachmurzenie, odczuwalna 12°, wiatr 8 km/h NNW");
+  assert.equal(now.state.shortcutOutput.current.temperature, 5.2);
+  assert.equal(now.state.shortcutOutput.forecast, undefined);
+
+  const forecast = await run({ family: null, runsWithSiri: true, shortcutParameter: { data: "forecast" } });
+  assert.equal(forecast.state.shortcutOutput.forecast.length, 5);
+  assert.equal(forecast.state.shortcutOutput.current, undefined);
+
+  const offline = await run({ family: null, runsWithSiri: true, routes: [] });
+  assert.match(offline.state.shortcutOutput.summary, /^Błąd pogody: /);
+});
+
+test("an active alert puts its banner above the hero", async () => {
+  const cachedAlerts = { timestamp: Date.parse(NOW), data: fixture("public_alerts") };
+  const r = await run({ family: "large", files: { [ALERTS_CACHE]: cachedAlerts } });
+  assert.equal(r.error, null);
+  assert.equal(r.texts()[0], "Groźne: Pomarańczowe ostrzeżenie: silny wiatr +1");
+  // the detail view is one tap away
+  assert.ok(r.find(n => n.url === "scriptable:///run/weatherwidget?view=alerts").length);
+});
+
+test("an over-budget pace stretches the forecast cache like the current one", async () => {
+  // 9000 calls by the 19th → about 1.47× ahead of the 10000 budget; 30 min becomes ~44
+  const cachedAt = Date.parse(NOW) - 40 * 60 * 1000;
+  const r = await run({
+    files: {
+      "google_weather_combined_forecast_cache.json": { timestamp: cachedAt, data: fixture("forecast_days") },
+      "google_weather_quota.json": { month: "2026-10", calls: 9000, endpoints: {} }
+    }
+  });
+  assert.equal(r.error, null);
+  assert.ok(!r.requests.some(q => q.url.includes("forecast/days")));
+  assert.ok(r.requests.some(q => q.url.includes("currentConditions")));
+});
@@ -0,0 +1,223 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+const { runScript, fixture, plain, placeCacheFile } = require("./scriptable");
+
+const NOW = "2026-10-19T10:00:00Z";
+const ALERTS_CACHE = placeCacheFile("google_weather_alerts_cache");
+const days = () => ({ match: "forecast/days:lookup", body: fixture("forecast_days") });
+// a fresh alerts cache keeps the alerts call out of the request counts
+const noAlerts = () => ({ timestamp: Date.parse(NOW), data: {} });
+const run = (opts = {}) => runScript("weatherwidget_daily.js", {
+  now: NOW, routes: [days()], ...opts,
+  files: { [ALERTS_CACHE]: noAlerts(), ...opts.files }
+});
+
+test("renders today and the daily mini-row", async () => {
+  const r = await run();
+  assert.equal(r.error, null);
+  assert.equal(r.texts()[0], "Kraków");
+  assert.ok(r.texts().includes("14°C"));
+  assert.ok(r.texts().includes("13°C/3°C"));
+  // today's icon + 6 mini-row days
+  assert.equal(r.symbols().length, 7);
+  assert.match(r.requests[0].url, /days=6&pageSize=6/);
+  assert.ok(r.file("google_weather_forecast_cache.json"));
+});
+
+test("large layout asks for and lists more days", async () => {
+  const r = await run({ family: "large" });
+  assert.match(r.requests[0].url, /days=10&pageSize=10/);
+  assert.ok(r.texts().includes("Burza"));
+  assert.ok(r.texts().includes("UV"));
+});
+
+test("lock-screen layouts have no background", async () => {
+  for (const family of ["accessoryCircular", "accessoryRectangular", "accessoryInline"]) {
+    const r = await run({ family });
+    assert.equal(r.widget.backgroundGradient, undefined, family);
+    assert.ok(r.texts().some(t => t.includes("14°")), family);
+  }
+});
+
+test("empty forecast and offline without cache", async () => {
+  const empty = await run({ routes: [{ match: "forecast/days", body: { forecastDays: [] } }] });
+  assert.deepEqual(empty.texts(), ["Brak danych prognozy"]);
+
+  const offline = await run({ routes: [], family: "accessoryRectangular" });
+  assert.equal(offline.texts()[0], "Błąd prognozy");
+});
+
+test("labels, weekdays and errors follow the language", async () => {
+  const pl = await run();
+  assert.ok(pl.texts().includes("Odczuwalna"));
+  assert.ok(pl.texts().includes("pon."));
+
+  const de = await run({ widgetParameter: "lang=de" });
+  assert.match(de.requests[0].url, /languageCode=de/);
+  assert.ok(de.texts().includes("Gefühlt"));
+  assert.ok(de.texts().includes("Mo"));
+  assert.ok(de.texts().includes("Gerade aktualisiert"));
+
+  const es = await run({ widgetParameter: "lang=es", routes: [] });
+  assert.equal(es.texts()[0], "Error de previsión");
+});
+
+test("after sunset the daily widget switches to the night palette and symbol", async () => {
+  const day = await run();
+  assert.notDeepEqual(day.widget.backgroundGradient.gradient, ["#0F2027", "#203A43"]);
+
+  const night = await run({ now: "2026-10-19T20:00:00Z" });
+  assert.deepEqual(night.widget.backgroundGradient.gradient, ["#0F2027", "#203A43"]);
+  assert.notEqual(night.symbols()[0], day.symbols()[0]);
+});
+
+test("chance of rain per day, with umbrella days highlighted", async () => {
+  const r = await run();
+  assert.ok(r.texts().includes("Deszcz"));
+  assert.ok(r.texts().includes("20% · 3,0 mm"));
+  assert.deepEqual(r.texts().filter(t => /%$/.test(t) && !t.includes("·")).slice(1),
+    ["20%", "☂︎80%", "30%", "20%", "☂︎55%", "☂︎70%"]);
+  const umbrella = r.find(n => n.text === "☂︎80%")[0];
+  assert.equal(umbrella.textColor, "#CFE8FF");
+
+  const strict = await run({ widgetParameter: "umbrella=75" });
+  assert.ok(strict.texts().includes("55%"));
+  assert.ok(strict.texts().includes("☂︎80%"));
+});
+
+test("optional sun and moon detail slots and a refresh at sunset", async () => {
+  const r = await run({ widgetParameter: "details=sunrise,sunset,countdown,daylength,moon" });
+  assert.equal(r.error, null);
+  for (const t of ["Wschód", "07:12", "Zachód", "17:48", "Długość dnia", "10 godz. 36 min (−4 min)", "Księżyc", "Przybywający garb"]) {
+    assert.ok(r.texts().includes(t), t);
+  }
+  assert.ok(!r.texts().includes("Odczuwalna"));
+  const countdown = r.find(n => n.type === "date")[0];
+  assert.deepEqual([countdown.date, countdown.style], ["2026-10-19T15:48:00.000Z", "relative"]);
+  assert.ok(r.symbols().includes("moonphase.waxing.gibbous"));
+
+  const late = await run({ now: "2026-10-19T15:30:00Z" });
+  assert.equal(late.widget.refreshAfterDate, "2026-10-19T15:49:00.000Z");
+  assert.equal((await run()).widget.refreshAfterDate, "2026-10-19T10:30:00.000Z");
+});
+
+test("air quality and pollen slots sit next to the weather ones", async () => {
+  const air = { match: "airquality.googleapis.com", body: fixture("air_quality") };
+  const pollen = { match: "pollen.googleapis.com", body: fixture("pollen_forecast") };
+  const widgetParameter = "details=feels,aqi,grass";
+  const r = await run({ widgetParameter, routes: [days(), air, pollen] });
+  assert.equal(r.error, null);
+  for (const t of ["Odczuwalna", "AQI", "58", "Trawy", "Bardzo niski"]) assert.ok(r.texts().includes(t), t);
+  assert.ok(r.symbols().includes("aqi.medium"));
+
+  // a pollen cache from yesterday is refetched even though it is young enough
+  const yesterday = { timestamp: Date.parse("2026-10-19T23:00:00Z"), data: fixture("pollen_forecast") };
+  const next = await run({
+    now: "2026-10-20T00:30:00Z", widgetParameter, routes: [days()],
+    files: { [Object.keys(r.files).find(p => p.includes("pollen_cache")).split("/").pop()]: yesterday }
+  });
+  assert.equal(next.error, null);
+  assert.ok(next.requests.some(q => q.url.includes("pollen")));
+  assert.ok(!next.texts().includes("Trawy"));
+});
+
+test("chart mode draws the days or the coming hours in place of the day rows", async () => {
+  const medium = await run({ widgetParameter: "chart=days" });
+  assert.equal(medium.error, null);
+  assert.equal(medium.state.drawings.length, 1);
+  assert.equal(medium.find(n => n.type === "image" && n.image === "drawn:0").length, 1);
+  // no mini-row: today's icon only
+  assert.equal(medium.symbols().length, 1);
+  assert.equal(medium.requests.length, 1);
+
+  const hours = { match: "forecast/hours:lookup", body: fixture("forecast_hours_page1") };
+  const large = await run({ family: "large", widgetParameter: "chart=hours", routes: [days(), hours] });
+  assert.equal(large.error, null);
+  assert.match(large.requests[1].url, /hours=24&pageSize=24/);
+  assert.ok(large.file("google_weather_chart_hours_cache.json"));
+  assert.equal(large.symbols().length, 1);
+  const labels = large.state.drawings[0].filter(o => o[0] === "drawTextInRect").map(o => o[1]);
+  assert.ok(labels.includes("20:00"));
+
+  // hourly data unavailable: the days chart stands in
+  const fallback = await run({ widgetParameter: "chart=hours" });
+  assert.equal(fallback.error, null);
+  assert.ok(fallback.state.drawings[0].some(o => o[1] === "wt."));
+  assert.ok(fallback.logs.some(l => /Hourly chart unavailable/.test(l.text)));
+
+  // theme=auto: the text switches with dark mode, the drawn chart can't and gets the image palette
+  const auto = await run({ widgetParameter: "chart=days;theme=auto" });
+  const colors = auto.state.drawings[0].filter(o => /^set(Fill|Stroke|Text)Color$/.test(o[0])).map(o => o[1]);
+  assert.deepEqual(colors, ["#8E8E93@0.1", "#0A84FF@0.6", "#8E8E93", "#8E8E93"]);
+  assert.equal(auto.find(n => n.type === "text")[0].textColor, "#1C1C1E|#F2F2F7");
+});
+
+test("the hours chart cache drops past hours and lasts longer over budget", async () => {
+  const chartCache = at => ({ timestamp: Date.parse(at), data: fixture("forecast_hours_page1") });
+  const labels = r => r.state.drawings[0].filter(o => o[0] === "drawTextInRect").map(o => o[1]);
+
+  // the two hours before 20:30Z are gone from a fresh cache
+  const later = await run({
+    now: "2026-10-19T20:30:00Z", family: "large", widgetParameter: "chart=hours",
+    files: { "google_weather_chart_hours_cache.json": chartCache("2026-10-19T20:00:00Z") }
+  });
+  assert.equal(later.error, null);
+  assert.ok(!later.requests.some(q => q.url.includes("forecast/hours")));
+  assert.ok(!labels(later).includes("20:00"));
+  assert.ok(labels(later).includes("22:00"));
+
+  // 80 minutes old: refetched within budget, kept at 9000 calls (stretch ~1.47)
+  const files = { "google_weather_chart_hours_cache.json": chartCache("2026-10-19T08:40:00Z") };
+  const hours = { match: "forecast/hours:lookup", body: fixture("forecast_hours_page1") };
+  const routes = [days(), hours];
+  const within = await run({ family: "large", widgetParameter: "chart=hours", routes, files });
+  assert.ok(within.requests.some(q => q.url.includes("forecast/hours")));
+  const over = await run({
+    family: "large", widgetParameter: "chart=hours", routes,
+    files: { ...files, "google_weather_quota.json": { month: "2026-10", calls: 9000, endpoints: {} } }
+  });
+  assert.equal(over.error, null);
+  assert.ok(!over.requests.some(q => q.url.includes("forecast/hours")));
+});
+
+test("the widget and each day link to that day's detail view", async () => {
+  const medium = await run({ family: "medium" });
+  assert.equal(medium.widget.url, "scriptable:///run/weatherwidget?view=day&index=0");
+  assert.equal(medium.find(n => n.type === "stack" && n.url).at(-1).url, "scriptable:///run/weatherwidget?view=day&index=5");
+
+  const web = await run({ family: "medium", widgetParameter: "tap=web" });
+  assert.equal(web.widget.url, "https://weather.com/weather/today/l/50.0647,19.9450");
+  assert.equal(web.find(n => n.type === "stack" && n.url).length, 0);
+
+  const day = await run({ family: null, queryParameters: { view: "day", index: "3" } });
+  assert.equal(day.error, null);
+  assert.equal(day.presented, null);
+  assert.match(day.requests[0].url, /days=6&pageSize=6/);
+  const rows = day.state.tables[0];
+  assert.deepEqual(rows[0], ["czwartek, 22 października"]);
+  assert.deepEqual(rows.filter(r => r.length === 1).slice(1), [["Dzień"], ["Noc"], ["Słońce i księżyc"]]);
+  assert.ok(rows.some(r => r[0] === "Deszcz" && r[1] === "20% · 2,0 mm"));
+});
+
+test("a tap keeps the widget parameter of the tapped widget", async () => {
+  const widgetParameter = "lat=52.23;lon=21.01;name=Warsaw";
+  const widget = await run({ family: "medium", widgetParameter });
+  const url = new URL(widget.find(n => n.type === "stack" && n.url)[2].url);
+  assert.equal(url.searchParams.get("param"), widgetParameter);
+
+  const tapped = await run({ family: null, queryParameters: Object.fromEntries(url.searchParams) });
+  assert.equal(tapped.error, null);
+  assert.equal(tapped.presented, null);
+  assert.match(tapped.requests[0].url, /location\.latitude=52\.23&location\.longitude=21\.01/);
+  assert.deepEqual(tapped.state.tables[0][0], ["środa, 21 października"]);
+});
+
+test("from Shortcuts it returns the forecast days", async () => {
+  const r = await run({ family: null, runsWithSiri: true, shortcutParameter: "lang=en;days=3" });
+  assert.equal(r.error, null);
+  const out = r.state.shortcutOutput;
+  assert.equal(out.summary, "Today in Kraków: częściowe zachmurzenie, high 14°, low 5°, 20% chance of rain or snow");
+  assert.deepEqual(plain(out.forecast.map(d => [d.date, d.high, d.low, d.precipitation.chance])),
+    [["2026-10-19", 14.2, 5.1, 20], ["2026-10-20", 13.2, 4.1, 80], ["2026-10-21", 12.2, 3.1, 30]]);
+});
@@ -0,0 +1,76 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+const { runScript, fixture, placeCacheFile } = require("./scriptable");
+
+const NOW = "2026-10-19T18:30:00Z";
+const ALERTS_CACHE = placeCacheFile("google_weather_alerts_cache");
+const pages = () => [
+  { match: "pageToken=PAGE_2", body: fixture("forecast_hours_page2") },
+  { match: "forecast/hours:lookup", body: fixture("forecast_hours_page1") }
+];
+// a fresh alerts cache keeps the alerts call out of the request counts
+const noAlerts = () => ({ timestamp: Date.parse(NOW), data: {} });
+const run = (opts = {}) => runScript("weatherwidget_hourly.js", {
+  now: NOW, routes: pages(), ...opts,
+  files: { [ALERTS_CACHE]: noAlerts(), ...opts.files }
+});
+
+test("renders the current hour and every second hour", async () => {
+  const r = await run();
+  assert.equal(r.error, null);
+  assert.ok(r.texts().includes("12°C"));
+  assert.deepEqual(r.texts().filter(t => /^\d\d:00$/.test(t)), ["22:00", "00:00", "02:00", "04:00", "06:00"]);
+  assert.ok(r.texts().includes("14%"));
+  // 20:00 local is night
+  assert.equal(r.symbols()[0], "cloud.moon.fill");
+  assert.equal(r.requests.length, 1);
+});
+
+test("follows nextPageToken until enough hours are collected", async () => {
+  const r = await run({ widgetParameter: "hours=24" });
+  const hourRequests = r.requests.filter(q => q.url.includes("forecast/hours"));
+  assert.equal(hourRequests.length, 2);
+  assert.match(hourRequests[1].url, /pageToken=PAGE_2/);
+  assert.equal(r.file(Object.keys(r.files).find(p => /google_weather_hourly_cache_\w+\.json$/.test(p)).split("/").pop()).data.forecastHours.length, 24);
+});
+
+test("drops hours that already ended in cached data", async () => {
+  const cached = { timestamp: Date.parse("2026-10-19T20:20:00Z"), data: fixture("forecast_hours_page1") };
+  const r = await run({ now: "2026-10-19T20:30:00Z", routes: [], files: { "google_weather_hourly_cache.json": cached } });
+  // 20:00Z–21:00Z is 22:00 local
+  assert.ok(r.texts().includes("11°C"));
+  assert.equal(r.texts().filter(t => /^\d\d:00$/.test(t))[0], "00:00");
+});
+
+test("each hour links to its detail view, keyed by start time", async () => {
+  const large = await run({ family: "large" });
+  assert.equal(large.widget.url, "scriptable:///run/weatherwidget?view=hour");
+  const urls = large.find(n => n.type === "stack" && n.url).map(n => n.url);
+  assert.ok(urls.includes("scriptable:///run/weatherwidget?view=hour&at=2026-10-19T21%3A00%3A00Z"));
+
+  const hour = await run({ family: null, queryParameters: { view: "hour", at: "2026-10-19T21:00:00Z" } });
+  assert.equal(hour.error, null);
+  const rows = hour.state.tables[0];
+  assert.deepEqual(rows[0], ["23:00, poniedziałek"]);
+  assert.ok(rows.some(r => r[0] === "Punkt rosy" && r[1] === "4°C"));
+
+  // an hour that has passed falls back to the current one
+  const gone = await run({ family: null, queryParameters: { view: "hour", at: "2026-10-19T12:00:00Z" } });
+  assert.deepEqual(gone.state.tables[0][0], ["20:00, poniedziałek"]);
+});
+
+test("rain in the coming hours triggers a notification rule", async () => {
+  const r = await run({ files: { "google_weather_rules.json": { rules: [{ when: "rain", above: 60 }] } } });
+  assert.equal(r.error, null);
+  assert.deepEqual(r.state.notifications.map(n => n.body), ["77% szans na opady w ciągu 24 godz."]);
+});
+
+test("from Shortcuts it returns the coming hours", async () => {
+  const r = await run({ family: null, runsWithSiri: true, shortcutParameter: "lang=de;hours=6" });
+  assert.equal(r.error, null);
+  const out = r.state.shortcutOutput;
+  assert.equal(out.summary, "Nächste 6 Std. in Kraków: 11° bis 12°, jetzt Częściowe zachmurzenie, Niederschlagsrisiko bis 35%");
+  assert.equal(out.hours.length, 6);
+  assert.equal(out.hours[0].time, "2026-10-19T18:00:00Z");
+});
@@ -6,358 +6,411 @@
  * - Uses current GPS location (or fixed coords).
  * - API key stored securely in iOS Keychain (no hard-coding).
  * - Matches current Google Weather API schema (degrees/unit, description.text).
- * - Suggests refresh every 10 minutes (iOS limits still apply).
+ * - Suggests refresh every 10 minutes (iOS limits still apply), and right after
+ *   sunrise / sunset so the day/night gradient switches on time.
+ * - Compares with yesterday ("+4° vs yesterday") from history/hours:lookup,
+ *   fetched once a day.
+ * - In the app: a menu to preview each size, list every field of the response,
+ *   edit the shared settings, replace the API key and clear caches.
+ * - Tapping the widget opens that field list (?view=current), or with tap=web a
+ *   weather page for the location.
+ * - Run from Shortcuts or Siri it returns a spoken summary and the data as a
+ *   dictionary instead of a widget (shortcut input: loc / location, units, ...).
+ * - Detail row slots (DETAILS / `details=`): feels, humidity, wind, precipitation,
+ *   and optionally the air quality index, dominant pollutant and today's grass /
+ *   tree / weed pollen (Air Quality and Pollen APIs, each with its own cache).
+ * - New data is checked against the notification rules in google_weather_rules.json.
+ * - Shared helpers come from weatherwidget_lib.js (importModule).
  */
 
 //////////////////////// CONFIG ////////////////////////
 const USE_CURRENT_LOCATION = true;     // true = use GPS; false = use FIXED_LAT/LON below
 const FIXED_LAT = 50.0647;             // Kraków example
 const FIXED_LON = 19.9450;
+const GEOCODE_KM = 1;                  // look up the place name again after moving N km
 const LANGUAGE = "pl";                 // e.g. "pl", "en"
-const UNITS_SYSTEM = "METRIC";         // "METRIC" or "IMPERIAL"
+const UNITS_SYSTEM = "METRIC";         // "METRIC" or "IMPERIAL": API units and default display units
+const TEMP_UNIT = null;                // "C" or "F"; null = follow UNITS_SYSTEM
+const WIND_UNIT = null;                // "KMH", "MS", "MPH", "KN" or "BFT" (Beaufort)
+const PRECIP_UNIT = null;              // "MM" or "IN"
+const PRESSURE_UNIT = null;            // "HPA", "INHG" or "MMHG"
 const KEYCHAIN_KEY = "GOOGLE_WEATHER_API_KEY"; // where we store your API key
 const CACHE_MIN = 5;                   // cache minutes to avoid over-calling
+const MAX_STALE_MIN = 180;             // if a refresh fails, serve cache up to N minutes old
 const REFRESH_MIN = 10;                // widget suggests refresh every N minutes
+const MONTHLY_BUDGET = 10000;          // API calls per month shared by all weather widgets
+const UMBRELLA_PCT = 50;               // highlight the chance of rain/snow from N% (null = never)
+const SUN_REFRESH = true;              // also refresh at sunrise/sunset (a 2-day forecast call, cached)
+const COMPARE_YESTERDAY = true;        // show the change from yesterday (one history call per day)
+const THEME = "classic";               // "classic", "light", "dark", "auto" (follows dark mode) or "custom"
+const BACKGROUND = null;               // null = theme gradient; "<image>.jpg" in Documents or "transparent:<position>"
+const TAP_ACTION = "app";              // "app" = a tap opens the detail view; "web" = a weather page for the location
+const ALERTS = true;                   // banner for official weather alerts (publicAlerts:lookup)
+const ALERTS_CACHE_MIN = 30;           // alerts cache lifetime (minutes)
+const DETAILS = ["feels", "humidity", "wind", "precip"]; // also "aqi", "pollutant", "grass", "tree", "weed"
+const AIR_CACHE_MIN = 60;              // air quality cache lifetime (minutes)
+const POLLEN_CACHE_MIN = 360;          // pollen forecast cache lifetime (minutes)
 ////////////////////////////////////////////////////////
 
-const fm = FileManager.local();
-const cachePath = fm.joinPath(fm.documentsDirectory(), "google_weather_cache.json");
-
-// ---- API key handling (secure; no hard-coding) ----
-async function getApiKey() {
-  let key = Keychain.contains(KEYCHAIN_KEY) ? Keychain.get(KEYCHAIN_KEY) : null;
-  if (!key) {
-    const a = new Alert();
-    a.title = "Google Weather API key";
-    a.message = "Paste your Google Maps Platform Weather API key.\nIt will be stored securely in Keychain.";
-    a.addTextField("YOUR_API_KEY_HERE");
-    a.addAction("Save");
-    a.addCancelAction("Cancel");
-    const idx = await a.present();
-    if (idx === -1) { throw new Error("API key input cancelled."); }
-    key = a.textFieldValue(0).trim();
-    if (!key) throw new Error("Empty API key.");
-    Keychain.set(KEYCHAIN_KEY, key);
-  }
-  return key;
-}
+const {
+  g, cachedFetch, ownCacheConfig, weatherUrl, loadJSON, normalizeConditionText, fmtTemp,
+  fmtTempCompact, parseTempC, fmtWind, pickSymbol, isAccessory, isLarge, addSymbol, addUpdated,
+  withApiKey, addPlaceName, addHeader, tr, themeColor, applyBackground, fmtSpeed, fmtPressure,
+  precipLabel, fmtPrecip, needsUmbrella, nextSunEvent, refreshDate, minutesSinceMidnight,
+  yesterdayTemps, fmtTempDelta, presentDetails, currentDetailRows, widgetUrl, weatherFacts,
+  currentOutput, currentSummary, shortcutOutput, hasSevereAlert, addAlertBanner, fetchAirQuality,
+  fetchPollen, airSlots, runWidgetScript
+} = importModule("weatherwidget_lib");
+
+const CACHE_NAME = "google_weather_cache";
+const SUN_CACHE_NAME = "google_weather_sun_cache";
+const SUN_CACHE_MIN = 720;
+const HISTORY_CACHE_NAME = "google_weather_history_cache";
+
+// Defaults for the widget parameter (see parseWidgetParameter in weatherwidget_lib.js)
+const DEFAULTS = {
+  useCurrentLocation: USE_CURRENT_LOCATION,
+  lat: FIXED_LAT,
+  lon: FIXED_LON,
+  geocodeKm: GEOCODE_KM,
+  language: LANGUAGE,
+  unitsSystem: UNITS_SYSTEM,
+  units: { temp: TEMP_UNIT, wind: WIND_UNIT, precip: PRECIP_UNIT, pressure: PRESSURE_UNIT },
+  cacheMin: CACHE_MIN,
+  maxStaleMin: MAX_STALE_MIN,
+  refreshMin: REFRESH_MIN,
+  monthlyBudget: MONTHLY_BUDGET,
+  umbrellaPct: UMBRELLA_PCT,
+  theme: THEME,
+  background: BACKGROUND,
+  tap: TAP_ACTION,
+  alerts: ALERTS,
+  alertsCacheMin: ALERTS_CACHE_MIN,
+  details: DETAILS,
+  airCacheMin: AIR_CACHE_MIN,
+  pollenCacheMin: POLLEN_CACHE_MIN
+};
 
-// ---- Location (GPS or fixed) ----
-async function getLocation() {
-  if (!USE_CURRENT_LOCATION) {
-    return { latitude: FIXED_LAT, longitude: FIXED_LON, name: null };
-  }
-  Location.setAccuracyToTenMeters();
-  const loc = await Location.current();
-  let placemarks = [];
-  try { placemarks = await Location.reverseGeocode(loc.latitude, loc.longitude); } catch (_) {}
-  const name = placemarks?.[0]?.locality
-    || placemarks?.[0]?.subLocality
-    || placemarks?.[0]?.administrativeArea
-    || null;
-  return { latitude: loc.latitude, longitude: loc.longitude, name };
+// ---- Fetch from Google Weather API ----
+async function fetchWeather(key, lat, lon, cfg) {
+  return loadJSON(weatherUrl("currentConditions:lookup", key, lat, lon, cfg));
 }
 
-// ---- Cache helpers ----
-function readCache() {
-  if (!fm.fileExists(cachePath)) return null;
-  try {
-    const obj = JSON.parse(fm.readString(cachePath));
-    if (!obj.timestamp) return null;
-    const ageMin = (Date.now() - obj.timestamp) / 60000;
-    if (ageMin > CACHE_MIN) return null;
-    return obj.data;
-  } catch (_) { return null; }
-}
-function writeCache(data) {
+// ---- Sunrise / sunset for refresh timing ----
+// Two forecast days always hold the next sunrise or sunset. The cache is kept for half
+// a day and refetched once its events have passed; a failure only costs the timing.
+async function fetchSunDays(cfg, apiKey, loc) {
   try {
-    fm.writeString(cachePath, JSON.stringify({ timestamp: Date.now(), data }));
-  } catch (_) {}
-}
-
-// ---- Safe getter ----
-function g(obj, path, fallback = null) {
-  return path.split(".").reduce((o, k) => (o && o[k] !== undefined ? o[k] : null), obj) ?? fallback;
-}
-
-// ---- Fetch from Google Weather API ----
-async function fetchWeather(key, lat, lon) {
-  const params = [
-    `key=${encodeURIComponent(key)}`,
-    `location.latitude=${encodeURIComponent(lat)}`,
-    `location.longitude=${encodeURIComponent(lon)}`,
-    `languageCode=${encodeURIComponent(LANGUAGE)}`,
-    `unitsSystem=${encodeURIComponent(UNITS_SYSTEM)}`
-  ].join("&");
-
-  const url = `https://weather.googleapis.com/v1/currentConditions:lookup?${params}`;
-  const req = new Request(url);
-  req.timeoutInterval = 12;
-  req.headers = { "Accept": "application/json" };
-
-  const json = await req.loadJSON();
-  // If Scriptable exposes status code, we can check it:
-  if (req.response && req.response.statusCode && req.response.statusCode >= 400) {
-    throw new Error(`HTTP ${req.response.statusCode}`);
+    const result = await cachedFetch(ownCacheConfig(cfg, SUN_CACHE_MIN), SUN_CACHE_NAME,
+      () => loadJSON(weatherUrl("forecast/days:lookup", apiKey, loc.latitude, loc.longitude, cfg, { days: 2, pageSize: 2 })),
+      cached => nextSunEvent(g(cached, "forecastDays", [])) != null);
+    return g(result.data, "forecastDays", []);
+  } catch (err) {
+    console.warn(`Sunrise/sunset unavailable: ${err}`);
+    return [];
   }
-
-  return json;
 }
 
-// ---- Condition text normalisation ----
-function normalizeConditionText(weatherCondition) {
-  if (!weatherCondition) return null;
-
-  // Example schema from docs:
-  // "weatherCondition": {
-  //   "iconBaseUri": "...",
-  //   "description": { "text": "Sunny", "languageCode": "en" },
-  //   "type": "CLEAR"
-  // }
-
-  if (typeof weatherCondition === "string") {
-    return weatherCondition;
+// ---- Yesterday's temperatures ----
+// The history cache lives until the next local midnight, so it costs one call a day
+// (longer when the quota runs ahead of budget); a failure only hides the comparison.
+async function fetchYesterday(cfg, apiKey, loc, data) {
+  try {
+    const cacheMin = minutesSinceMidnight(g(data, "timeZone.id"));
+    const result = await cachedFetch(ownCacheConfig(cfg, cacheMin), HISTORY_CACHE_NAME,
+      () => loadJSON(weatherUrl("history/hours:lookup", apiKey, loc.latitude, loc.longitude, cfg, { hours: 24, pageSize: 24 })));
+    return yesterdayTemps(g(result.data, "historyHours", []));
+  } catch (err) {
+    console.warn(`History unavailable: ${err}`);
+    return null;
   }
-
-  const desc = weatherCondition.description;
-  if (typeof desc === "string") return desc;
-  if (desc && typeof desc.text === "string") return desc.text;
-
-  if (typeof weatherCondition.type === "string") return weatherCondition.type;
-
-  return null;
 }
 
-// ---- Unit helpers ----
-function fmtTemp(tempObj) {
-  // Schema: { degrees: 13.7, unit: "CELSIUS" }
-  const val = g(tempObj, "degrees");
-  const unit = g(tempObj, "unit");
-  if (val == null) return "—";
-  const sym = unit === "FAHRENHEIT" ? "°F" : "°C";
-  return `${Math.round(val)}${sym}`;
-}
+// ---- View model shared by all layouts ----
+function currentView(data, cfg) {
+  const weatherCond = g(data, "weatherCondition");
+  const condTextNorm = normalizeConditionText(weatherCond);
+  const isDay = !!g(data, "isDaytime");
+  const tempObj = g(data, "temperature");
+  const hum = g(data, "relativeHumidity");
 
-function parseTempC(tempObj) {
-  const val = g(tempObj, "degrees");
-  const unit = g(tempObj, "unit");
-  if (val == null) return null;
-  if (unit === "FAHRENHEIT") return Math.round((val - 32) * 5/9);
-  return Math.round(val);
+  return {
+    condStr: condTextNorm ? String(condTextNorm) : "—",
+    condition: weatherCond,
+    isDay,
+    symName: pickSymbol(weatherCond, isDay),
+    tempStr: fmtTemp(tempObj),
+    tempCompact: fmtTempCompact(tempObj),
+    tempC: parseTempC(tempObj),
+    feelsStr: fmtTemp(g(data, "feelsLikeTemperature")),
+    humStr: hum != null ? `${hum}%` : "—",
+    windStr: fmtWind(g(data, "wind")),
+    precipLabel: precipLabel(g(data, "precipitation")),
+    precipStr: fmtPrecip(g(data, "precipitation")),
+    umbrella: needsUmbrella(g(data, "precipitation"), cfg.umbrellaPct)
+  };
 }
 
-function fmtWind(windObj) {
-  // Schema:
-  // "wind": {
-  //   "direction": { "degrees": 335, "cardinal": "NORTH_NORTHWEST" },
-  //   "speed": { "value": 8, "unit": "KILOMETERS_PER_HOUR" },
-  //   "gust": { "value": 18, "unit": "KILOMETERS_PER_HOUR" }
-  // }
-  const spdVal = g(windObj, "speed.value");
-  const spdUnit = g(windObj, "speed.unit");
-  let sym = "";
-  if (spdUnit === "MILE_PER_HOUR") sym = "mph";
-  else if (spdUnit === "METER_PER_SECOND") sym = "m/s";
-  else sym = "km/h"; // KILOMETERS_PER_HOUR or fallback
-
-  if (spdVal == null) return "—";
-
-  const dirDeg = g(windObj, "direction.degrees");
-  const dirTxt = degToDir(dirDeg);
-  return `${Math.round(spdVal)} ${sym}${dirTxt ? " " + dirTxt : ""}`;
+// "+4° vs yesterday" and yesterday's high / low; nulls without history
+function yesterdayView(data, yesterday) {
+  const delta = yesterday && fmtTempDelta(g(data, "temperature"), yesterday.same);
+  return {
+    deltaStr: delta ? tr("vsYesterday", { d: delta }) : null,
+    yesterdayHiLo: yesterday ? `${fmtTempCompact(yesterday.high)} / ${fmtTempCompact(yesterday.low)}` : null
+  };
 }
 
-function degToDir(deg) {
-  if (deg == null || isNaN(deg)) return "";
-  const dirs = ["N","NNE","NE","ENE","E","ESE","SE","SSE",
-                "S","SSW","SW","WSW","W","WNW","NW","NNW"];
-  return dirs[Math.round((deg % 360) / 22.5) % 16];
+// Every detail slot this widget can fill; null when there is no data for it
+function detailSlots(v, meta) {
+  return {
+    feels: [tr("feels"), v.feelsStr],
+    humidity: [tr("humidity"), v.humStr],
+    wind: [tr("wind"), v.windStr],
+    precip: [v.precipLabel, v.precipStr, v.umbrella],
+    ...airSlots(meta.air, meta.pollen)
+  };
 }
 
-// ---- Condition → SF Symbol ----
-function pickSymbol(weatherCondition, isDaytime) {
-  const text = (normalizeConditionText(weatherCondition) || "") + "";
-  const t = text.toLowerCase();
-  const day = !!isDaytime;
-
-  if (t.includes("thunder") || t.includes("storm")) return "cloud.bolt.rain.fill";
-  if (t.includes("snow") || t.includes("sleet")) return "cloud.snow.fill";
-  if (t.includes("rain") || t.includes("drizzle")) return "cloud.rain.fill";
-  if (t.includes("fog") || t.includes("mist") || t.includes("haze")) return "cloud.fog.fill";
-  if (t.includes("overcast")) return "smoke.fill";
-  if (t.includes("cloud")) return day ? "cloud.sun.fill" : "cloud.moon.fill";
-  if (t.includes("clear") || t.includes("sunny")) return day ? "sun.max.fill" : "moon.stars.fill";
-
-  // Fallback
-  return day ? "sun.max.fill" : "moon.stars.fill";
+// Extra rows for the large layout
+function currentExtraDetails(data, v) {
+  const pct = v => (v != null ? `${Math.round(v)}%` : "—");
+  const pressure = g(data, "airPressure.meanSeaLevelMillibars");
+  const visDist = g(data, "visibility.distance");
+  const visUnit = g(data, "visibility.unit") === "MILES" ? "mi" : "km";
+
+  return [
+    [
+      [tr("dewPoint"), fmtTemp(g(data, "dewPoint"))],
+      [tr("pressure"), fmtPressure(pressure)],
+      [tr("uv"), g(data, "uvIndex", "—")],
+      ...(v.yesterdayHiLo ? [[tr("yesterday"), v.yesterdayHiLo]] : [])
+    ],
+    [
+      [tr("clouds"), pct(g(data, "cloudCover"))],
+      [tr("visibility"), visDist != null ? `${Math.round(visDist)} ${visUnit}` : "—"],
+      [tr("gusts"), fmtSpeed(g(data, "wind.gust"))]
+    ]
+  ];
 }
 
-// ---- Background gradient based on temp + day/night ----
-function gradientFor(tempC, isDay) {
-  const cold = [new Color("#1e3c72"), new Color("#2a5298")];
-  const mild = [new Color("#396afc"), new Color("#2948ff")];
-  const hot  = [new Color("#ff512f"), new Color("#dd2476")];
-  let colors = cold;
-
-  if (tempC != null) {
-    if (tempC >= 24) colors = hot;
-    else if (tempC >= 10) colors = mild;
-    else colors = cold;
-  }
+// ---- Layout helpers ----
+// items: [label, value, highlight?, symbol?, tint?]; highlighted values get an umbrella and
+// the accent colour
+function addDetailRow(w, items) {
+  const row = w.addStack();
+  row.layoutHorizontally();
 
-  if (!isDay) colors = [new Color("#0f2027"), new Color("#203a43")];
+  items.forEach(([label, value, highlight, symbol, tint], i) => {
+    const col = row.addStack();
+    col.layoutVertically();
+    const l = col.addText(label);
+    l.font = Font.systemFont(10);
+    l.textColor = themeColor("muted");
+    let valueStack = col;
+    if (symbol) {
+      valueStack = col.addStack();
+      valueStack.centerAlignContent();
+      const img = addSymbol(valueStack, symbol, 12);
+      if (tint) img.tintColor = new Color(tint);
+      valueStack.addSpacer(3);
+    }
+    const v = valueStack.addText(highlight ? `☂︎ ${value}` : String(value));
+    v.font = highlight ? Font.boldSystemFont(12) : Font.mediumSystemFont(12);
+    v.textColor = highlight ? themeColor("accent") : themeColor("text");
+    if (i < items.length - 1) row.addSpacer();
+  });
+  return row;
+}
 
-  const grad = new LinearGradient();
-  grad.colors = colors;
-  grad.locations = [0, 1];
-  return grad;
+// "+4° vs yesterday" next to the temperature
+function addDelta(stack, v, size) {
+  const t = stack.addText(v.deltaStr);
+  t.font = Font.mediumSystemFont(size);
+  t.textColor = themeColor("secondary");
+  t.lineLimit = 1;
+  t.minimumScaleFactor = 0.7;
+  return t;
 }
 
-// ---- Build the widget UI ----
-async function buildWidget(data, placeName) {
-  const w = new ListWidget();
-  w.setPadding(14, 16, 14, 16);
+// ---- Layouts ----
+function buildSmall(w, v, placeName) {
+  w.setPadding(12, 12, 12, 12);
 
-  const weatherCond = g(data, "weatherCondition");
-  const condTextNorm = normalizeConditionText(weatherCond);
-  const condStr = condTextNorm ? String(condTextNorm) : "—";
+  const locTxt = addPlaceName(w, placeName || tr("currentLocation"), v.meta, 12);
+  locTxt.minimumScaleFactor = 0.7;
 
-  const isDay = !!g(data, "isDaytime");
-  const tempObj = g(data, "temperature");
-  const feelsObj = g(data, "feelsLikeTemperature");
-  const hum = g(data, "relativeHumidity");
-  const windObj = g(data, "wind");
+  w.addSpacer();
 
-  const tempStr = fmtTemp(tempObj);
-  const feelsStr = fmtTemp(feelsObj);
-  const windStr = fmtWind(windObj);
-  const tempC = parseTempC(tempObj);
+  addSymbol(w, v.symName, 30);
+  w.addSpacer(4);
 
-  w.backgroundGradient = gradientFor(tempC, isDay);
+  const tempT = w.addText(v.tempStr);
+  tempT.font = Font.systemFont(34);
+  tempT.textColor = themeColor("text");
+  tempT.minimumScaleFactor = 0.6;
 
-  // Header: location + time
-  const top = w.addStack();
-  top.layoutHorizontally();
-  top.centerAlignContent();
+  if (v.deltaStr) addDelta(w, v, 10);
 
-  const locTxt = top.addText(placeName || "Current location");
-  locTxt.font = Font.mediumSystemFont(13);
-  locTxt.textColor = Color.white();
-  locTxt.lineLimit = 1;
+  const cond = w.addText(v.condStr);
+  cond.font = Font.mediumSystemFont(12);
+  cond.textColor = themeColor("secondary");
+  cond.lineLimit = 1;
+  cond.minimumScaleFactor = 0.7;
 
-  top.addSpacer();
+  if (v.meta.stale) {
+    w.addSpacer(2);
+    const upd = w.addStack();
+    upd.centerAlignContent();
+    addUpdated(upd, v.meta, 9);
+  }
+}
 
-  const now = new Date();
-  const timeTxt = top.addText(
-    now.toLocaleTimeString([], { hour: "2-digit", minute: "2-digit" })
-  );
-  timeTxt.font = Font.regularSystemFont(11);
-  timeTxt.textColor = new Color("#eaeaea");
+function buildMedium(w, v, placeName) {
+  w.setPadding(14, 16, 14, 16);
 
+  // Header: location + updated
+  addHeader(w, placeName || tr("currentLocation"), v.meta);
   w.addSpacer(6);
 
   // Main row: icon + temp
   const mid = w.addStack();
   mid.centerAlignContent();
 
-  const symName = pickSymbol(weatherCond, isDay);
-  const sf = SFSymbol.named(symName);
-  const icon = mid.addImage(sf.image);
-  icon.imageSize = new Size(34, 34);
-  icon.tintColor = Color.white();
-
+  addSymbol(mid, v.symName, 34);
   mid.addSpacer(10);
 
-  const tempT = mid.addText(tempStr);
+  const tempT = mid.addText(v.tempStr);
   tempT.font = Font.systemFont(40);
-  tempT.textColor = Color.white();
+  tempT.textColor = themeColor("text");
+
+  if (v.deltaStr) {
+    mid.addSpacer(8);
+    addDelta(mid, v, 12);
+  }
 
   w.addSpacer(2);
 
-  const cond = w.addText(condStr);
+  const cond = w.addText(v.condStr);
   cond.font = Font.mediumSystemFont(14);
-  cond.textColor = new Color("#f5f5f7");
+  cond.textColor = themeColor("secondary");
   cond.lineLimit = 1;
 
   w.addSpacer(6);
 
   // Details row
-  const row = w.addStack();
-  row.layoutHorizontally();
-
-  function kv(label, value) {
-    const col = row.addStack();
-    col.layoutVertically();
-    const l = col.addText(label);
-    l.font = Font.systemFont(10);
-    l.textColor = new Color("#dddddd");
-    const v = col.addText(String(value));
-    v.font = Font.mediumSystemFont(12);
-    v.textColor = Color.white();
-    return col;
-  }
+  addDetailRow(w, v.details);
+}
 
-  kv("Feels", feelsStr);
-  row.addSpacer();
-  kv("Hum", hum != null ? `${hum}%` : "—");
-  row.addSpacer();
-  kv("Wind", windStr);
+function buildLarge(w, v, placeName, data) {
+  buildMedium(w, v, placeName);
+  w.setPadding(16, 16, 16, 16);
 
-  w.refreshAfterDate = new Date(Date.now() + REFRESH_MIN * 60 * 1000);
-  return w;
+  for (const items of currentExtraDetails(data, v)) {
+    w.addSpacer(10);
+    addDetailRow(w, items);
+  }
+  w.addSpacer();
 }
 
-// ---- MAIN ----
-let apiKey, loc, data;
-try {
-  apiKey = await getApiKey();
-  loc = await getLocation();
+// Lock screen: monochrome, no background (iOS tints it)
+function buildAccessory(w, v, placeName, family) {
+  if (family === "accessoryInline") {
+    addSymbol(w, v.symName, 12);
+    w.addText(`${v.tempCompact} ${v.condStr}`);
+    return;
+  }
 
-  // Try cache
-  data = readCache();
+  w.addAccessoryWidgetBackground = family === "accessoryCircular";
 
-  // Try fresh network
-  // SAFEGUARD: cache is only updated if this succeeds.
-  try {
-    const fresh = await fetchWeather(apiKey, loc.latitude, loc.longitude);
-    // If fetch succeeds, overwrite in-memory data AND cache.
-    data = fresh;
-    writeCache(fresh);
-  } catch (netErr) {
-    // Network/timeout/HTTP error: keep using existing cache (if any).
-    if (!data) {
-      // No cache to fall back to – propagate error so user sees error widget.
-      throw netErr;
-    }
-    // If there *is* cache, we silently continue with cached `data`.
+  if (family === "accessoryCircular") {
+    const col = w.addStack();
+    col.layoutVertically();
+    col.centerAlignContent();
+    addSymbol(col, v.symName, 18);
+    const tempT = col.addText(v.tempCompact);
+    tempT.font = Font.mediumSystemFont(15);
+    tempT.textColor = themeColor("text");
+    return;
   }
 
-  const placeName = loc.name
-    ? `${loc.name}`
-    : `Lat ${loc.latitude.toFixed(2)}, Lon ${loc.longitude.toFixed(2)}`;
+  // accessoryRectangular
+  const locTxt = w.addText(`${v.meta.stale ? "⚠︎ " : ""}${placeName || tr("currentLocation")}`);
+  locTxt.font = Font.semiboldSystemFont(12);
+  locTxt.textColor = themeColor("text");
+  locTxt.lineLimit = 1;
+
+  const mid = w.addStack();
+  mid.centerAlignContent();
+  addSymbol(mid, v.symName, 16);
+  mid.addSpacer(4);
+  const tempT = mid.addText(v.tempStr);
+  tempT.font = Font.mediumSystemFont(18);
+  tempT.textColor = themeColor("text");
+
+  const cond = w.addText(`${v.condStr} · ${tr("feels")} ${v.feelsStr}`);
+  cond.font = Font.systemFont(11);
+  cond.textColor = themeColor("text");
+  cond.lineLimit = 1;
+}
 
-  const widget = await buildWidget(data, placeName);
+// ---- Build the widget UI ----
+// meta: { timestamp, stale } from cachedFetch
+// sunDays: forecastDays used to refresh right after the next sunrise / sunset
+// yesterday: { same, high, low } from the history, or null
+// meta.air / meta.pollen: air quality and today's pollen for the optional detail slots
+async function buildWidget(data, placeName, cfg, family, meta = {}, sunDays = [], yesterday = null) {
+  const w = new ListWidget();
+  const v = { ...currentView(data, cfg), ...yesterdayView(data, yesterday), meta };
+  const slots = detailSlots(v, meta);
+  v.details = cfg.details.map(id => slots[id]).filter(Boolean);
 
-  if (!config.runsInWidget) {
-    await widget.presentMedium();
+  if (isAccessory(family)) {
+    buildAccessory(w, v, placeName, family);
   } else {
-    Script.setWidget(widget);
+    applyBackground(w, cfg, family, { tempC: v.tempC, isDay: v.isDay, condition: v.condition, severeAlert: hasSevereAlert(meta.alerts) });
+    addAlertBanner(w, meta.alerts, cfg, family);
+    if (family === "small") buildSmall(w, v, placeName);
+    else if (isLarge(family)) buildLarge(w, v, placeName, data);
+    else buildMedium(w, v, placeName);
   }
-  Script.complete();
 
-} catch (err) {
-  // Fallback error widget
-  const w = new ListWidget();
-  w.setPadding(16, 16, 16, 16);
-  const t = w.addText("Weather error");
-  t.font = Font.boldSystemFont(16);
-  t.textColor = Color.red();
-  w.addSpacer(6);
-  const m = w.addText(String(err));
-  m.font = Font.systemFont(12);
-  m.textColor = Color.white();
-  w.refreshAfterDate = new Date(Date.now() + 15 * 60 * 1000);
-  if (!config.runsInWidget) await w.presentSmall();
-  else Script.setWidget(w);
-  Script.complete();
+  w.url = widgetUrl(cfg, meta.location, { view: "current" });
+  w.refreshAfterDate = refreshDate(cfg, sunDays);
+  return w;
 }
+
+// ---- MAIN ----
+// The shared run (runWidgetScript in weatherwidget_lib.js) with this script's steps
+await runWidgetScript({
+  defaults: DEFAULTS,
+  keychainKey: KEYCHAIN_KEY,
+  shortcutData: ["current"],
+  views: ["current"],
+  menuDetails: "current",
+  errorTitle: "weatherError",
+  errorRefreshMin: 15,
+
+  // Fresh cache → no network; stale cache → refetch, stale copy as fallback.
+  // No usable cache and no network → error propagates to the error widget.
+  fetch: ({ cfg, apiKey, loc }) => cachedFetch(cfg, CACHE_NAME,
+    () => withApiKey(KEYCHAIN_KEY, apiKey, key => fetchWeather(key, loc.latitude, loc.longitude, cfg))),
+
+  facts: result => (result.fromCache ? null : weatherFacts({ current: result.data })),
+
+  shortcut: (result, { loc, placeName }) => shortcutOutput(currentSummary(result.data, placeName), placeName,
+    { ...result, location: loc }, { current: currentOutput(result.data) }),
+
+  details: (result, { placeName }) => presentDetails(placeName, currentDetailRows(result.data)),
+
+  async widget(result, { cfg, apiKey, loc, family, placeName, alerts }) {
+    const sunDays = SUN_REFRESH ? await fetchSunDays(cfg, apiKey, loc) : [];
+    const yesterday = COMPARE_YESTERDAY && !isAccessory(family)
+      ? await fetchYesterday(cfg, apiKey, loc, result.data) : null;
+    // only medium and large show the detail row
+    const detailed = !isAccessory(family) && family !== "small";
+    const air = detailed ? await fetchAirQuality(cfg, apiKey, loc) : null;
+    const pollen = detailed ? await fetchPollen(cfg, apiKey, loc) : null;
+    return buildWidget(result.data, placeName, cfg, family,
+      { ...result, location: loc, alerts, air, pollen }, sunDays, yesterday);
+  }
+});
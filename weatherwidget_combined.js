@@ -0,0 +1,446 @@
+// Variables used by Scriptable.
+// These must be at the very top of the file. Do not edit.
+// icon-color: blue; icon-glyph: cloud-sun;
+/**
+ * Google Weather API — Current + Forecast Widget (Scriptable)
+ *
+ * Endpoints (requested in parallel, cached separately):
+ *   https://weather.googleapis.com/v1/currentConditions:lookup
+ *   https://weather.googleapis.com/v1/forecast/days:lookup
+ *
+ * Layout:
+ *   - Header: location | Updated HH:MM
+ *   - Hero: icon + real current temperature, today's high / low, condition
+ *   - Forecast strip underneath: [icon] [weekday + max/min] ···
+ *
+ * - Each request falls back to its own cache. If only one of them succeeds,
+ *   the widget is built from that one and flagged as incomplete:
+ *     no current conditions → hero from today's forecast
+ *     no forecast           → hero without high / low, no strip
+ * - Tapping the widget opens the current conditions in full (?view=current),
+ *   tapping a day in the strip opens that day (?view=day&index=N).
+ * - Run from Shortcuts or Siri it returns a spoken summary and the data as a
+ *   dictionary instead of a widget (shortcut input: loc / location, units,
+ *   data=current or data=forecast).
+ * - New data is checked against the notification rules in google_weather_rules.json.
+ * - Shared helpers come from weatherwidget_lib.js (importModule).
+ */
+
+//////////////////////// CONFIG ////////////////////////
+const USE_CURRENT_LOCATION = true;     // true = GPS; false = FIXED_LAT/LON
+const FIXED_LAT = 50.0647;             // Kraków example
+const FIXED_LON = 19.9450;
+const GEOCODE_KM = 1;                  // look up the place name again after moving N km
+const LANGUAGE = "pl";                 // "pl", "en", ...
+const UNITS_SYSTEM = "METRIC";         // "METRIC" or "IMPERIAL": API units and default display units
+const TEMP_UNIT = null;                // "C" or "F"; null = follow UNITS_SYSTEM
+const WIND_UNIT = null;                // "KMH", "MS", "MPH", "KN" or "BFT" (Beaufort)
+const PRECIP_UNIT = null;              // "MM" or "IN"
+const PRESSURE_UNIT = null;            // "HPA", "INHG" or "MMHG"
+const DAYS = 5;                        // days in the forecast strip
+const LARGE_DAYS = 10;                 // days listed by the large layout
+const KEYCHAIN_KEY = "GOOGLE_WEATHER_API_KEY";
+const CACHE_MIN = 10;                  // current conditions cache lifetime (minutes)
+const FORECAST_CACHE_MIN = 30;         // forecast cache lifetime (minutes)
+const MAX_STALE_MIN = 720;             // if a refresh fails, serve cache up to N minutes old
+const REFRESH_MIN = 15;                // suggested widget refresh interval
+const MONTHLY_BUDGET = 10000;          // API calls per month shared by all weather widgets
+const THEME = "classic";               // "classic", "light", "dark", "auto" (follows dark mode) or "custom"
+const BACKGROUND = null;               // null = theme gradient; "<image>.jpg" in Documents or "transparent:<position>"
+const TAP_ACTION = "app";              // "app" = a tap opens the detail view; "web" = a weather page for the location
+const ALERTS = true;                   // banner for official weather alerts (publicAlerts:lookup)
+const ALERTS_CACHE_MIN = 30;           // alerts cache lifetime (minutes)
+////////////////////////////////////////////////////////
+
+const {
+  g, cachedFetch, ownCacheConfig, weatherUrl, loadJSON, normalizeConditionText, fmtTemp,
+  fmtTempCompact, parseTempC, fmtWind, pickSymbol, isAccessory, isLarge, addSymbol, addUpdated,
+  withApiKey, addPlaceName, addHeader, tr, themeColor, applyBackground, weekdayLabel, dayCondition,
+  isDaytimeNow, refreshDate, presentDetails, currentDetailRows, dayTitle, dayDetailRows, widgetUrl,
+  itemUrl, weatherFacts, currentOutput, dayOutput, currentSummary, daySummary, shortcutOutput,
+  hasSevereAlert, addAlertBanner, runWidgetScript
+} = importModule("weatherwidget_lib");
+
+const CURRENT_CACHE = "google_weather_combined_current_cache";
+const FORECAST_CACHE = "google_weather_combined_forecast_cache";
+
+// Defaults for the widget parameter (see parseWidgetParameter in weatherwidget_lib.js)
+const DEFAULTS = {
+  useCurrentLocation: USE_CURRENT_LOCATION,
+  lat: FIXED_LAT,
+  lon: FIXED_LON,
+  geocodeKm: GEOCODE_KM,
+  language: LANGUAGE,
+  unitsSystem: UNITS_SYSTEM,
+  units: { temp: TEMP_UNIT, wind: WIND_UNIT, precip: PRECIP_UNIT, pressure: PRESSURE_UNIT },
+  days: DAYS,
+  cacheMin: CACHE_MIN,
+  forecastCacheMin: FORECAST_CACHE_MIN,
+  maxStaleMin: MAX_STALE_MIN,
+  refreshMin: REFRESH_MIN,
+  monthlyBudget: MONTHLY_BUDGET,
+  theme: THEME,
+  background: BACKGROUND,
+  tap: TAP_ACTION,
+  alerts: ALERTS,
+  alertsCacheMin: ALERTS_CACHE_MIN
+};
+
+// ---- API calls ----
+async function fetchCurrent(key, lat, lon, cfg) {
+  return loadJSON(weatherUrl("currentConditions:lookup", key, lat, lon, cfg));
+}
+
+async function fetchForecast(key, lat, lon, cfg, days) {
+  return loadJSON(weatherUrl("forecast/days:lookup", key, lat, lon, cfg, { days, pageSize: days }));
+}
+
+// Both requests at once; each settles to its cachedFetch result or { error }.
+// Only when both fail does the first error reach the error widget. A key rejected in
+// the app is replaced once (withApiKey) and both requests run again with the new one.
+async function fetchBoth(cfg, apiKey, loc, days) {
+  const forecastCfg = ownCacheConfig(cfg, cfg.forecastCacheMin);
+  const [current, forecast] = await withApiKey(KEYCHAIN_KEY, apiKey, async key => {
+    const both = await Promise.allSettled([
+      cachedFetch(cfg, CURRENT_CACHE, () => fetchCurrent(key, loc.latitude, loc.longitude, cfg)),
+      cachedFetch(forecastCfg, FORECAST_CACHE, () => fetchForecast(key, loc.latitude, loc.longitude, cfg, days),
+        cached => g(cached, "forecastDays", []).length >= days)
+    ]);
+    // in a widget the other part may still show
+    const rejected = both.find(r => r.status === "rejected" && r.reason.reason === "API_KEY_INVALID");
+    if (rejected && !config.runsInWidget) throw rejected.reason;
+    return both;
+  });
+  if (current.status === "rejected" && forecast.status === "rejected") throw current.reason;
+
+  const part = r => (r.status === "fulfilled" ? r.value : { data: null, error: r.reason });
+  return { current: part(current), forecast: part(forecast) };
+}
+
+// Header meta: the older of the two timestamps; stale if either part is stale or missing
+function combinedMeta(parts, loc) {
+  const got = [parts.current, parts.forecast].filter(p => p.data);
+  return {
+    timestamp: Math.min(...got.map(p => p.timestamp)),
+    stale: got.length < 2 || got.some(p => p.stale),
+    location: loc
+  };
+}
+
+// ---- View helpers ----
+// Hero view model: current conditions when we have them, else today's forecast
+function heroView(current, today) {
+  const hiLo = today
+    ? `${fmtTempCompact(g(today, "maxTemperature"))} / ${fmtTempCompact(g(today, "minTemperature"))}`
+    : null;
+
+  if (current) {
+    const cond = g(current, "weatherCondition");
+    const isDay = !!g(current, "isDaytime");
+    const hum = g(current, "relativeHumidity");
+    return {
+      condStr: String(normalizeConditionText(cond) || "—"),
+      condition: cond,
+      isDay,
+      symName: pickSymbol(cond, isDay),
+      tempStr: fmtTemp(g(current, "temperature")),
+      tempCompact: fmtTempCompact(g(current, "temperature")),
+      tempC: parseTempC(g(current, "temperature")),
+      hiLo,
+      feelsStr: fmtTemp(g(current, "feelsLikeTemperature")),
+      humStr: hum != null ? `${hum}%` : "—",
+      windStr: fmtWind(g(current, "wind"))
+    };
+  }
+
+  const cond = dayCondition(today);
+  const isDay = isDaytimeNow(today);
+  const dayPart = g(today, "daytimeForecast");
+  const hum = g(dayPart, "relativeHumidity");
+  return {
+    condStr: String(normalizeConditionText(cond) || "—"),
+    condition: cond,
+    isDay,
+    symName: pickSymbol(cond, isDay),
+    tempStr: "—",
+    tempCompact: "—",
+    tempC: parseTempC(g(today, "maxTemperature")),
+    hiLo,
+    feelsStr: `${fmtTemp(g(today, "feelsLikeMaxTemperature"))}/${fmtTemp(g(today, "feelsLikeMinTemperature"))}`,
+    humStr: hum != null ? `${hum}%` : "—",
+    windStr: fmtWind(g(dayPart, "wind"))
+  };
+}
+
+// ---- Layout helpers ----
+// HERO: icon + current temp | high / low over condition
+function addHero(w, v, symSize, tempSize) {
+  const hero = w.addStack();
+  hero.layoutHorizontally();
+  hero.centerAlignContent();
+
+  addSymbol(hero, v.symName, symSize);
+  hero.addSpacer(8);
+
+  const tempT = hero.addText(v.tempStr);
+  tempT.font = Font.systemFont(tempSize);
+  tempT.textColor = themeColor("text");
+  tempT.minimumScaleFactor = 0.6;
+
+  hero.addSpacer(10);
+
+  const col = hero.addStack();
+  col.layoutVertically();
+  if (v.hiLo) {
+    const hiLo = col.addText(v.hiLo);
+    hiLo.font = Font.mediumSystemFont(13);
+    hiLo.textColor = themeColor("text");
+    hiLo.lineLimit = 1;
+  }
+  const cond = col.addText(v.condStr);
+  cond.font = Font.systemFont(12);
+  cond.textColor = themeColor("secondary");
+  cond.lineLimit = 1;
+  cond.minimumScaleFactor = 0.7;
+  return hero;
+}
+
+function addDetailRow(w, items) {
+  const row = w.addStack();
+  row.layoutHorizontally();
+
+  items.forEach(([label, value], i) => {
+    const col = row.addStack();
+    col.layoutVertically();
+    const l = col.addText(label);
+    l.font = Font.systemFont(9);
+    l.textColor = themeColor("muted");
+    const v = col.addText(String(value));
+    v.font = Font.mediumSystemFont(11);
+    v.textColor = themeColor("text");
+    if (i < items.length - 1) row.addSpacer();
+  });
+  return row;
+}
+
+// FORECAST STRIP: one column per day — weekday, icon, max / min
+function addForecastStrip(w, daysArr, count, cfg) {
+  if (!daysArr.length) {
+    const t = w.addText(tr("noForecast"));
+    t.font = Font.systemFont(11);
+    t.textColor = themeColor("muted");
+    return;
+  }
+
+  const strip = w.addStack();
+  strip.layoutHorizontally();
+
+  const maxDays = Math.min(count, daysArr.length);
+  for (let i = 0; i < maxDays; i++) {
+    const d = daysArr[i];
+    const col = strip.addStack();
+    col.layoutVertically();
+    col.centerAlignContent();
+    const url = itemUrl(cfg, { view: "day", index: i });
+    if (url) col.url = url;
+
+    const dayTxt = col.addText(weekdayLabel(d, i));
+    dayTxt.font = i === 0 ? Font.boldSystemFont(10) : Font.mediumSystemFont(10);
+    dayTxt.textColor = themeColor("text");
+    dayTxt.lineLimit = 1;
+
+    addSymbol(col, pickSymbol(dayCondition(d), true), 16);
+
+    const temps = col.addText(`${fmtTempCompact(g(d, "maxTemperature"))} / ${fmtTempCompact(g(d, "minTemperature"))}`);
+    temps.font = Font.systemFont(9);
+    temps.textColor = themeColor("secondary");
+    temps.lineLimit = 1;
+    temps.minimumScaleFactor = 0.7;
+
+    if (i < maxDays - 1) strip.addSpacer();
+  }
+}
+
+// ---- Layouts ----
+function buildSmall(w, v, placeName) {
+  w.setPadding(12, 12, 12, 12);
+
+  const locTxt = addPlaceName(w, placeName || tr("currentLocation"), v.meta, 12);
+  locTxt.minimumScaleFactor = 0.7;
+
+  w.addSpacer();
+  addSymbol(w, v.symName, 26);
+  w.addSpacer(2);
+
+  const tempT = w.addText(v.tempStr);
+  tempT.font = Font.systemFont(32);
+  tempT.textColor = themeColor("text");
+  tempT.minimumScaleFactor = 0.6;
+
+  if (v.hiLo) {
+    const hiLo = w.addText(v.hiLo);
+    hiLo.font = Font.mediumSystemFont(12);
+    hiLo.textColor = themeColor("text");
+  }
+
+  const cond = w.addText(v.condStr);
+  cond.font = Font.systemFont(11);
+  cond.textColor = themeColor("secondary");
+  cond.lineLimit = 1;
+  cond.minimumScaleFactor = 0.7;
+
+  if (v.meta.stale) {
+    w.addSpacer(2);
+    const upd = w.addStack();
+    upd.centerAlignContent();
+    addUpdated(upd, v.meta, 9);
+  }
+}
+
+function buildMedium(w, v, placeName, daysArr, cfg) {
+  w.setPadding(10, 14, 10, 14);
+
+  addHeader(w, placeName || tr("currentLocation"), v.meta);
+  w.addSpacer(4);
+  addHero(w, v, 30, 36);
+  w.addSpacer(6);
+  addForecastStrip(w, daysArr, cfg.days, cfg);
+}
+
+function buildLarge(w, v, placeName, daysArr, cfg) {
+  w.setPadding(14, 16, 14, 16);
+
+  addHeader(w, placeName || tr("currentLocation"), v.meta);
+  w.addSpacer(6);
+  addHero(w, v, 36, 44);
+  w.addSpacer(8);
+  addDetailRow(w, [[tr("feels"), v.feelsStr], [tr("humidity"), v.humStr], [tr("wind"), v.windStr]]);
+  w.addSpacer(12);
+  addForecastStrip(w, daysArr, LARGE_DAYS, cfg);
+  w.addSpacer();
+}
+
+// Lock screen: monochrome, no background (iOS tints it)
+function buildAccessory(w, v, placeName, family) {
+  if (family === "accessoryInline") {
+    addSymbol(w, v.symName, 12);
+    w.addText(`${v.tempCompact}${v.hiLo ? ` (${v.hiLo})` : ""} ${v.condStr}`);
+    return;
+  }
+
+  if (family === "accessoryCircular") {
+    w.addAccessoryWidgetBackground = true;
+    const col = w.addStack();
+    col.layoutVertically();
+    col.centerAlignContent();
+    addSymbol(col, v.symName, 16);
+    const tempT = col.addText(v.tempCompact);
+    tempT.font = Font.mediumSystemFont(15);
+    tempT.textColor = themeColor("text");
+    return;
+  }
+
+  // accessoryRectangular
+  const locTxt = w.addText(`${v.meta.stale ? "⚠︎ " : ""}${placeName || tr("currentLocation")}`);
+  locTxt.font = Font.semiboldSystemFont(12);
+  locTxt.textColor = themeColor("text");
+  locTxt.lineLimit = 1;
+
+  const mid = w.addStack();
+  mid.centerAlignContent();
+  addSymbol(mid, v.symName, 16);
+  mid.addSpacer(4);
+  const tempT = mid.addText(v.tempCompact);
+  tempT.font = Font.mediumSystemFont(16);
+  tempT.textColor = themeColor("text");
+  if (v.hiLo) {
+    mid.addSpacer(6);
+    const hiLo = mid.addText(v.hiLo);
+    hiLo.font = Font.systemFont(12);
+    hiLo.textColor = themeColor("text");
+  }
+
+  const cond = w.addText(v.condStr);
+  cond.font = Font.systemFont(11);
+  cond.textColor = themeColor("text");
+  cond.lineLimit = 1;
+}
+
+// ---- Build the widget UI ----
+// parts: { current, forecast } from fetchBoth; either may have data: null
+async function buildWidget(parts, placeName, cfg, family, meta) {
+  const w = new ListWidget();
+
+  const daysArr = g(parts.forecast.data, "forecastDays", []) || [];
+  const v = { ...heroView(parts.current.data, daysArr[0] || null), meta };
+  w.url = widgetUrl(cfg, meta.location, { view: "current" });
+
+  if (isAccessory(family)) {
+    buildAccessory(w, v, placeName, family);
+  } else {
+    applyBackground(w, cfg, family, { tempC: v.tempC, isDay: v.isDay, condition: v.condition, severeAlert: hasSevereAlert(meta.alerts) });
+    addAlertBanner(w, meta.alerts, cfg, family);
+    if (family === "small") buildSmall(w, v, placeName);
+    else if (isLarge(family)) buildLarge(w, v, placeName, daysArr, cfg);
+    else buildMedium(w, v, placeName, daysArr, cfg);
+  }
+
+  // the hero's day/night look comes from isDaytime, so refresh right after sunrise / sunset
+  w.refreshAfterDate = refreshDate(cfg, daysArr);
+  return w;
+}
+
+// ---- MAIN ----
+// Days to fetch: what the family shows, and at least up to a tapped day
+function daysWanted(cfg, family, view) {
+  const dayIndex = view && view.view === "day" ? Math.min(view.index, LARGE_DAYS - 1) : 0;
+  return Math.max(isLarge(family) ? Math.max(cfg.days, LARGE_DAYS) : cfg.days, dayIndex + 1);
+}
+
+// The shared run (runWidgetScript in weatherwidget_lib.js) with this script's steps
+await runWidgetScript({
+  defaults: DEFAULTS,
+  extraKeys: { days: [1, 10] },
+  keychainKey: KEYCHAIN_KEY,
+  shortcutData: ["current", "forecast"],
+  views: ["current", "day"],
+  errorTitle: "weatherError",
+  errorRefreshMin: 15,
+
+  async fetch({ cfg, apiKey, loc, family, view }) {
+    const parts = await fetchBoth(cfg, apiKey, loc, daysWanted(cfg, family, view));
+    if (parts.current.error) console.warn(`Current conditions unavailable: ${parts.current.error}`);
+    if (parts.forecast.error) console.warn(`Forecast unavailable: ${parts.forecast.error}`);
+    return parts;
+  },
+
+  facts: parts => ([parts.current, parts.forecast].some(p => p.data && !p.fromCache)
+    ? weatherFacts({ current: parts.current.data, days: g(parts.forecast.data, "forecastDays", []) || [] })
+    : null),
+
+  shortcut(parts, { cfg, loc, family, shortcut, placeName }) {
+    if (shortcut.data === "current") {
+      if (!parts.current.data) throw parts.current.error;
+      return shortcutOutput(currentSummary(parts.current.data, placeName), placeName,
+        { ...parts.current, location: loc }, { current: currentOutput(parts.current.data) });
+    }
+    const daysArr = (g(parts.forecast.data, "forecastDays", []) || []).slice(0, daysWanted(cfg, family, null));
+    if (!daysArr.length) throw parts.forecast.error || new Error(tr("noForecast"));
+    return shortcutOutput(daySummary(daysArr[0], placeName), placeName,
+      { ...parts.forecast, location: loc }, { forecast: daysArr.map(dayOutput) });
+  },
+
+  details(parts, { view, placeName }) {
+    if (view.view === "current") {
+      if (!parts.current.data) throw parts.current.error;
+      return presentDetails(placeName || tr("currentLocation"), currentDetailRows(parts.current.data));
+    }
+    const daysArr = g(parts.forecast.data, "forecastDays", []) || [];
+    if (!daysArr.length) throw parts.forecast.error || new Error(tr("noForecast"));
+    const day = daysArr[Math.min(view.index, LARGE_DAYS - 1, daysArr.length - 1)];
+    return presentDetails(dayTitle(day), dayDetailRows(day, g(parts.forecast.data, "timeZone.id")));
+  },
+
+  widget: (parts, { cfg, loc, family, placeName, alerts }) =>
+    buildWidget(parts, placeName, cfg, family, { ...combinedMeta(parts, loc), alerts })
+});
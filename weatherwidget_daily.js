@@ -11,441 +11,550 @@
  *   - Header: location | Updated HH:MM
  *   - Today overview:
  *       icon + big current temp (today's max)
- *   - Detail row:
- *       Feels (max/min), Humidity (daytime), Wind (daytime)
+ *   - Detail row (DETAILS / `details=` picks the slots):
+ *       Feels (max/min), Humidity (daytime), Wind (daytime), Rain/Snow (chance + amount)
+ *       optional: sunrise, sunset, countdown to the next one, day length, moon phase,
+ *       air quality (AQI, dominant pollutant) and today's grass / tree / weed pollen
  *   - Daily mini-row (today + next 5), in ONE HORIZONTAL ROW:
- *       [icon] [weekday + compact max/min] ···
+ *       [icon] [weekday + compact max/min + chance of rain] ···
+ *     days at or above UMBRELLA_PCT are highlighted
+ *   - Tapping the widget opens today's full forecast, tapping a day (medium and
+ *     large) that day's: daytime and nighttime parts, sun and moon (?view=day&index=N)
+ *   - Chart mode (CHART / `chart=`): medium and large show a drawn chart instead of
+ *     the day rows — temperature line, precipitation bars, night shading — over the
+ *     coming days, or the coming hours (one extra forecast/hours:lookup call)
  *
  * - Uses Keychain-stored API key (GOOGLE_WEATHER_API_KEY).
  * - Uses current GPS location or fixed coords.
  * - Cache updated ONLY after successful response.
+ * - Run from Shortcuts or Siri it returns a spoken summary and the data as a
+ *   dictionary instead of a widget (shortcut input: loc / location, units, ...).
+ * - New data is checked against the notification rules in google_weather_rules.json.
+ * - Shared helpers come from weatherwidget_lib.js (importModule).
  */
 
 //////////////////////// CONFIG ////////////////////////
 const USE_CURRENT_LOCATION = true;     // true = GPS; false = FIXED_LAT/LON
 const FIXED_LAT = 50.0647;            // Kraków example
 const FIXED_LON = 19.9450;
+const GEOCODE_KM = 1;                 // look up the place name again after moving N km
 const LANGUAGE = "pl";                // "pl", "en", ...
-const UNITS_SYSTEM = "METRIC";        // "METRIC" or "IMPERIAL"
+const UNITS_SYSTEM = "METRIC";        // "METRIC" or "IMPERIAL": API units and default display units
+const TEMP_UNIT = null;               // "C" or "F"; null = follow UNITS_SYSTEM
+const WIND_UNIT = null;               // "KMH", "MS", "MPH", "KN" or "BFT" (Beaufort)
+const PRECIP_UNIT = null;             // "MM" or "IN"
+const PRESSURE_UNIT = null;           // "HPA", "INHG" or "MMHG"
 const DAYS = 6;                       // today + next 5
+const LARGE_DAYS = 10;                // days listed by the large layout
 const KEYCHAIN_KEY = "GOOGLE_WEATHER_API_KEY";
 const CACHE_MIN = 20;                 // forecast cache lifetime (minutes)
+const MAX_STALE_MIN = 720;            // if a refresh fails, serve cache up to N minutes old
 const REFRESH_MIN = 30;               // suggested widget refresh interval
+const MONTHLY_BUDGET = 10000;         // API calls per month shared by all weather widgets
+const UMBRELLA_PCT = 50;              // highlight days with a chance of rain/snow from N% (null = never)
+const DETAILS = ["feels", "humidity", "wind", "precip"]; // also "sunrise", "sunset", "countdown", "daylength", "moon", "aqi", "pollutant", "grass", "tree", "weed"
+const AIR_CACHE_MIN = 60;             // air quality cache lifetime (minutes)
+const POLLEN_CACHE_MIN = 360;         // pollen forecast cache lifetime (minutes)
+const THEME = "classic";              // "classic", "light", "dark", "auto" (follows dark mode) or "custom"
+const BACKGROUND = null;              // null = theme gradient; "<image>.jpg" in Documents or "transparent:<position>"
+const TAP_ACTION = "app";             // "app" = a tap opens the detail view; "web" = a weather page for the location
+const ALERTS = true;                  // banner for official weather alerts (publicAlerts:lookup)
+const ALERTS_CACHE_MIN = 30;          // alerts cache lifetime (minutes)
+const CHART = "off";                  // "off", "days" or "hours" (chart in the medium and large layouts)
+const CHART_HOURS = 24;               // hours drawn by the "hours" chart
 ////////////////////////////////////////////////////////
 
-const fm = FileManager.local();
-const cachePath = fm.joinPath(fm.documentsDirectory(), "google_weather_forecast_cache.json");
-
-// ---- API key handling ----
-async function getApiKey() {
-  let key = Keychain.contains(KEYCHAIN_KEY) ? Keychain.get(KEYCHAIN_KEY) : null;
-  if (!key) {
-    const a = new Alert();
-    a.title = "Google Weather API key";
-    a.message = "Paste your Google Maps Platform Weather API key.\nIt will be stored securely in Keychain.";
-    a.addTextField("YOUR_API_KEY_HERE");
-    a.addAction("Save");
-    a.addCancelAction("Cancel");
-    const idx = await a.present();
-    if (idx === -1) { throw new Error("API key input cancelled."); }
-    key = a.textFieldValue(0).trim();
-    if (!key) throw new Error("Empty API key.");
-    Keychain.set(KEYCHAIN_KEY, key);
-  }
-  return key;
-}
-
-// ---- Location (GPS or fixed) ----
-async function getLocation() {
-  if (!USE_CURRENT_LOCATION) {
-    return { latitude: FIXED_LAT, longitude: FIXED_LON, name: null };
-  }
-  Location.setAccuracyToTenMeters();
-  const loc = await Location.current();
-  let placemarks = [];
-  try { placemarks = await Location.reverseGeocode(loc.latitude, loc.longitude); } catch (_) {}
-  const name = placemarks?.[0]?.locality
-    || placemarks?.[0]?.subLocality
-    || placemarks?.[0]?.administrativeArea
-    || null;
-  return { latitude: loc.latitude, longitude: loc.longitude, name };
-}
-
-// ---- Cache helpers ----
-function readCache() {
-  if (!fm.fileExists(cachePath)) return null;
-  try {
-    const obj = JSON.parse(fm.readString(cachePath));
-    if (!obj.timestamp) return null;
-    const ageMin = (Date.now() - obj.timestamp) / 60000;
-    if (ageMin > CACHE_MIN) return null;
-    return obj.data;
-  } catch (_) { return null; }
-}
-function writeCache(data) {
-  try {
-    fm.writeString(cachePath, JSON.stringify({ timestamp: Date.now(), data }));
-  } catch (_) {}
-}
-
-// ---- Safe getter ----
-function g(obj, path, fallback = null) {
-  return path.split(".").reduce((o, k) => (o && o[k] !== undefined ? o[k] : null), obj) ?? fallback;
-}
+const {
+  g, cachedFetch, ownCacheConfig, weatherUrl, loadJSON, normalizeConditionText, fmtTemp,
+  fmtTempCompact, parseTempC, fmtWind, pickSymbol, isAccessory, isLarge, addSymbol, addUpdated,
+  withApiKey, addPlaceName, addHeader, tr, themeColor, applyBackground, weekdayLabel, dayCondition,
+  isDaytimeNow, dayPrecipitation, precipLabel, fmtPrecip, needsUmbrella, sunTimes, nextSunEvent,
+  refreshDate, dayLength, fmtDayLength, moonPhase, fmtClock, chartSize, chartSlotsFromDays,
+  upcomingHours, chartSlotsFromHours, drawChart, addChart, presentDetails, dayTitle, dayDetailRows,
+  widgetUrl, itemUrl, weatherFacts, dayOutput, daySummary, shortcutOutput, hasSevereAlert,
+  addAlertBanner, fetchAirQuality, fetchPollen, airSlots, runWidgetScript
+} = importModule("weatherwidget_lib");
+
+const CACHE_NAME = "google_weather_forecast_cache";
+const CHART_CACHE_NAME = "google_weather_chart_hours_cache";
+const CHART_CACHE_MIN = 60;
+
+// Defaults for the widget parameter (see parseWidgetParameter in weatherwidget_lib.js)
+const DEFAULTS = {
+  useCurrentLocation: USE_CURRENT_LOCATION,
+  lat: FIXED_LAT,
+  lon: FIXED_LON,
+  geocodeKm: GEOCODE_KM,
+  language: LANGUAGE,
+  unitsSystem: UNITS_SYSTEM,
+  units: { temp: TEMP_UNIT, wind: WIND_UNIT, precip: PRECIP_UNIT, pressure: PRESSURE_UNIT },
+  days: DAYS,
+  cacheMin: CACHE_MIN,
+  maxStaleMin: MAX_STALE_MIN,
+  refreshMin: REFRESH_MIN,
+  monthlyBudget: MONTHLY_BUDGET,
+  umbrellaPct: UMBRELLA_PCT,
+  details: DETAILS,
+  theme: THEME,
+  background: BACKGROUND,
+  tap: TAP_ACTION,
+  alerts: ALERTS,
+  alertsCacheMin: ALERTS_CACHE_MIN,
+  airCacheMin: AIR_CACHE_MIN,
+  pollenCacheMin: POLLEN_CACHE_MIN,
+  chart: CHART
+};
 
 // ---- API call: forecast/days:lookup ----
-async function fetchForecast(key, lat, lon) {
-  const params = [
-    `key=${encodeURIComponent(key)}`,
-    `location.latitude=${encodeURIComponent(lat)}`,
-    `location.longitude=${encodeURIComponent(lon)}`,
-    `days=${encodeURIComponent(DAYS)}`,
-    `languageCode=${encodeURIComponent(LANGUAGE)}`,
-    `unitsSystem=${encodeURIComponent(UNITS_SYSTEM)}`
-  ].join("&");
-
-  const url = `https://weather.googleapis.com/v1/forecast/days:lookup?${params}`;
-  const req = new Request(url);
-  req.timeoutInterval = 12;
-  req.headers = { "Accept": "application/json" };
-
-  const json = await req.loadJSON();
-  if (req.response && req.response.statusCode && req.response.statusCode >= 400) {
-    throw new Error(`HTTP ${req.response.statusCode}`);
-  }
-  return json;  // { forecastDays: [...], timeZone: {...}, nextPageToken? }
+// `days` may exceed cfg.days (large layout); pageSize keeps it to one page.
+async function fetchForecast(key, lat, lon, cfg, days = cfg.days) {
+  const url = weatherUrl("forecast/days:lookup", key, lat, lon, cfg, { days, pageSize: days });
+  return loadJSON(url);  // { forecastDays: [...], timeZone: {...}, nextPageToken? }
 }
 
-// ---- Condition text/type normalisation ----
-function normalizeConditionText(weatherCondition) {
-  if (!weatherCondition) return null;
-
-  if (typeof weatherCondition === "string") {
-    return weatherCondition;
+// ---- API call: forecast/hours:lookup (hours chart only) ----
+// Cached for CHART_CACHE_MIN (longer when the quota runs ahead of budget); hours
+// that already ended are dropped. Optional: on failure the chart falls back to the days.
+async function fetchChartHours(cfg, apiKey, loc) {
+  try {
+    const result = await cachedFetch(ownCacheConfig(cfg, CHART_CACHE_MIN), CHART_CACHE_NAME,
+      () => loadJSON(weatherUrl("forecast/hours:lookup", apiKey, loc.latitude, loc.longitude, cfg,
+        { hours: CHART_HOURS, pageSize: CHART_HOURS })),
+      cached => upcomingHours(g(cached, "forecastHours", [])).length > 0);
+    return upcomingHours(g(result.data, "forecastHours", []));
+  } catch (err) {
+    console.warn(`Hourly chart unavailable: ${err}`);
+    return [];
   }
-
-  const desc = weatherCondition.description;
-  if (typeof desc === "string") return desc;
-  if (desc && typeof desc.text === "string") return desc.text;
-
-  if (typeof weatherCondition.type === "string") return weatherCondition.type;
-
-  return null;
 }
 
-function getConditionType(weatherCondition) {
-  if (!weatherCondition) return "";
-  let type = weatherCondition.type;
-  if (!type) return "";
-  return String(type).toUpperCase();
+// ---- View helpers ----
+// "80%", or "☂︎80%" on umbrella days
+function fmtDayChance(precip, cfg) {
+  const pct = g(precip, "probability.percent");
+  if (pct == null) return "—";
+  return `${needsUmbrella(precip, cfg.umbrellaPct) ? "☂︎" : ""}${Math.round(pct)}%`;
 }
 
-// ---- Temperature helpers ----
-function fmtTemp(tempObj) {
-  const val = g(tempObj, "degrees");
-  const unit = g(tempObj, "unit");
-  if (val == null) return "—";
-  const sym = unit === "FAHRENHEIT" ? "°F" : "°C";
-  return `${Math.round(val)}${sym}`;
-}
-
-// Compact temp for daily row: no unit (but keep °)
-function fmtTempCompact(tempObj) {
-  const val = g(tempObj, "degrees");
-  if (val == null) return "—";
-  return `${Math.round(val)}°`;
-}
-
-function parseTempC(tempObj) {
-  const val = g(tempObj, "degrees");
-  const unit = g(tempObj, "unit");
-  if (val == null) return null;
-  if (unit === "FAHRENHEIT") return Math.round((val - 32) * 5/9);
-  return Math.round(val);
-}
-
-// ---- Wind helpers ----
-function fmtWind(windObj) {
-  const spdVal = g(windObj, "speed.value");
-  const spdUnit = g(windObj, "speed.unit");
-  let sym = "";
-  if (spdUnit === "MILE_PER_HOUR") sym = "mph";
-  else if (spdUnit === "METER_PER_SECOND") sym = "m/s";
-  else sym = "km/h";
-
-  if (spdVal == null) return "—";
-
-  const dirDeg = g(windObj, "direction.degrees");
-  const dirTxt = degToDir(dirDeg);
-  return `${Math.round(spdVal)} ${sym}${dirTxt ? " " + dirTxt : ""}`;
-}
-
-function degToDir(deg) {
-  if (deg == null || isNaN(deg)) return "";
-  const dirs = ["N","NNE","NE","ENE","E","ESE","SE","SSE",
-                "S","SSW","SW","WSW","W","WNW","NW","NNW"];
-  return dirs[Math.round((deg % 360) / 22.5) % 16];
-}
-
-// ---- Condition → SF Symbol (based on type) ----
-function pickSymbol(weatherCondition, isDaytime) {
-  const type = getConditionType(weatherCondition);
-  const t = type.toUpperCase();
-  const day = !!isDaytime;
-
-  // Use documented types: CLOUDY, MOSTLY_CLOUDY, PARTLY_CLOUDY, SNOW_SHOWERS, RAIN_AND_SNOW, etc.
-  if (t.includes("THUNDER") || t.includes("STORM")) return "cloud.bolt.rain.fill";
-  if (t.includes("SNOW")) return "cloud.snow.fill";
-  if (t.includes("RAIN")) return "cloud.rain.fill";
-  if (t.includes("SHOWERS")) return "cloud.rain.fill";
-  if (t.includes("FOG")) return "cloud.fog.fill";
-  if (t.includes("HAZE") || t.includes("MIST")) return "cloud.fog.fill";
-  if (t.includes("OVERCAST")) return "smoke.fill";
-  if (t.includes("MOSTLY_CLOUDY") || t.includes("CLOUDY")) return day ? "cloud.sun.fill" : "cloud.moon.fill";
-  if (t.includes("PARTLY_CLOUDY")) return day ? "cloud.sun.fill" : "cloud.moon.fill";
-  if (t.includes("CLEAR") || t.includes("SUNNY")) return day ? "sun.max.fill" : "moon.stars.fill";
-
-  // Fallback: try description string (for unknown types)
-  const desc = (normalizeConditionText(weatherCondition) || "").toLowerCase();
-  if (desc.includes("storm") || desc.includes("thunder")) return "cloud.bolt.rain.fill";
-  if (desc.includes("snow")) return "cloud.snow.fill";
-  if (desc.includes("rain")) return "cloud.rain.fill";
-  if (desc.includes("fog") || desc.includes("mist") || desc.includes("haze")) return "cloud.fog.fill";
-  if (desc.includes("cloud")) return day ? "cloud.sun.fill" : "cloud.moon.fill";
-  if (desc.includes("clear") || desc.includes("sunny")) return day ? "sun.max.fill" : "moon.stars.fill";
-
-  return day ? "sun.max.fill" : "moon.stars.fill";
-}
-
-// ---- Gradient based on today's max temp ----
-function gradientFor(tempC) {
-  const cold = [new Color("#1e3c72"), new Color("#2a5298")];
-  const mild = [new Color("#396afc"), new Color("#2948ff")];
-  const hot  = [new Color("#ff512f"), new Color("#dd2476")];
-
-  let colors = cold;
-  if (tempC != null) {
-    if (tempC >= 24) colors = hot;
-    else if (tempC >= 10) colors = mild;
-    else colors = cold;
-  }
-
-  const grad = new LinearGradient();
-  grad.colors = colors;
-  grad.locations = [0, 1];
-  return grad;
-}
-
-// ---- Build the widget UI ----
-async function buildWidget(forecast, placeName) {
-  const w = new ListWidget();
-  w.setPadding(10, 12, 10, 12);
-
-  const daysArr = g(forecast, "forecastDays", []);
-  if (!Array.isArray(daysArr) || daysArr.length === 0) {
-    const t = w.addText("No forecast data");
-    t.textColor = Color.red();
-    t.font = Font.boldSystemFont(14);
-    return w;
-  }
-
-  const today = daysArr[0];
-
+// View model for "today", shared by all layouts
+function todayView(today, cfg) {
   const maxTempObj = g(today, "maxTemperature");
   const minTempObj = g(today, "minTemperature");
-  const feelsMaxObj = g(today, "feelsLikeMaxTemperature");
-  const feelsMinObj = g(today, "feelsLikeMinTemperature");
-
   const dayPart = g(today, "daytimeForecast");
-  const nightPart = g(today, "nighttimeForecast");
-
-  const dayCond = g(dayPart, "weatherCondition");
-  const nightCond = g(nightPart, "weatherCondition");
-
   const dayHum = g(dayPart, "relativeHumidity");
-  const dayWindObj = g(dayPart, "wind");
-
-  const maxTempC = parseTempC(maxTempObj);
-  w.backgroundGradient = gradientFor(maxTempC);
-
-  const currentTempStr = fmtTemp(maxTempObj);  // using today's max as "current"
-  const feelsMaxStr = fmtTemp(feelsMaxObj);
-  const feelsMinStr = fmtTemp(feelsMinObj);
-  const windStr = fmtWind(dayWindObj);
-  const humStr = dayHum != null ? `${dayHum}%` : "—";
-
-  // HEADER: location | Updated HH:MM
-  const header = w.addStack();
-  header.layoutHorizontally();
-  header.centerAlignContent();
-
-  const locTxt = header.addText(placeName || "Location");
-  locTxt.font = Font.mediumSystemFont(13);
-  locTxt.textColor = Color.white();
-  locTxt.lineLimit = 1;
+  const cond = dayCondition(today);
+  const condTextNorm = normalizeConditionText(cond);
+  const isDay = isDaytimeNow(today);
+  const precip = dayPrecipitation(today);
+
+  return {
+    condStr: condTextNorm ? String(condTextNorm) : "—",
+    condition: cond,
+    isDay,
+    symName: pickSymbol(cond, isDay),
+    currentTempStr: fmtTemp(maxTempObj),  // using today's max as "current"
+    maxCompact: fmtTempCompact(maxTempObj),
+    minCompact: fmtTempCompact(minTempObj),
+    maxTempC: parseTempC(maxTempObj),
+    feelsStr: `${fmtTemp(g(today, "feelsLikeMaxTemperature"))}/${fmtTemp(g(today, "feelsLikeMinTemperature"))}`,
+    humStr: dayHum != null ? `${dayHum}%` : "—",
+    windStr: fmtWind(g(dayPart, "wind")),
+    precipLabel: precipLabel(precip),
+    precipStr: fmtPrecip(precip),
+    umbrella: needsUmbrella(precip, cfg.umbrellaPct)
+  };
+}
 
-  header.addSpacer();
+// Every detail slot this widget can fill; null when the forecast lacks the data
+function detailSlots(daysArr, timeZone, loc, v) {
+  const sun = sunTimes(daysArr[0]);
+  const next = nextSunEvent(daysArr);
+  const len = dayLength(daysArr, loc);
+  const moon = moonPhase(daysArr[0]);
+  return {
+    feels: [tr("feels"), v.feelsStr],
+    humidity: [tr("humidity"), v.humStr],
+    wind: [tr("wind"), v.windStr],
+    precip: [v.precipLabel, v.precipStr, v.umbrella],
+    sunrise: sun && [tr("sunrise"), fmtClock(sun.sunrise, timeZone)],
+    sunset: sun && [tr("sunset"), fmtClock(sun.sunset, timeZone)],
+    countdown: next && [tr(next.type), next.at],
+    daylength: len && [tr("dayLength"), fmtDayLength(len)],
+    moon: moon && [tr("moon"), moon.label, false, moon.symbol]
+  };
+}
 
-  const now = new Date();
-  const timeTxt = header.addText(
-    now.toLocaleTimeString([], { hour: "2-digit", minute: "2-digit" })
-  );
-  timeTxt.font = Font.regularSystemFont(11);
-  timeTxt.textColor = new Color("#e0e0e0");
+function detailItems(v, cfg) {
+  return cfg.details.map(id => v.slots[id]).filter(Boolean);
+}
 
-  w.addSpacer(4);
+// Extra row for the large layout (daytime part of today)
+function todayExtraDetails(today) {
+  const pct = v => (v != null ? `${Math.round(v)}%` : "—");
+  const dayPart = g(today, "daytimeForecast");
+  return [
+    [tr("uv"), g(dayPart, "uvIndex", "—")],
+    [tr("clouds"), pct(g(dayPart, "cloudCover"))],
+    [tr("storm"), pct(g(dayPart, "thunderstormProbability"))]
+  ];
+}
 
-  // TODAY OVERVIEW: icon + BIG TEMP
+// ---- Layout helpers ----
+// TODAY OVERVIEW: icon + BIG TEMP
+function addTodayOverview(w, v, symSize, tempSize) {
   const todayStack = w.addStack();
   todayStack.layoutHorizontally();
   todayStack.centerAlignContent();
 
-  const todaySymbolName = pickSymbol(dayCond || nightCond, true);
-  const todaySymbol = SFSymbol.named(todaySymbolName);
-  const icon = todayStack.addImage(todaySymbol.image);
-  icon.imageSize = new Size(30, 30);
-  icon.tintColor = Color.white();
-
+  addSymbol(todayStack, v.symName, symSize);
   todayStack.addSpacer(10);
 
   const tempTextCol = todayStack.addStack();
   tempTextCol.layoutVertically();
 
-  const bigTemp = tempTextCol.addText(currentTempStr);
-  bigTemp.font = Font.systemFont(32);
-  bigTemp.textColor = Color.white();
-
-  w.addSpacer(4);
+  const bigTemp = tempTextCol.addText(v.currentTempStr);
+  bigTemp.font = Font.systemFont(tempSize);
+  bigTemp.textColor = themeColor("text");
+  return todayStack;
+}
 
-  // DETAILS ROW: Feels, Hum, Wind
+// items: [label, value, highlight?, symbol?, tint?]; highlighted values get an umbrella and
+// the accent colour; a Date value is shown as a live countdown ("in 2 hr")
+function addDetailRow(w, items) {
   const detailRow = w.addStack();
   detailRow.layoutHorizontally();
 
-  function kv(label, value) {
+  items.forEach(([label, value, highlight, symbol, tint], i) => {
     const col = detailRow.addStack();
     col.layoutVertically();
     const l = col.addText(label);
     l.font = Font.systemFont(9);
-    l.textColor = new Color("#dddddd");
-    const v = col.addText(String(value));
-    v.font = Font.mediumSystemFont(11);
-    v.textColor = Color.white();
-    return col;
-  }
-
-  kv("Feels", `${feelsMaxStr}/${feelsMinStr}`);
-  detailRow.addSpacer();
-  kv("Hum", humStr);
-  detailRow.addSpacer();
-  kv("Wind", windStr);
-
-  w.addSpacer(6);
+    l.textColor = themeColor("muted");
+    let valueStack = col;
+    if (symbol) {
+      valueStack = col.addStack();
+      valueStack.centerAlignContent();
+      const img = addSymbol(valueStack, symbol, 11);
+      if (tint) img.tintColor = new Color(tint);
+      valueStack.addSpacer(3);
+    }
+    const v = value instanceof Date ? valueStack.addDate(value)
+      : valueStack.addText(highlight ? `☂︎ ${value}` : String(value));
+    if (value instanceof Date) v.applyRelativeStyle();
+    v.font = highlight ? Font.boldSystemFont(11) : Font.mediumSystemFont(11);
+    v.textColor = highlight ? themeColor("accent") : themeColor("text");
+    v.lineLimit = 1;
+    v.minimumScaleFactor = 0.7;
+    if (i < items.length - 1) detailRow.addSpacer();
+  });
+  return detailRow;
+}
 
-  // DAILY MINI ROW: one horizontal row, each day as [icon][day+temps]
+// DAILY MINI ROW: one horizontal row, each day as [icon][day+temps+chance]
+function addMiniRow(w, daysArr, count, cfg) {
   const miniRow = w.addStack();
   miniRow.layoutHorizontally();
   miniRow.centerAlignContent();
 
-  const maxDays = Math.min(DAYS, daysArr.length);
+  const maxDays = Math.min(count, daysArr.length);
 
   for (let i = 0; i < maxDays; i++) {
     const d = daysArr[i];
 
-    const dd = g(d, "displayDate");
-    let weekday = "";
-    if (dd && dd.year && dd.month && dd.day) {
-      const dt = new Date(dd.year, dd.month - 1, dd.day);
-      weekday = dt.toLocaleDateString([], { weekday: "short" });
-    }
-    if (!weekday) weekday = i === 0 ? "Today" : `+${i}`;
-
-    const dMax = g(d, "maxTemperature");
-    const dMin = g(d, "minTemperature");
-    const dDayPart = g(d, "daytimeForecast");
-    const dNightPart = g(d, "nighttimeForecast");
-    const dCond = g(dDayPart, "weatherCondition") || g(dNightPart, "weatherCondition");
-
-    const dSymName = pickSymbol(dCond, true);
-    const dSym = SFSymbol.named(dSymName);
-
     const dayStack = miniRow.addStack();
     dayStack.layoutHorizontally();
     dayStack.centerAlignContent();
+    const url = itemUrl(cfg, { view: "day", index: i });
+    if (url) dayStack.url = url;
 
-    const dayIcon = dayStack.addImage(dSym.image);
-    dayIcon.imageSize = new Size(16, 16);
-    dayIcon.tintColor = Color.white();
-
+    addSymbol(dayStack, pickSymbol(dayCondition(d), true), 16);
     dayStack.addSpacer(3);
 
     const textCol = dayStack.addStack();
     textCol.layoutVertically();
 
-    const dayTxt = textCol.addText(weekday);
+    const dayTxt = textCol.addText(weekdayLabel(d, i));
     dayTxt.font = i === 0 ? Font.boldSystemFont(10) : Font.mediumSystemFont(9);
-    dayTxt.textColor = Color.white();
+    dayTxt.textColor = themeColor("text");
     dayTxt.lineLimit = 1;
     dayTxt.minimumScaleFactor = 0.7;
 
-    const tempsTxt = textCol.addText(`${fmtTempCompact(dMax)} / ${fmtTempCompact(dMin)}`);
+    const tempsTxt = textCol.addText(
+      `${fmtTempCompact(g(d, "maxTemperature"))} / ${fmtTempCompact(g(d, "minTemperature"))}`
+    );
     tempsTxt.font = Font.systemFont(9);
-    tempsTxt.textColor = new Color("#f5f5f7");
+    tempsTxt.textColor = themeColor("secondary");
     tempsTxt.lineLimit = 1;
     tempsTxt.minimumScaleFactor = 0.7;
 
+    const precip = dayPrecipitation(d);
+    const umbrella = needsUmbrella(precip, cfg.umbrellaPct);
+    const chanceTxt = textCol.addText(fmtDayChance(precip, cfg));
+    chanceTxt.font = umbrella ? Font.boldSystemFont(8) : Font.systemFont(8);
+    chanceTxt.textColor = umbrella ? themeColor("accent") : themeColor("muted");
+    chanceTxt.lineLimit = 1;
+
     if (i < maxDays - 1) {
       miniRow.addSpacer(6);
     }
   }
+  return miniRow;
+}
 
-  w.refreshAfterDate = new Date(Date.now() + REFRESH_MIN * 60 * 1000);
-  return w;
+// DAILY LIST (large): one line per day as [weekday][icon][condition] ··· [chance] [max / min]
+function addDayList(w, daysArr, count, cfg) {
+  const maxDays = Math.min(count, daysArr.length);
+
+  for (let i = 0; i < maxDays; i++) {
+    const d = daysArr[i];
+    const cond = dayCondition(d);
+
+    const line = w.addStack();
+    line.layoutHorizontally();
+    line.centerAlignContent();
+    const url = itemUrl(cfg, { view: "day", index: i });
+    if (url) line.url = url;
+
+    const dayCol = line.addStack();
+    dayCol.size = new Size(36, 0);
+    const dayTxt = dayCol.addText(weekdayLabel(d, i));
+    dayTxt.font = i === 0 ? Font.boldSystemFont(12) : Font.mediumSystemFont(12);
+    dayTxt.textColor = themeColor("text");
+    dayTxt.lineLimit = 1;
+
+    addSymbol(line, pickSymbol(cond, true), 16);
+    line.addSpacer(6);
+
+    const condTxt = line.addText(String(normalizeConditionText(cond) || "—"));
+    condTxt.font = Font.systemFont(11);
+    condTxt.textColor = themeColor("secondary");
+    condTxt.lineLimit = 1;
+    condTxt.minimumScaleFactor = 0.7;
+
+    line.addSpacer();
+
+    const precip = dayPrecipitation(d);
+    const umbrella = needsUmbrella(precip, cfg.umbrellaPct);
+    const chanceTxt = line.addText(fmtDayChance(precip, cfg));
+    chanceTxt.font = umbrella ? Font.boldSystemFont(11) : Font.systemFont(11);
+    chanceTxt.textColor = umbrella ? themeColor("accent") : themeColor("muted");
+    line.addSpacer(8);
+
+    const tempsTxt = line.addText(
+      `${fmtTempCompact(g(d, "maxTemperature"))} / ${fmtTempCompact(g(d, "minTemperature"))}`
+    );
+    tempsTxt.font = Font.mediumSystemFont(12);
+    tempsTxt.textColor = themeColor("text");
+
+    if (i < maxDays - 1) w.addSpacer(3);
+  }
 }
 
-// ---- MAIN ----
-let apiKey, loc, data;
-try {
-  apiKey = await getApiKey();
-  loc = await getLocation();
+// ---- Layouts ----
+function buildSmall(w, v, placeName) {
+  w.setPadding(12, 12, 12, 12);
 
-  // Try cache first
-  data = readCache();
+  const locTxt = addPlaceName(w, placeName || tr("location"), v.meta, 12);
+  locTxt.minimumScaleFactor = 0.7;
 
-  // Try fresh; only update cache on success
-  try {
-    const fresh = await fetchForecast(apiKey, loc.latitude, loc.longitude);
-    data = fresh;
-    writeCache(fresh);
-  } catch (netErr) {
-    if (!data) throw netErr; // no cache, show error widget
-    // else fall back silently to cached data
+  w.addSpacer();
+  addTodayOverview(w, v, 26, 30);
+  w.addSpacer(4);
+
+  const hiLo = w.addText(`${v.maxCompact} / ${v.minCompact}`);
+  hiLo.font = Font.mediumSystemFont(12);
+  hiLo.textColor = themeColor("text");
+
+  const cond = w.addText(v.condStr);
+  cond.font = Font.systemFont(11);
+  cond.textColor = themeColor("secondary");
+  cond.lineLimit = 1;
+  cond.minimumScaleFactor = 0.7;
+
+  if (v.meta.stale) {
+    w.addSpacer(2);
+    const upd = w.addStack();
+    upd.centerAlignContent();
+    addUpdated(upd, v.meta, 9);
+  }
+}
+
+// Chart slots: the coming hours when we have them, otherwise the forecast days
+function chartSlots(daysArr, hoursArr, count) {
+  return hoursArr.length ? chartSlotsFromHours(hoursArr, CHART_HOURS) : chartSlotsFromDays(daysArr, count);
+}
+
+function buildMedium(w, v, placeName, daysArr, cfg, hoursArr) {
+  w.setPadding(10, 12, 10, 12);
+
+  addHeader(w, placeName || tr("location"), v.meta);
+  w.addSpacer(4);
+  addTodayOverview(w, v, 30, 32);
+  w.addSpacer(4);
+
+  if (cfg.chart !== "off") {
+    const size = chartSize("medium");
+    addChart(w, drawChart(chartSlots(daysArr, hoursArr, cfg.days), size), size);
+    return;
   }
 
-  const placeName = loc.name
-    ? `${loc.name}`
-    : `Lat ${loc.latitude.toFixed(2)}, Lon ${loc.longitude.toFixed(2)}`;
+  // DETAILS ROW: Feels, Hum, Wind
+  addDetailRow(w, detailItems(v, cfg));
+  w.addSpacer(6);
+
+  addMiniRow(w, daysArr, cfg.days, cfg);
+}
 
-  const widget = await buildWidget(data, placeName);
+function buildLarge(w, v, placeName, daysArr, cfg, family, hoursArr) {
+  w.setPadding(14, 16, 14, 16);
 
-  if (!config.runsInWidget) {
-    await widget.presentMedium();
+  addHeader(w, placeName || tr("location"), v.meta);
+  w.addSpacer(6);
+  addTodayOverview(w, v, 36, 40);
+  w.addSpacer(6);
+
+  addDetailRow(w, detailItems(v, cfg));
+  w.addSpacer(6);
+  addDetailRow(w, todayExtraDetails(daysArr[0]));
+  w.addSpacer(10);
+
+  if (cfg.chart !== "off") {
+    const size = chartSize(family);
+    addChart(w, drawChart(chartSlots(daysArr, hoursArr, LARGE_DAYS), size), size);
   } else {
-    Script.setWidget(widget);
+    addDayList(w, daysArr, LARGE_DAYS, cfg);
+  }
+  w.addSpacer();
+}
+
+// Lock screen: monochrome, no background (iOS tints it)
+function buildAccessory(w, v, placeName, family) {
+  if (family === "accessoryInline") {
+    addSymbol(w, v.symName, 12);
+    w.addText(`${v.maxCompact}/${v.minCompact} ${v.condStr}`);
+    return;
   }
-  Script.complete();
 
-} catch (err) {
+  if (family === "accessoryCircular") {
+    w.addAccessoryWidgetBackground = true;
+    const col = w.addStack();
+    col.layoutVertically();
+    col.centerAlignContent();
+    addSymbol(col, v.symName, 16);
+    const hi = col.addText(v.maxCompact);
+    hi.font = Font.mediumSystemFont(14);
+    hi.textColor = themeColor("text");
+    const lo = col.addText(v.minCompact);
+    lo.font = Font.systemFont(10);
+    lo.textColor = themeColor("text");
+    return;
+  }
+
+  // accessoryRectangular
+  const locTxt = w.addText(`${v.meta.stale ? "⚠︎ " : ""}${placeName || tr("location")}`);
+  locTxt.font = Font.semiboldSystemFont(12);
+  locTxt.textColor = themeColor("text");
+  locTxt.lineLimit = 1;
+
+  const mid = w.addStack();
+  mid.centerAlignContent();
+  addSymbol(mid, v.symName, 16);
+  mid.addSpacer(4);
+  const tempT = mid.addText(`${v.maxCompact} / ${v.minCompact}`);
+  tempT.font = Font.mediumSystemFont(16);
+  tempT.textColor = themeColor("text");
+
+  const cond = w.addText(v.condStr);
+  cond.font = Font.systemFont(11);
+  cond.textColor = themeColor("text");
+  cond.lineLimit = 1;
+}
+
+// ---- Build the widget UI ----
+// meta: { timestamp, stale } from cachedFetch, plus alerts and the air / pollen data;
+// hoursArr feeds the "hours" chart
+async function buildWidget(forecast, placeName, cfg, family, meta = {}, hoursArr = []) {
   const w = new ListWidget();
-  w.setPadding(16, 16, 16, 16);
-  const t = w.addText("Forecast error");
-  t.font = Font.boldSystemFont(16);
-  t.textColor = Color.red();
-  w.addSpacer(6);
-  const m = w.addText(String(err));
-  m.font = Font.systemFont(12);
-  m.textColor = Color.white();
-  w.refreshAfterDate = new Date(Date.now() + 30 * 60 * 1000);
-  if (!config.runsInWidget) await w.presentSmall();
-  else Script.setWidget(w);
-  Script.complete();
+
+  const daysArr = g(forecast, "forecastDays", []);
+  if (!Array.isArray(daysArr) || daysArr.length === 0) {
+    const t = w.addText(tr("noForecast"));
+    t.textColor = Color.red();
+    t.font = Font.boldSystemFont(14);
+    return w;
+  }
+
+  const v = { ...todayView(daysArr[0], cfg), meta };
+  v.slots = {
+    ...detailSlots(daysArr, g(forecast, "timeZone.id"), meta.location, v),
+    ...airSlots(meta.air, meta.pollen)
+  };
+
+  if (isAccessory(family)) {
+    buildAccessory(w, v, placeName, family);
+  } else {
+    applyBackground(w, cfg, family, { tempC: v.maxTempC, isDay: v.isDay, condition: v.condition, severeAlert: hasSevereAlert(meta.alerts) });
+    addAlertBanner(w, meta.alerts, cfg, family);
+    if (family === "small") buildSmall(w, v, placeName);
+    else if (isLarge(family)) buildLarge(w, v, placeName, daysArr, cfg, family, hoursArr);
+    else buildMedium(w, v, placeName, daysArr, cfg, hoursArr);
+  }
+
+  w.url = widgetUrl(cfg, meta.location, { view: "day", index: 0 });
+  w.refreshAfterDate = refreshDate(cfg, daysArr);
+  return w;
 }
+
+// ---- MAIN ----
+// Days to fetch: what the family shows, and at least up to a tapped day
+function daysWanted(cfg, family, view) {
+  const dayIndex = view && view.view === "day" ? Math.min(view.index, LARGE_DAYS - 1) : 0;
+  return Math.max(isLarge(family) ? Math.max(cfg.days, LARGE_DAYS) : cfg.days, dayIndex + 1);
+}
+
+// The shared run (runWidgetScript in weatherwidget_lib.js) with this script's steps
+await runWidgetScript({
+  defaults: DEFAULTS,
+  extraKeys: { days: [1, 10] },
+  keychainKey: KEYCHAIN_KEY,
+  shortcutData: ["forecast"],
+  views: ["day"],
+  errorTitle: "forecastError",
+  errorRefreshMin: 30,
+
+  // Fresh cache → no network; stale cache → refetch, stale copy as fallback.
+  // No usable cache and no network → error propagates to the error widget.
+  fetch({ cfg, apiKey, loc, family, view }) {
+    const days = daysWanted(cfg, family, view);
+    return cachedFetch(cfg, CACHE_NAME,
+      () => withApiKey(KEYCHAIN_KEY, apiKey, key => fetchForecast(key, loc.latitude, loc.longitude, cfg, days)),
+      cached => g(cached, "forecastDays", []).length >= days);
+  },
+
+  facts: result => (result.fromCache ? null : weatherFacts({ days: g(result.data, "forecastDays", []) })),
+
+  shortcut(result, { cfg, loc, family, placeName }) {
+    const daysArr = g(result.data, "forecastDays", []).slice(0, daysWanted(cfg, family, null));
+    if (!daysArr.length) throw new Error(tr("noForecast"));
+    return shortcutOutput(daySummary(daysArr[0], placeName), placeName,
+      { ...result, location: loc }, { forecast: daysArr.map(dayOutput) });
+  },
+
+  details(result, { view }) {
+    const daysArr = g(result.data, "forecastDays", []);
+    if (!daysArr.length) throw new Error(tr("noForecast"));
+    const day = daysArr[Math.min(view.index, LARGE_DAYS - 1, daysArr.length - 1)];
+    return presentDetails(dayTitle(day), dayDetailRows(day, g(result.data, "timeZone.id")));
+  },
+
+  async widget(result, { cfg, apiKey, loc, family, placeName, alerts }) {
+    const charted = cfg.chart === "hours" && !isAccessory(family) && family !== "small";
+    const hoursArr = charted ? await fetchChartHours(cfg, apiKey, loc) : [];
+    // only medium and large show the detail row
+    const detailed = !isAccessory(family) && family !== "small";
+    const air = detailed ? await fetchAirQuality(cfg, apiKey, loc) : null;
+    const pollen = detailed ? await fetchPollen(cfg, apiKey, loc) : null;
+    return buildWidget(result.data, placeName, cfg, family,
+      { ...result, location: loc, alerts, air, pollen }, hoursArr);
+  }
+});
@@ -0,0 +1,448 @@
+// Variables used by Scriptable.
+// These must be at the very top of the file. Do not edit.
+// icon-color: deep-blue; icon-glyph: clock;
+/**
+ * Google Weather API — Hourly Forecast Widget (Scriptable)
+ *
+ * Endpoint:
+ *   https://weather.googleapis.com/v1/forecast/hours:lookup
+ *
+ * Layout:
+ *   - Header: location | Updated HH:MM
+ *   - Now overview:
+ *       icon + big temp of the current hour + condition text
+ *   - Hourly row (next HOURS hours, every SLOT_STEP hours):
+ *       [time] [icon] [temp] [precip %] ···
+ *   - Tapping the widget, or an hour on medium / large, opens that hour's full
+ *     forecast (?view=hour&at=<start time>)
+ *
+ * - Uses Keychain-stored API key (GOOGLE_WEATHER_API_KEY).
+ * - Uses current GPS location or fixed coords.
+ * - Follows nextPageToken until HOURS hours are collected.
+ * - Cache updated ONLY after successful response.
+ * - Run from Shortcuts or Siri it returns a spoken summary and the data as a
+ *   dictionary instead of a widget (shortcut input: loc / location, units, ...).
+ * - New data is checked against the notification rules in google_weather_rules.json.
+ * - Shared helpers come from weatherwidget_lib.js (importModule).
+ */
+
+//////////////////////// CONFIG ////////////////////////
+const USE_CURRENT_LOCATION = true;     // true = GPS; false = FIXED_LAT/LON
+const FIXED_LAT = 50.0647;            // Kraków example
+const FIXED_LON = 19.9450;
+const GEOCODE_KM = 1;                 // look up the place name again after moving N km
+const LANGUAGE = "pl";                // "pl", "en", ...
+const UNITS_SYSTEM = "METRIC";        // "METRIC" or "IMPERIAL": API units and default display units
+const TEMP_UNIT = null;               // "C" or "F"; null = follow UNITS_SYSTEM
+const WIND_UNIT = null;               // "KMH", "MS", "MPH", "KN" or "BFT" (Beaufort)
+const PRECIP_UNIT = null;             // "MM" or "IN"
+const PRESSURE_UNIT = null;           // "HPA", "INHG" or "MMHG"
+const HOURS = 12;                     // how many hours ahead (12–24)
+const SLOT_STEP = 2;                  // show every N-th hour in the row
+const PAGE_SIZE = 24;                 // hours per API page (max 24)
+const LARGE_HOURS = 10;               // hourly lines listed by the large layout
+const KEYCHAIN_KEY = "GOOGLE_WEATHER_API_KEY";
+const CACHE_MIN = 15;                 // hourly cache lifetime (minutes)
+const MAX_STALE_MIN = 180;            // if a refresh fails, serve cache up to N minutes old
+const REFRESH_MIN = 30;               // suggested widget refresh interval
+const MONTHLY_BUDGET = 10000;         // API calls per month shared by all weather widgets
+const THEME = "classic";              // "classic", "light", "dark", "auto" (follows dark mode) or "custom"
+const BACKGROUND = null;              // null = theme gradient; "<image>.jpg" in Documents or "transparent:<position>"
+const TAP_ACTION = "app";             // "app" = a tap opens the detail view; "web" = a weather page for the location
+const ALERTS = true;                  // banner for official weather alerts (publicAlerts:lookup)
+const ALERTS_CACHE_MIN = 30;          // alerts cache lifetime (minutes)
+////////////////////////////////////////////////////////
+
+const {
+  g, cachedFetch, weatherUrl, loadJSON, normalizeConditionText, fmtTemp, fmtTempCompact, parseTempC,
+  pickSymbol, isAccessory, isLarge, addSymbol, addUpdated, withApiKey, addPlaceName, addHeader, tr,
+  fmtTime, themeColor, applyBackground, presentDetails, hourTitle, hourDetailRows, widgetUrl,
+  itemUrl, weatherFacts, hourOutput, hoursSummary, shortcutOutput, hasSevereAlert, addAlertBanner,
+  upcomingHours, runWidgetScript
+} = importModule("weatherwidget_lib");
+
+const CACHE_NAME = "google_weather_hourly_cache";
+
+// Defaults for the widget parameter (see parseWidgetParameter in weatherwidget_lib.js)
+const DEFAULTS = {
+  useCurrentLocation: USE_CURRENT_LOCATION,
+  lat: FIXED_LAT,
+  lon: FIXED_LON,
+  geocodeKm: GEOCODE_KM,
+  language: LANGUAGE,
+  unitsSystem: UNITS_SYSTEM,
+  units: { temp: TEMP_UNIT, wind: WIND_UNIT, precip: PRECIP_UNIT, pressure: PRESSURE_UNIT },
+  hours: HOURS,
+  cacheMin: CACHE_MIN,
+  maxStaleMin: MAX_STALE_MIN,
+  refreshMin: REFRESH_MIN,
+  monthlyBudget: MONTHLY_BUDGET,
+  theme: THEME,
+  background: BACKGROUND,
+  tap: TAP_ACTION,
+  alerts: ALERTS,
+  alertsCacheMin: ALERTS_CACHE_MIN
+};
+
+// ---- API call: forecast/hours:lookup (paginated) ----
+async function fetchHourlyPage(key, lat, lon, cfg, pageToken) {
+  const url = weatherUrl("forecast/hours:lookup", key, lat, lon, cfg, {
+    hours: cfg.hours,
+    pageSize: PAGE_SIZE,
+    pageToken
+  });
+  return loadJSON(url);  // { forecastHours: [...], timeZone: {...}, nextPageToken? }
+}
+
+async function fetchHourly(key, lat, lon, cfg) {
+  const hours = [];
+  let timeZone = null;
+  let pageToken = null;
+  let pages = 0;
+
+  // Follow nextPageToken until we have enough hours (guard against endless paging).
+  do {
+    const page = await fetchHourlyPage(key, lat, lon, cfg, pageToken);
+    const pageHours = g(page, "forecastHours", []);
+    if (Array.isArray(pageHours)) hours.push(...pageHours);
+    timeZone = timeZone || g(page, "timeZone");
+    pageToken = g(page, "nextPageToken");
+    pages++;
+  } while (pageToken && hours.length < cfg.hours && pages < 10);
+
+  if (hours.length === 0) throw new Error("Empty hourly forecast.");
+  return { forecastHours: hours.slice(0, cfg.hours), timeZone };
+}
+
+// ---- Precipitation helpers ----
+function fmtPrecipChance(hour) {
+  const pct = g(hour, "precipitation.probability.percent");
+  if (pct == null) return "—";
+  return `${Math.round(pct)}%`;
+}
+
+// ---- Time helpers ----
+// displayDateTime is already in the location's local time: { hours, minutes, ... }
+function fmtHour(hour) {
+  const dt = g(hour, "displayDateTime");
+  if (dt && dt.hours != null) return fmtTime(dt.hours, dt.minutes || 0);
+  const start = g(hour, "interval.startTime");
+  if (!start) return "—";
+  const d = new Date(start);
+  return fmtTime(d.getHours(), d.getMinutes());
+}
+
+// ---- View helpers ----
+// View model for the current hour, shared by all layouts
+function nowView(nowHour) {
+  const cond = g(nowHour, "weatherCondition");
+  const isDay = !!g(nowHour, "isDaytime");
+  const tempObj = g(nowHour, "temperature");
+  const condTextNorm = normalizeConditionText(cond);
+
+  return {
+    condStr: condTextNorm ? String(condTextNorm) : "—",
+    condition: cond,
+    isDay,
+    symName: pickSymbol(cond, isDay),
+    tempStr: fmtTemp(tempObj),
+    tempCompact: fmtTempCompact(tempObj),
+    tempC: parseTempC(tempObj),
+    precipStr: fmtPrecipChance(nowHour)
+  };
+}
+
+// Every SLOT_STEP-th hour after the current one
+function slotHours(hoursArr, cfg) {
+  const slots = [];
+  for (let i = SLOT_STEP; i < hoursArr.length && i <= cfg.hours; i += SLOT_STEP) {
+    slots.push(hoursArr[i]);
+  }
+  return slots;
+}
+
+// ---- Layout helpers ----
+// NOW OVERVIEW: icon + BIG TEMP + condition
+function addNowOverview(w, v) {
+  const nowStack = w.addStack();
+  nowStack.layoutHorizontally();
+  nowStack.centerAlignContent();
+
+  addSymbol(nowStack, v.symName, 30);
+  nowStack.addSpacer(10);
+
+  const bigTemp = nowStack.addText(v.tempStr);
+  bigTemp.font = Font.systemFont(32);
+  bigTemp.textColor = themeColor("text");
+
+  nowStack.addSpacer(10);
+
+  const cond = nowStack.addText(v.condStr);
+  cond.font = Font.mediumSystemFont(13);
+  cond.textColor = themeColor("secondary");
+  cond.lineLimit = 1;
+  cond.minimumScaleFactor = 0.7;
+  return nowStack;
+}
+
+// Detail link for one hour; keyed by start time since the upcoming hours shift
+function hourUrl(cfg, hour) {
+  return itemUrl(cfg, { view: "hour", at: g(hour, "interval.startTime") });
+}
+
+// HOURLY ROW: slots as [time][icon][temp][precip]
+function addHourRow(w, slots, cfg) {
+  const hourRow = w.addStack();
+  hourRow.layoutHorizontally();
+  hourRow.centerAlignContent();
+
+  slots.forEach((h, i) => {
+    const slot = hourRow.addStack();
+    slot.layoutVertically();
+    slot.centerAlignContent();
+    const url = hourUrl(cfg, h);
+    if (url) slot.url = url;
+
+    const timeT = slot.addText(fmtHour(h));
+    timeT.font = Font.mediumSystemFont(9);
+    timeT.textColor = themeColor("text");
+    timeT.lineLimit = 1;
+    timeT.minimumScaleFactor = 0.7;
+
+    slot.addSpacer(2);
+    addSymbol(slot, pickSymbol(g(h, "weatherCondition"), g(h, "isDaytime")), 16);
+    slot.addSpacer(2);
+
+    const tempT = slot.addText(fmtTempCompact(g(h, "temperature")));
+    tempT.font = Font.mediumSystemFont(11);
+    tempT.textColor = themeColor("text");
+    tempT.lineLimit = 1;
+
+    const precipT = slot.addText(fmtPrecipChance(h));
+    precipT.font = Font.systemFont(9);
+    precipT.textColor = themeColor("accent");
+    precipT.lineLimit = 1;
+
+    if (i < slots.length - 1) {
+      hourRow.addSpacer();
+    }
+  });
+  return hourRow;
+}
+
+// HOURLY LIST (large): one line per hour as [time][icon][condition] ··· [temp] [precip]
+function addHourList(w, hoursArr, count, cfg) {
+  const n = Math.min(count, hoursArr.length);
+
+  for (let i = 0; i < n; i++) {
+    const h = hoursArr[i];
+    const cond = g(h, "weatherCondition");
+
+    const line = w.addStack();
+    line.layoutHorizontally();
+    line.centerAlignContent();
+    const url = hourUrl(cfg, h);
+    if (url) line.url = url;
+
+    const timeT = line.addText(fmtHour(h));
+    timeT.font = Font.mediumSystemFont(11);
+    timeT.textColor = themeColor("text");
+    line.addSpacer(8);
+
+    addSymbol(line, pickSymbol(cond, g(h, "isDaytime")), 14);
+    line.addSpacer(6);
+
+    const condT = line.addText(String(normalizeConditionText(cond) || "—"));
+    condT.font = Font.systemFont(11);
+    condT.textColor = themeColor("secondary");
+    condT.lineLimit = 1;
+    condT.minimumScaleFactor = 0.7;
+
+    line.addSpacer();
+
+    const tempT = line.addText(fmtTempCompact(g(h, "temperature")));
+    tempT.font = Font.mediumSystemFont(12);
+    tempT.textColor = themeColor("text");
+    line.addSpacer(8);
+
+    const precipT = line.addText(fmtPrecipChance(h));
+    precipT.font = Font.systemFont(10);
+    precipT.textColor = themeColor("accent");
+
+    if (i < n - 1) w.addSpacer(2);
+  }
+}
+
+// ---- Layouts ----
+function buildSmall(w, v, placeName, hoursArr, cfg) {
+  w.setPadding(12, 12, 12, 12);
+
+  const locTxt = addPlaceName(w, placeName || tr("location"), v.meta, 12);
+  locTxt.minimumScaleFactor = 0.7;
+
+  w.addSpacer();
+
+  const mid = w.addStack();
+  mid.centerAlignContent();
+  addSymbol(mid, v.symName, 26);
+  mid.addSpacer(6);
+  const tempT = mid.addText(v.tempStr);
+  tempT.font = Font.systemFont(28);
+  tempT.textColor = themeColor("text");
+  tempT.minimumScaleFactor = 0.6;
+
+  w.addSpacer(4);
+
+  const next = slotHours(hoursArr, cfg)[0];
+  const nextT = w.addText(next
+    ? `${fmtHour(next)}  ${fmtTempCompact(g(next, "temperature"))}  ${fmtPrecipChance(next)}`
+    : v.condStr);
+  nextT.font = Font.mediumSystemFont(11);
+  nextT.textColor = themeColor("secondary");
+  nextT.lineLimit = 1;
+  nextT.minimumScaleFactor = 0.7;
+
+  if (v.meta.stale) {
+    w.addSpacer(2);
+    const upd = w.addStack();
+    upd.centerAlignContent();
+    addUpdated(upd, v.meta, 9);
+  }
+}
+
+function buildMedium(w, v, placeName, hoursArr, cfg) {
+  w.setPadding(10, 12, 10, 12);
+
+  addHeader(w, placeName || tr("location"), v.meta);
+  w.addSpacer(4);
+  addNowOverview(w, v);
+  w.addSpacer(6);
+  addHourRow(w, slotHours(hoursArr, cfg), cfg);
+}
+
+function buildLarge(w, v, placeName, hoursArr, cfg) {
+  w.setPadding(14, 16, 14, 16);
+
+  addHeader(w, placeName || tr("location"), v.meta);
+  w.addSpacer(6);
+  addNowOverview(w, v);
+  w.addSpacer(8);
+  addHourRow(w, slotHours(hoursArr, cfg), cfg);
+  w.addSpacer(10);
+  addHourList(w, hoursArr.slice(1), LARGE_HOURS, cfg);
+  w.addSpacer();
+}
+
+// Lock screen: monochrome, no background (iOS tints it)
+function buildAccessory(w, v, placeName, hoursArr, cfg, family) {
+  if (family === "accessoryInline") {
+    addSymbol(w, v.symName, 12);
+    w.addText(`${v.tempCompact} · ${v.precipStr}`);
+    return;
+  }
+
+  if (family === "accessoryCircular") {
+    w.addAccessoryWidgetBackground = true;
+    const col = w.addStack();
+    col.layoutVertically();
+    col.centerAlignContent();
+    addSymbol(col, v.symName, 16);
+    const tempT = col.addText(v.tempCompact);
+    tempT.font = Font.mediumSystemFont(14);
+    tempT.textColor = themeColor("text");
+    const precipT = col.addText(v.precipStr);
+    precipT.font = Font.systemFont(10);
+    precipT.textColor = themeColor("text");
+    return;
+  }
+
+  // accessoryRectangular: now + next three slots
+  const locTxt = w.addText(`${v.meta.stale ? "⚠︎ " : ""}${placeName || tr("location")} · ${v.tempCompact}`);
+  locTxt.font = Font.semiboldSystemFont(12);
+  locTxt.textColor = themeColor("text");
+  locTxt.lineLimit = 1;
+
+  const row = w.addStack();
+  row.layoutHorizontally();
+  slotHours(hoursArr, cfg).slice(0, 3).forEach((h, i) => {
+    const slot = row.addStack();
+    slot.layoutVertically();
+    slot.centerAlignContent();
+    const timeT = slot.addText(fmtHour(h));
+    timeT.font = Font.systemFont(9);
+    timeT.textColor = themeColor("text");
+    addSymbol(slot, pickSymbol(g(h, "weatherCondition"), g(h, "isDaytime")), 12);
+    const tempT = slot.addText(fmtTempCompact(g(h, "temperature")));
+    tempT.font = Font.mediumSystemFont(11);
+    tempT.textColor = themeColor("text");
+    if (i < 2) row.addSpacer();
+  });
+}
+
+// ---- Build the widget UI ----
+// meta: { timestamp, stale } from cachedFetch
+async function buildWidget(forecast, placeName, cfg, family, meta = {}) {
+  const w = new ListWidget();
+
+  const hoursArr = upcomingHours(g(forecast, "forecastHours", []) || []);
+  if (hoursArr.length === 0) {
+    const t = w.addText(tr("noForecast"));
+    t.textColor = Color.red();
+    t.font = Font.boldSystemFont(14);
+    return w;
+  }
+
+  const v = { ...nowView(hoursArr[0]), meta };
+  w.url = widgetUrl(cfg, meta.location, { view: "hour" });
+
+  if (isAccessory(family)) {
+    buildAccessory(w, v, placeName, hoursArr, cfg, family);
+  } else {
+    applyBackground(w, cfg, family, { tempC: v.tempC, isDay: v.isDay, condition: v.condition, severeAlert: hasSevereAlert(meta.alerts) });
+    addAlertBanner(w, meta.alerts, cfg, family);
+    if (family === "small") buildSmall(w, v, placeName, hoursArr, cfg);
+    else if (isLarge(family)) buildLarge(w, v, placeName, hoursArr, cfg);
+    else buildMedium(w, v, placeName, hoursArr, cfg);
+  }
+
+  w.refreshAfterDate = new Date(Date.now() + cfg.refreshMin * 60 * 1000);
+  return w;
+}
+
+// ---- MAIN ----
+// The shared run (runWidgetScript in weatherwidget_lib.js) with this script's steps
+await runWidgetScript({
+  defaults: DEFAULTS,
+  extraKeys: { hours: [1, 24] },
+  keychainKey: KEYCHAIN_KEY,
+  shortcutData: ["forecast"],
+  views: ["hour"],
+  errorTitle: "hourlyError",
+  errorRefreshMin: 30,
+
+  // Fresh cache → no network; stale cache → refetch, stale copy as fallback.
+  // No usable cache and no network → error propagates to the error widget.
+  fetch: ({ cfg, apiKey, loc }) => cachedFetch(cfg, CACHE_NAME,
+    () => withApiKey(KEYCHAIN_KEY, apiKey, key => fetchHourly(key, loc.latitude, loc.longitude, cfg))),
+
+  facts: result => (result.fromCache ? null
+    : weatherFacts({ hours: upcomingHours(g(result.data, "forecastHours", []) || []) })),
+
+  shortcut(result, { cfg, loc, placeName }) {
+    const hoursArr = upcomingHours(g(result.data, "forecastHours", []) || []).slice(0, cfg.hours);
+    if (!hoursArr.length) throw new Error(tr("noForecast"));
+    return shortcutOutput(hoursSummary(hoursArr, placeName), placeName,
+      { ...result, location: loc }, { hours: hoursArr.map(hourOutput) });
+  },
+
+  details(result, { view }) {
+    // the tapped hour, or the current one once it has passed
+    const hoursArr = upcomingHours(g(result.data, "forecastHours", []) || []);
+    if (!hoursArr.length) throw new Error(tr("noForecast"));
+    const hour = hoursArr.find(h => g(h, "interval.startTime") === view.at) || hoursArr[0];
+    return presentDetails(hourTitle(hour), hourDetailRows(hour));
+  },
+
+  widget: (result, { cfg, loc, family, placeName, alerts }) =>
+    buildWidget(result.data, placeName, cfg, family, { ...result, location: loc, alerts })
+});
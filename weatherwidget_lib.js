@@ -0,0 +1,3146 @@
+// Variables used by Scriptable.
+// These must be at the very top of the file. Do not edit.
+// icon-color: gray; icon-glyph: book;
+/**
+ * Google Weather API — shared library for the weather widgets (Scriptable)
+ *
+ * Loaded by every widget script with:
+ *   const lib = importModule("weatherwidget_lib");
+ *
+ * Keep this file next to the widget scripts in the Scriptable folder.
+ * It only touches Scriptable globals (FileManager, Keychain, Location,
+ * Request, Color, ...) inside functions, so it can also be require()d
+ * under Node for unit tests.
+ */
+
+const WEATHER_API = "https://weather.googleapis.com/v1";
+const AIR_QUALITY_API = "https://airquality.googleapis.com/v1";
+const POLLEN_API = "https://pollen.googleapis.com/v1";
+const DEFAULT_KEYCHAIN_KEY = "GOOGLE_WEATHER_API_KEY";
+const QUOTA_FILE = "google_weather_quota.json";
+const MAX_STRETCH = 12;   // never stretch refresh/cache intervals more than this
+const LOCATION_FILE = "google_weather_location.json";
+const FAVOURITES_FILE = "google_weather_locations.json";
+const ROTATION_FILE = "google_weather_rotation.json";
+const SETTINGS_FILE = "google_weather_settings.json";
+const CURRENT_LOCATION = "Current location";
+const LOCATION_TIMEOUT_MS = 8000;  // GPS fix wait before falling back to the last one
+const REQUEST_TIMEOUT_S = 12;
+const RETRY_ATTEMPTS = 3;          // tries per request on 5xx / timeouts
+const RETRY_BASE_MS = 1000;        // backoff 1s, 2s, ... plus up to 50% jitter
+const RETRY_DEADLINE_MS = 20000;   // stop retrying well inside the widget's run time
+const MIN_ATTEMPT_MS = 3000;       // don't start an attempt with less time than this left
+
+// ---- Localized strings ----
+// Picked by the script's LANGUAGE / `lang=` ("de-AT" → "de"); missing keys fall back to English.
+// Condition text comes from Google already localized via languageCode.
+const STRINGS = {
+  en: {
+    feels: "Feels", humidity: "Hum", wind: "Wind", dewPoint: "Dew point", pressure: "Pressure",
+    uv: "UV", clouds: "Clouds", visibility: "Visibility", gusts: "Gusts", rain: "Rain", storm: "Storm",
+    snow: "Snow", precipitation: "Precip.",
+    sunrise: "Sunrise", sunset: "Sunset", dayLength: "Daylight", moon: "Moon",
+    yesterday: "Yesterday", vsYesterday: "{d} vs yesterday",
+    duration: "{h} h {m} min", minutes: "{m} min",
+    newMoon: "New moon", waxingCrescent: "Waxing crescent", firstQuarter: "First quarter",
+    waxingGibbous: "Waxing gibbous", fullMoon: "Full moon", waningGibbous: "Waning gibbous",
+    lastQuarter: "Last quarter", waningCrescent: "Waning crescent",
+    today: "Today", currentLocation: "Current location", location: "Location",
+    noForecast: "No forecast data",
+    weatherError: "Weather error", forecastError: "Forecast error", hourlyError: "Hourly forecast error",
+    updatedNow: "Updated just now", updatedMin: "Updated {n}m ago",
+    updatedHours: "Updated {n}h ago", updatedDays: "Updated {n}d ago",
+    save: "Save", cancel: "Cancel", ok: "OK", done: "Done",
+    apiKeyTitle: "Google Weather API key",
+    apiKeyMessage: "Paste your Google Maps Platform Weather API key.\nIt will be stored securely in Keychain.",
+    keyRejectedTitle: "API key rejected", keyRejectedMessage: "{error}\n\nEnter a new key?",
+    enterNewKey: "Enter new key",
+    previewTitle: "Preview widget",
+    savedLocations: "Saved locations", savedLocationsAction: "Saved locations…",
+    savedLocationsHelp: "Widget parameter: loc=<name> pins one, loc=rotate cycles through all.",
+    addGps: "Add this GPS position", addCoords: "Add by coordinates", addCurrent: "Add \"{name}\"",
+    remove: "Remove…", removeTitle: "Remove location", nameLocation: "Name this location",
+    newLocation: "New location", name: "Name", latitude: "Latitude", longitude: "Longitude",
+    notSaved: "Location not saved",
+    transparentAction: "Transparent background…",
+    transparentIntro: "Pick a screenshot of an empty home screen page (hold the home screen and swipe to the last page).",
+    transparentSize: "Widget size", transparentPosition: "Widget position",
+    transparentSaved: "Background saved. Widget parameter: bg=transparent:{position}",
+    transparentUnsupported: "Screenshots of this size ({size}) are not supported. Use bg=<image file> instead.",
+    quotaUsage: "API calls in {month}: {calls} of {budget} ({left} left)",
+    quotaProjected: "Projected month-end total: {n}",
+    quotaStretched: "Over budget pace: refresh and cache stretched ×{f}",
+    menuDetails: "All current conditions", menuSettings: "Settings — all scripts", menuData: "API key and data",
+    settingMessage: "Same syntax as the widget parameter. Leave empty for the script's default.",
+    settingDefault: "default", settingNotSaved: "Setting not saved",
+    replaceKey: "Replace API key", deleteKey: "Delete API key", delete: "Delete", noKey: "not set",
+    deleteKeyMessage: "The key is removed from Keychain; the next run in the app asks for a new one.",
+    clearCaches: "Clear caches", cachesCleared: "{n} cache files deleted.",
+    condition: "Condition", temperature: "Temperature", heatIndex: "Heat index", windChill: "Wind chill",
+    tempChange24h: "Change in 24 h", high24h: "24 h high", low24h: "24 h low", precip24h: "24 h precip.",
+    daytime: "Day", nighttime: "Night", sunMoon: "Sun and moon",
+    notifyTemp: "It's {v} now", notifyLow: "Low of {v} tonight", notifyHigh: "High of {v} today",
+    notifyRain: "{v} chance of rain or snow in the next 24 hours",
+    notifyPrecip: "{v} of rain or snow in the next 24 hours",
+    notifyWind: "Wind at {v}", notifyGust: "Wind gusts up to {v}", notifyUv: "UV index {v}",
+    notifyDrop: "Temperature dropped {v} since the last update",
+    notifyRise: "Temperature rose {v} since the last update",
+    summaryCurrent: "{temp} and {cond} in {place}, feels like {feels}, wind {wind}",
+    alerts: "Weather alerts", noAlerts: "No active alerts", area: "Area", alertFrom: "From",
+    alertUntil: "Until", issuedBy: "Issued by", alertExtreme: "Extreme", alertSevere: "Severe",
+    alertModerate: "Moderate", alertMinor: "Minor", alertUnknown: "Alert",
+    aqi: "AQI", pollutant: "Pollutant", grass: "Grass", tree: "Trees", weed: "Weeds",
+    summaryDay: "Today in {place}: {cond}, high {hi}, low {lo}, {pct} chance of rain or snow",
+    summaryHours: "Next {n} hours in {place}: {lo} to {hi}, {cond} now, up to {pct} chance of rain or snow",
+    measuredAt: "Measured at"
+  },
+  pl: {
+    feels: "Odczuwalna", humidity: "Wilgotność", wind: "Wiatr", dewPoint: "Punkt rosy", pressure: "Ciśnienie",
+    uv: "UV", clouds: "Chmury", visibility: "Widoczność", gusts: "Porywy", rain: "Deszcz", storm: "Burza",
+    snow: "Śnieg", precipitation: "Opady",
+    sunrise: "Wschód", sunset: "Zachód", dayLength: "Długość dnia", moon: "Księżyc",
+    yesterday: "Wczoraj", vsYesterday: "{d} od wczoraj",
+    duration: "{h} godz. {m} min", minutes: "{m} min",
+    newMoon: "Nów", waxingCrescent: "Przybywający sierp", firstQuarter: "Pierwsza kwadra",
+    waxingGibbous: "Przybywający garb", fullMoon: "Pełnia", waningGibbous: "Ubywający garb",
+    lastQuarter: "Ostatnia kwadra", waningCrescent: "Ubywający sierp",
+    today: "Dziś", currentLocation: "Bieżąca lokalizacja", location: "Lokalizacja",
+    noForecast: "Brak danych prognozy",
+    weatherError: "Błąd pogody", forecastError: "Błąd prognozy", hourlyError: "Błąd prognozy godzinowej",
+    updatedNow: "Przed chwilą", updatedMin: "{n} min temu",
+    updatedHours: "{n} godz. temu", updatedDays: "{n} dni temu",
+    save: "Zapisz", cancel: "Anuluj", ok: "OK", done: "Gotowe",
+    apiKeyTitle: "Klucz Google Weather API",
+    apiKeyMessage: "Wklej klucz Weather API z Google Maps Platform.\nZostanie bezpiecznie zapisany w pęku kluczy.",
+    keyRejectedTitle: "Klucz API odrzucony", keyRejectedMessage: "{error}\n\nWprowadzić nowy klucz?",
+    enterNewKey: "Wprowadź nowy klucz",
+    previewTitle: "Podgląd widżetu",
+    savedLocations: "Zapisane lokalizacje", savedLocationsAction: "Zapisane lokalizacje…",
+    savedLocationsHelp: "Parametr widżetu: loc=<nazwa> przypina jedną, loc=rotate pokazuje kolejno wszystkie.",
+    addGps: "Dodaj bieżącą pozycję GPS", addCoords: "Dodaj według współrzędnych", addCurrent: "Dodaj \"{name}\"",
+    remove: "Usuń…", removeTitle: "Usuń lokalizację", nameLocation: "Nazwij lokalizację",
+    newLocation: "Nowa lokalizacja", name: "Nazwa", latitude: "Szerokość", longitude: "Długość",
+    notSaved: "Nie zapisano lokalizacji",
+    transparentAction: "Przezroczyste tło…",
+    transparentIntro: "Wybierz zrzut ekranu pustej strony ekranu głównego (przytrzymaj ekran główny i przesuń do ostatniej strony).",
+    transparentSize: "Rozmiar widżetu", transparentPosition: "Położenie widżetu",
+    transparentSaved: "Tło zapisane. Parametr widżetu: bg=transparent:{position}",
+    transparentUnsupported: "Zrzuty ekranu o tym rozmiarze ({size}) nie są obsługiwane. Użyj bg=<plik obrazu>.",
+    quotaUsage: "Wywołania API w {month}: {calls} z {budget} (zostało {left})",
+    quotaProjected: "Prognoza na koniec miesiąca: {n}",
+    quotaStretched: "Tempo ponad budżet: odświeżanie i cache wydłużone ×{f}",
+    menuDetails: "Wszystkie bieżące dane", menuSettings: "Ustawienia — wszystkie skrypty", menuData: "Klucz API i dane",
+    settingMessage: "Składnia jak w parametrze widżetu. Puste pole = wartość domyślna skryptu.",
+    settingDefault: "domyślnie", settingNotSaved: "Nie zapisano ustawienia",
+    replaceKey: "Zmień klucz API", deleteKey: "Usuń klucz API", delete: "Usuń", noKey: "brak",
+    deleteKeyMessage: "Klucz zostanie usunięty z pęku kluczy; przy następnym uruchomieniu w aplikacji pojawi się prośba o nowy.",
+    clearCaches: "Wyczyść cache", cachesCleared: "Usunięte pliki cache: {n}.",
+    condition: "Warunki", temperature: "Temperatura", heatIndex: "Indeks ciepła", windChill: "Temp. odczuwalna od wiatru",
+    tempChange24h: "Zmiana w 24 godz.", high24h: "Maks. w 24 godz.", low24h: "Min. w 24 godz.", precip24h: "Opady w 24 godz.",
+    daytime: "Dzień", nighttime: "Noc", sunMoon: "Słońce i księżyc",
+    notifyTemp: "Teraz {v}", notifyLow: "W nocy do {v}", notifyHigh: "W dzień do {v}",
+    notifyRain: "{v} szans na opady w ciągu 24 godz.",
+    notifyPrecip: "{v} opadów w ciągu 24 godz.",
+    notifyWind: "Wiatr {v}", notifyGust: "Porywy wiatru do {v}", notifyUv: "Indeks UV {v}",
+    notifyDrop: "Temperatura spadła o {v} od ostatniej aktualizacji",
+    notifyRise: "Temperatura wzrosła o {v} od ostatniej aktualizacji",
+    summaryCurrent: "{place}: {temp}, {cond}, odczuwalna {feels}, wiatr {wind}",
+    alerts: "Ostrzeżenia pogodowe", noAlerts: "Brak aktywnych ostrzeżeń", area: "Obszar", alertFrom: "Od",
+    alertUntil: "Do", issuedBy: "Wydane przez", alertExtreme: "Ekstremalne", alertSevere: "Groźne",
+    alertModerate: "Umiarkowane", alertMinor: "Niewielkie", alertUnknown: "Ostrzeżenie",
+    aqi: "AQI", pollutant: "Zanieczysz.", grass: "Trawy", tree: "Drzewa", weed: "Chwasty",
+    summaryDay: "{place}, dziś: {cond}, maks. {hi}, min. {lo}, szansa opadów {pct}",
+    summaryHours: "{place}, najbliższe {n} godz.: od {lo} do {hi}, teraz {cond}, szansa opadów do {pct}",
+    measuredAt: "Pomiar"
+  },
+  de: {
+    feels: "Gefühlt", humidity: "Feuchte", wind: "Wind", dewPoint: "Taupunkt", pressure: "Luftdruck",
+    uv: "UV", clouds: "Wolken", visibility: "Sicht", gusts: "Böen", rain: "Regen", storm: "Gewitter",
+    snow: "Schnee", precipitation: "Niederschl.",
+    sunrise: "Aufgang", sunset: "Untergang", dayLength: "Tageslänge", moon: "Mond",
+    yesterday: "Gestern", vsYesterday: "{d} ggü. gestern",
+    duration: "{h} Std. {m} Min.", minutes: "{m} Min.",
+    newMoon: "Neumond", waxingCrescent: "Zunehmende Sichel", firstQuarter: "Erstes Viertel",
+    waxingGibbous: "Zunehmender Mond", fullMoon: "Vollmond", waningGibbous: "Abnehmender Mond",
+    lastQuarter: "Letztes Viertel", waningCrescent: "Abnehmende Sichel",
+    today: "Heute", currentLocation: "Aktueller Ort", location: "Ort",
+    noForecast: "Keine Vorhersagedaten",
+    weatherError: "Wetterfehler", forecastError: "Vorhersagefehler", hourlyError: "Fehler der Stundenvorhersage",
+    updatedNow: "Gerade aktualisiert", updatedMin: "Vor {n} Min.",
+    updatedHours: "Vor {n} Std.", updatedDays: "Vor {n} Tg.",
+    save: "Sichern", cancel: "Abbrechen", ok: "OK", done: "Fertig",
+    apiKeyTitle: "Google Weather API-Schlüssel",
+    apiKeyMessage: "Füge deinen Weather-API-Schlüssel der Google Maps Platform ein.\nEr wird sicher im Schlüsselbund gespeichert.",
+    keyRejectedTitle: "API-Schlüssel abgelehnt", keyRejectedMessage: "{error}\n\nNeuen Schlüssel eingeben?",
+    enterNewKey: "Neuen Schlüssel eingeben",
+    previewTitle: "Widget-Vorschau",
+    savedLocations: "Gespeicherte Orte", savedLocationsAction: "Gespeicherte Orte…",
+    savedLocationsHelp: "Widget-Parameter: loc=<Name> fixiert einen Ort, loc=rotate wechselt durch alle.",
+    addGps: "Aktuelle GPS-Position hinzufügen", addCoords: "Nach Koordinaten hinzufügen", addCurrent: "\"{name}\" hinzufügen",
+    remove: "Entfernen…", removeTitle: "Ort entfernen", nameLocation: "Ort benennen",
+    newLocation: "Neuer Ort", name: "Name", latitude: "Breitengrad", longitude: "Längengrad",
+    notSaved: "Ort nicht gespeichert",
+    transparentAction: "Transparenter Hintergrund…",
+    transparentIntro: "Wähle ein Bildschirmfoto einer leeren Home-Bildschirmseite (Home-Bildschirm gedrückt halten und zur letzten Seite wischen).",
+    transparentSize: "Widget-Größe", transparentPosition: "Widget-Position",
+    transparentSaved: "Hintergrund gespeichert. Widget-Parameter: bg=transparent:{position}",
+    transparentUnsupported: "Bildschirmfotos dieser Größe ({size}) werden nicht unterstützt. Verwende bg=<Bilddatei>.",
+    quotaUsage: "API-Aufrufe {month}: {calls} von {budget} ({left} übrig)",
+    quotaProjected: "Hochrechnung zum Monatsende: {n}",
+    quotaStretched: "Über dem Budget: Aktualisierung und Cache ×{f} gestreckt",
+    menuDetails: "Alle aktuellen Werte", menuSettings: "Einstellungen — alle Skripte", menuData: "API-Schlüssel und Daten",
+    settingMessage: "Gleiche Schreibweise wie im Widget-Parameter. Leer lassen für den Standardwert des Skripts.",
+    settingDefault: "Standard", settingNotSaved: "Einstellung nicht gespeichert",
+    replaceKey: "API-Schlüssel ersetzen", deleteKey: "API-Schlüssel löschen", delete: "Löschen", noKey: "nicht gesetzt",
+    deleteKeyMessage: "Der Schlüssel wird aus dem Schlüsselbund entfernt; beim nächsten Start in der App wird ein neuer abgefragt.",
+    clearCaches: "Caches leeren", cachesCleared: "{n} Cache-Dateien gelöscht.",
+    condition: "Wetterlage", temperature: "Temperatur", heatIndex: "Hitzeindex", windChill: "Windchill",
+    tempChange24h: "Änderung in 24 Std.", high24h: "24-Std.-Höchstwert", low24h: "24-Std.-Tiefstwert", precip24h: "Niederschl. 24 Std.",
+    daytime: "Tag", nighttime: "Nacht", sunMoon: "Sonne und Mond",
+    notifyTemp: "Jetzt {v}", notifyLow: "Heute Nacht bis {v}", notifyHigh: "Heute bis {v}",
+    notifyRain: "{v} Regen- oder Schneerisiko in den nächsten 24 Std.",
+    notifyPrecip: "{v} Niederschlag in den nächsten 24 Std.",
+    notifyWind: "Wind {v}", notifyGust: "Windböen bis {v}", notifyUv: "UV-Index {v}",
+    notifyDrop: "Temperatur seit der letzten Aktualisierung um {v} gefallen",
+    notifyRise: "Temperatur seit der letzten Aktualisierung um {v} gestiegen",
+    summaryCurrent: "{temp} und {cond} in {place}, gefühlt {feels}, Wind {wind}",
+    alerts: "Wetterwarnungen", noAlerts: "Keine aktiven Warnungen", area: "Gebiet", alertFrom: "Ab",
+    alertUntil: "Bis", issuedBy: "Herausgeber", alertExtreme: "Extrem", alertSevere: "Unwetter",
+    alertModerate: "Markant", alertMinor: "Gering", alertUnknown: "Warnung",
+    aqi: "LQI", pollutant: "Schadstoff", grass: "Gräser", tree: "Bäume", weed: "Kräuter",
+    summaryDay: "Heute in {place}: {cond}, Höchstwert {hi}, Tiefstwert {lo}, Niederschlagsrisiko {pct}",
+    summaryHours: "Nächste {n} Std. in {place}: {lo} bis {hi}, jetzt {cond}, Niederschlagsrisiko bis {pct}",
+    measuredAt: "Gemessen um"
+  },
+  fr: {
+    feels: "Ressenti", humidity: "Hum.", wind: "Vent", dewPoint: "Point de rosée", pressure: "Pression",
+    uv: "UV", clouds: "Nuages", visibility: "Visibilité", gusts: "Rafales", rain: "Pluie", storm: "Orage",
+    snow: "Neige", precipitation: "Précip.",
+    sunrise: "Lever", sunset: "Coucher", dayLength: "Durée du jour", moon: "Lune",
+    yesterday: "Hier", vsYesterday: "{d} vs hier",
+    duration: "{h} h {m} min", minutes: "{m} min",
+    newMoon: "Nouvelle lune", waxingCrescent: "Premier croissant", firstQuarter: "Premier quartier",
+    waxingGibbous: "Gibbeuse croissante", fullMoon: "Pleine lune", waningGibbous: "Gibbeuse décroissante",
+    lastQuarter: "Dernier quartier", waningCrescent: "Dernier croissant",
+    today: "Auj.", currentLocation: "Position actuelle", location: "Lieu",
+    noForecast: "Aucune prévision",
+    weatherError: "Erreur météo", forecastError: "Erreur de prévision", hourlyError: "Erreur de prévision horaire",
+    updatedNow: "Mis à jour à l'instant", updatedMin: "Il y a {n} min",
+    updatedHours: "Il y a {n} h", updatedDays: "Il y a {n} j",
+    save: "Enregistrer", cancel: "Annuler", ok: "OK", done: "Terminé",
+    apiKeyTitle: "Clé Google Weather API",
+    apiKeyMessage: "Collez votre clé Weather API de Google Maps Platform.\nElle sera stockée en sécurité dans le trousseau.",
+    keyRejectedTitle: "Clé API refusée", keyRejectedMessage: "{error}\n\nSaisir une nouvelle clé ?",
+    enterNewKey: "Saisir une nouvelle clé",
+    previewTitle: "Aperçu du widget",
+    savedLocations: "Lieux enregistrés", savedLocationsAction: "Lieux enregistrés…",
+    savedLocationsHelp: "Paramètre du widget : loc=<nom> fixe un lieu, loc=rotate les fait défiler.",
+    addGps: "Ajouter la position GPS actuelle", addCoords: "Ajouter par coordonnées", addCurrent: "Ajouter « {name} »",
+    remove: "Supprimer…", removeTitle: "Supprimer un lieu", nameLocation: "Nommer ce lieu",
+    newLocation: "Nouveau lieu", name: "Nom", latitude: "Latitude", longitude: "Longitude",
+    notSaved: "Lieu non enregistré",
+    transparentAction: "Fond transparent…",
+    transparentIntro: "Choisissez une capture d'une page vide de l'écran d'accueil (maintenez l'écran d'accueil et balayez jusqu'à la dernière page).",
+    transparentSize: "Taille du widget", transparentPosition: "Position du widget",
+    transparentSaved: "Fond enregistré. Paramètre du widget : bg=transparent:{position}",
+    transparentUnsupported: "Les captures de cette taille ({size}) ne sont pas prises en charge. Utilisez bg=<fichier image>.",
+    quotaUsage: "Appels API en {month} : {calls} sur {budget} ({left} restants)",
+    quotaProjected: "Projection en fin de mois : {n}",
+    quotaStretched: "Au-dessus du budget : rafraîchissement et cache étirés ×{f}",
+    menuDetails: "Toutes les conditions actuelles", menuSettings: "Réglages — tous les scripts", menuData: "Clé API et données",
+    settingMessage: "Même syntaxe que le paramètre du widget. Laissez vide pour la valeur par défaut du script.",
+    settingDefault: "par défaut", settingNotSaved: "Réglage non enregistré",
+    replaceKey: "Remplacer la clé API", deleteKey: "Supprimer la clé API", delete: "Supprimer", noKey: "absente",
+    deleteKeyMessage: "La clé est retirée du trousseau ; le prochain lancement dans l'app en demandera une nouvelle.",
+    clearCaches: "Vider les caches", cachesCleared: "{n} fichiers de cache supprimés.",
+    condition: "Conditions", temperature: "Température", heatIndex: "Indice de chaleur", windChill: "Refroidissement éolien",
+    tempChange24h: "Variation sur 24 h", high24h: "Max. sur 24 h", low24h: "Min. sur 24 h", precip24h: "Précip. sur 24 h",
+    daytime: "Jour", nighttime: "Nuit", sunMoon: "Soleil et lune",
+    notifyTemp: "{v} en ce moment", notifyLow: "Jusqu'à {v} cette nuit", notifyHigh: "Jusqu'à {v} aujourd'hui",
+    notifyRain: "Risque de pluie ou de neige de {v} dans les 24 h",
+    notifyPrecip: "{v} de pluie ou de neige dans les 24 h",
+    notifyWind: "Vent à {v}", notifyGust: "Rafales jusqu'à {v}", notifyUv: "Indice UV {v}",
+    notifyDrop: "La température a baissé de {v} depuis la dernière mise à jour",
+    notifyRise: "La température a augmenté de {v} depuis la dernière mise à jour",
+    summaryCurrent: "{temp} et {cond} à {place}, ressenti {feels}, vent {wind}",
+    alerts: "Alertes météo", noAlerts: "Aucune alerte en cours", area: "Zone", alertFrom: "Début",
+    alertUntil: "Fin", issuedBy: "Émise par", alertExtreme: "Extrême", alertSevere: "Sévère",
+    alertModerate: "Modérée", alertMinor: "Faible", alertUnknown: "Alerte",
+    aqi: "IQA", pollutant: "Polluant", grass: "Graminées", tree: "Arbres", weed: "Herbacées",
+    summaryDay: "Aujourd'hui à {place} : {cond}, max. {hi}, min. {lo}, risque de pluie ou de neige {pct}",
+    summaryHours: "{n} prochaines heures à {place} : de {lo} à {hi}, {cond} en ce moment, risque de pluie ou de neige jusqu'à {pct}",
+    measuredAt: "Mesuré à"
+  },
+  es: {
+    feels: "Sensación", humidity: "Hum.", wind: "Viento", dewPoint: "Punto de rocío", pressure: "Presión",
+    uv: "UV", clouds: "Nubes", visibility: "Visibilidad", gusts: "Ráfagas", rain: "Lluvia", storm: "Tormenta",
+    snow: "Nieve", precipitation: "Precip.",
+    sunrise: "Amanecer", sunset: "Atardecer", dayLength: "Duración del día", moon: "Luna",
+    yesterday: "Ayer", vsYesterday: "{d} vs ayer",
+    duration: "{h} h {m} min", minutes: "{m} min",
+    newMoon: "Luna nueva", waxingCrescent: "Creciente", firstQuarter: "Cuarto creciente",
+    waxingGibbous: "Gibosa creciente", fullMoon: "Luna llena", waningGibbous: "Gibosa menguante",
+    lastQuarter: "Cuarto menguante", waningCrescent: "Menguante",
+    today: "Hoy", currentLocation: "Ubicación actual", location: "Ubicación",
+    noForecast: "Sin datos de previsión",
+    weatherError: "Error del tiempo", forecastError: "Error de previsión", hourlyError: "Error de previsión por horas",
+    updatedNow: "Actualizado ahora", updatedMin: "Hace {n} min",
+    updatedHours: "Hace {n} h", updatedDays: "Hace {n} d",
+    save: "Guardar", cancel: "Cancelar", ok: "Aceptar", done: "Listo",
+    apiKeyTitle: "Clave de Google Weather API",
+    apiKeyMessage: "Pega tu clave de Weather API de Google Maps Platform.\nSe guardará de forma segura en el llavero.",
+    keyRejectedTitle: "Clave API rechazada", keyRejectedMessage: "{error}\n\n¿Introducir una clave nueva?",
+    enterNewKey: "Introducir clave nueva",
+    previewTitle: "Vista previa del widget",
+    savedLocations: "Ubicaciones guardadas", savedLocationsAction: "Ubicaciones guardadas…",
+    savedLocationsHelp: "Parámetro del widget: loc=<nombre> fija una, loc=rotate las recorre todas.",
+    addGps: "Añadir la posición GPS actual", addCoords: "Añadir por coordenadas", addCurrent: "Añadir \"{name}\"",
+    remove: "Eliminar…", removeTitle: "Eliminar ubicación", nameLocation: "Nombra esta ubicación",
+    newLocation: "Nueva ubicación", name: "Nombre", latitude: "Latitud", longitude: "Longitud",
+    notSaved: "Ubicación no guardada",
+    transparentAction: "Fondo transparente…",
+    transparentIntro: "Elige una captura de una página vacía de la pantalla de inicio (mantén pulsada la pantalla de inicio y desliza hasta la última página).",
+    transparentSize: "Tamaño del widget", transparentPosition: "Posición del widget",
+    transparentSaved: "Fondo guardado. Parámetro del widget: bg=transparent:{position}",
+    transparentUnsupported: "Las capturas de este tamaño ({size}) no son compatibles. Usa bg=<archivo de imagen>.",
+    quotaUsage: "Llamadas a la API en {month}: {calls} de {budget} (quedan {left})",
+    quotaProjected: "Proyección a fin de mes: {n}",
+    quotaStretched: "Por encima del presupuesto: actualización y caché ampliadas ×{f}",
+    menuDetails: "Todas las condiciones actuales", menuSettings: "Ajustes — todos los scripts", menuData: "Clave API y datos",
+    settingMessage: "Misma sintaxis que el parámetro del widget. Déjalo vacío para el valor por defecto del script.",
+    settingDefault: "por defecto", settingNotSaved: "Ajuste no guardado",
+    replaceKey: "Cambiar clave API", deleteKey: "Eliminar clave API", delete: "Eliminar", noKey: "sin clave",
+    deleteKeyMessage: "La clave se quita del llavero; la próxima ejecución en la app pedirá una nueva.",
+    clearCaches: "Vaciar cachés", cachesCleared: "{n} archivos de caché eliminados.",
+    condition: "Condiciones", temperature: "Temperatura", heatIndex: "Índice de calor", windChill: "Sensación por viento",
+    tempChange24h: "Cambio en 24 h", high24h: "Máx. en 24 h", low24h: "Mín. en 24 h", precip24h: "Precip. en 24 h",
+    daytime: "Día", nighttime: "Noche", sunMoon: "Sol y luna",
+    notifyTemp: "Ahora {v}", notifyLow: "Mínima de {v} esta noche", notifyHigh: "Máxima de {v} hoy",
+    notifyRain: "{v} de probabilidad de lluvia o nieve en las próximas 24 h",
+    notifyPrecip: "{v} de lluvia o nieve en las próximas 24 h",
+    notifyWind: "Viento de {v}", notifyGust: "Rachas de hasta {v}", notifyUv: "Índice UV {v}",
+    notifyDrop: "La temperatura bajó {v} desde la última actualización",
+    notifyRise: "La temperatura subió {v} desde la última actualización",
+    summaryCurrent: "{temp} y {cond} en {place}, sensación de {feels}, viento {wind}",
+    alerts: "Avisos meteorológicos", noAlerts: "No hay avisos activos", area: "Zona", alertFrom: "Desde",
+    alertUntil: "Hasta", issuedBy: "Emitido por", alertExtreme: "Extremo", alertSevere: "Grave",
+    alertModerate: "Moderado", alertMinor: "Leve", alertUnknown: "Aviso",
+    aqi: "ICA", pollutant: "Contaminante", grass: "Gramíneas", tree: "Árboles", weed: "Malezas",
+    summaryDay: "Hoy en {place}: {cond}, máxima {hi}, mínima {lo}, probabilidad de lluvia o nieve {pct}",
+    summaryHours: "Próximas {n} horas en {place}: de {lo} a {hi}, ahora {cond}, hasta {pct} de probabilidad de lluvia o nieve",
+    measuredAt: "Medido a las"
+  }
+};
+
+let language = "en";
+
+// Called by each script with LANGUAGE, then again with cfg.language.
+function setLanguage(code) {
+  language = String(code || "en").replace("_", "-");
+}
+
+function localeTag() {
+  try { return Intl.getCanonicalLocales(language)[0]; } catch (_) { return "en"; }
+}
+
+// tr("updatedMin", { n: 5 }) → "Updated 5m ago"
+function tr(key, vars = {}) {
+  const table = STRINGS[language.toLowerCase().split("-")[0]] || {};
+  const text = table[key] != null ? table[key] : (STRINGS.en[key] != null ? STRINGS.en[key] : key);
+  return text.replace(/\{(\w+)\}/g, (m, k) => (k in vars ? String(vars[k]) : m));
+}
+
+function fmtNumber(n, digits = 0, grouping = true) {
+  return new Intl.NumberFormat(localeTag(), {
+    minimumFractionDigits: digits,
+    maximumFractionDigits: digits,
+    useGrouping: grouping
+  }).format(n);
+}
+
+function fmtWeekday(date) {
+  return date.toLocaleDateString(localeTag(), { weekday: "short" });
+}
+
+function clockOptions() {
+  const twelveHour = new Intl.DateTimeFormat(localeTag(), { hour: "numeric" }).resolvedOptions().hour12;
+  return { hour: twelveHour ? "numeric" : "2-digit", minute: "2-digit" };
+}
+
+// "18:00" in 24-hour locales, "6:00 PM" in 12-hour ones
+function fmtTime(hours, minutes = 0) {
+  return new Date(2000, 0, 1, hours, minutes).toLocaleTimeString(localeTag(), clockOptions());
+}
+
+// Clock time of an instant in the forecast's time zone (timeZone.id, e.g. "Europe/Warsaw")
+function fmtClock(date, timeZone) {
+  try {
+    return date.toLocaleTimeString(localeTag(), { ...clockOptions(), timeZone: timeZone || undefined });
+  } catch (_) {
+    return date.toLocaleTimeString(localeTag(), clockOptions());  // unknown time zone id
+  }
+}
+
+// ---- Safe getter ----
+function g(obj, path, fallback = null) {
+  return path.split(".").reduce((o, k) => (o && o[k] !== undefined ? o[k] : null), obj) ?? fallback;
+}
+
+// ---- Per-instance config (widget parameter) ----
+// Long-press the widget → Edit Widget → Parameter, e.g.
+//   lat=52.23;lon=21.01;name=Warsaw;units=IMPERIAL;lang=en;days=4;theme=auto
+// `defaults` comes from the script's CONFIG constants; `extraKeys` adds
+// script-specific numeric keys as { key: [min, max] } (e.g. { days: [1, 10] }).
+function parseWidgetParameter(param, defaults, extraKeys = {}) {
+  const cfg = { name: null, ...defaults, units: { ...(defaults.units || {}) }, cacheKey: defaults.cacheKey || "" };
+
+  const raw = (param == null ? "" : String(param)).trim();
+  if (!raw) return resolveUnits(cfg);
+
+  const errors = [];
+  const given = {};
+  const num = (k, v, min, max) => {
+    const n = Number(v.replace(",", "."));
+    if (v === "" || !isFinite(n) || n < min || n > max) {
+      errors.push(`${k} must be a number between ${min} and ${max}`);
+      return null;
+    }
+    return n;
+  };
+
+  for (const part of raw.split(";")) {
+    if (!part.trim()) continue;
+    const eq = part.indexOf("=");
+    if (eq < 1) { errors.push(`"${part.trim()}" is not key=value`); continue; }
+    const k = part.slice(0, eq).trim().toLowerCase();
+    const v = part.slice(eq + 1).trim();
+    given[k] = v;
+
+    switch (k) {
+      case "lat": cfg.lat = num(k, v, -90, 90); break;
+      case "lon": cfg.lon = num(k, v, -180, 180); break;
+      case "name": cfg.name = v || null; break;
+      case "loc": cfg.favourite = v || null; break;
+      case "units": {
+        const u = v.toUpperCase();
+        if (u !== "METRIC" && u !== "IMPERIAL") errors.push("units must be METRIC or IMPERIAL");
+        else cfg.unitsSystem = u;
+        break;
+      }
+      case "lang":
+        if (!/^[a-z]{2,3}([-_][a-z0-9]{2,4})?$/i.test(v)) errors.push(`lang "${v}" is not a language code`);
+        else cfg.language = v;
+        break;
+      case "temp":
+      case "wind":
+      case "precip":
+      case "pressure": {
+        const u = v.toUpperCase();
+        if (!UNIT_CHOICES[k].includes(u)) errors.push(`${k} must be one of ${UNIT_CHOICES[k].join(", ")}`);
+        else cfg.units[k] = u;
+        break;
+      }
+      case "cache": cfg.cacheMin = num(k, v, 0, 1440); break;
+      case "refresh": cfg.refreshMin = num(k, v, 5, 1440); break;
+      case "maxage": cfg.maxStaleMin = num(k, v, 0, 10080); break;
+      case "geokm": cfg.geocodeKm = num(k, v, 0, 100); break;
+      case "budget": cfg.monthlyBudget = num(k, v, 100, 1000000); break;
+      case "umbrella": cfg.umbrellaPct = num(k, v, 0, 100); break;
+      case "tap":
+        if (!TAP_ACTIONS.includes(v.toLowerCase())) errors.push(`tap must be one of ${TAP_ACTIONS.join(", ")}`);
+        else cfg.tap = v.toLowerCase();
+        break;
+      case "chart":
+        if (!CHART_MODES.includes(v.toLowerCase())) errors.push(`chart must be one of ${CHART_MODES.join(", ")}`);
+        else cfg.chart = v.toLowerCase();
+        break;
+      case "details": {
+        const ids = v.split(",").map(x => x.trim().toLowerCase()).filter(Boolean);
+        const bad = ids.filter(x => !DETAIL_SLOTS.includes(x));
+        if (!ids.length || bad.length) errors.push(`details must be a comma-separated list of ${DETAIL_SLOTS.join(", ")}`);
+        else cfg.details = ids;
+        break;
+      }
+      case "theme":
+        if (!THEME_NAMES.includes(v.toLowerCase())) errors.push(`theme must be one of ${THEME_NAMES.join(", ")}`);
+        else cfg.theme = v.toLowerCase();
+        break;
+      case "bg": {
+        const m = /^transparent:(.*)$/i.exec(v);
+        const all = [...new Set(Object.values(BACKGROUND_POSITIONS).flat())];
+        if (!v) errors.push("bg needs an image file name or transparent:<position>");
+        else if (m && !all.includes(m[1].toLowerCase())) errors.push(`bg=transparent: position must be one of ${all.join(", ")}`);
+        else cfg.background = v;
+        break;
+      }
+      default:
+        if (extraKeys[k]) cfg[k] = num(k, v, extraKeys[k][0], extraKeys[k][1]);
+        else errors.push(`unknown key "${k}"`);
+    }
+  }
+
+  if (("lat" in given) !== ("lon" in given)) errors.push("lat and lon must be given together");
+  if ("loc" in given && "lat" in given) errors.push("loc cannot be combined with lat/lon");
+  if (errors.length) throw new Error(`Invalid widget parameter: ${errors.join("; ")}`);
+
+  if ("lat" in given) cfg.useCurrentLocation = false;
+
+  // Stable key for this parameter set, so every instance gets its own cache file.
+  // Looks-only keys (theme, bg, chart, tap) share the data cache.
+  const own = Object.keys(given).filter(k => !["theme", "bg", "chart", "tap"].includes(k)).sort()
+    .map(k => `${k}=${given[k]}`).join(";");
+  cfg.cacheKey = [defaults.cacheKey, own].filter(Boolean).join(";");
+  return resolveUnits(cfg);
+}
+
+// ---- Shared settings ----
+// Edited in the app (appMenu) and kept in SETTINGS_FILE as widget-parameter values,
+// e.g. { "lang": "en", "lat": "52.23", "lon": "21.01" }. They apply to every script:
+// CONFIG constants < settings < widget parameter.
+const SETTING_KEYS = [
+  ["lat", "lon"], ["lang"], ["units"], ["temp"], ["wind"], ["precip"], ["pressure"],
+  ["theme"], ["umbrella"], ["tap"], ["geokm"], ["budget"]
+];
+
+function settingsPath() {
+  const fm = FileManager.local();
+  return fm.joinPath(fm.documentsDirectory(), SETTINGS_FILE);
+}
+
+function readSettings() {
+  const fm = FileManager.local();
+  try {
+    const s = fm.fileExists(settingsPath()) ? JSON.parse(fm.readString(settingsPath())) : null;
+    if (s && typeof s === "object" && !Array.isArray(s)) return s;
+  } catch (_) {}
+  return {};
+}
+
+function writeSettings(settings) {
+  FileManager.local().writeString(settingsPath(), JSON.stringify(settings));
+}
+
+function settingsParam(settings) {
+  return SETTING_KEYS.flat()
+    .filter(k => settings[k] != null && String(settings[k]).trim() !== "")
+    .map(k => `${k}=${settings[k]}`).join(";");
+}
+
+// The script's DEFAULTS with the saved settings applied. Unit choices stay unresolved
+// so a widget parameter `units=` still decides the rest. A settings file that doesn't
+// parse is ignored rather than breaking every widget.
+function applySettings(defaults) {
+  const settings = readSettings();
+  const param = settingsParam(settings);
+  if (!param) return defaults;
+  try {
+    const cfg = parseWidgetParameter(param, defaults);
+    const units = { ...(defaults.units || {}) };
+    for (const k of Object.keys(UNIT_CHOICES)) {
+      if (settings[k]) units[k] = String(settings[k]).toUpperCase();
+    }
+    return { ...cfg, units };
+  } catch (err) {
+    console.warn(`Ignoring ${SETTINGS_FILE}: ${err.message}`);
+    return defaults;
+  }
+}
+
+// Asks for new values of one settings row; an empty field goes back to the default.
+// Throws (nothing saved) when the result doesn't parse.
+async function editSetting(keys) {
+  const settings = readSettings();
+  const a = new Alert();
+  a.title = keys.join(" / ");
+  a.message = tr("settingMessage");
+  keys.forEach(k => a.addTextField(k, settings[k] == null ? "" : String(settings[k])));
+  a.addAction(tr("save"));
+  a.addCancelAction(tr("cancel"));
+  if (await a.presentAlert() === -1) return false;
+
+  const next = { ...settings };
+  keys.forEach((k, i) => {
+    const v = a.textFieldValue(i).trim();
+    if (v) next[k] = v;
+    else delete next[k];
+  });
+  parseWidgetParameter(settingsParam(next), {});
+  writeSettings(next);
+  return true;
+}
+
+// ---- Unit preferences ----
+// Each dimension is chosen separately; unset ones follow unitsSystem.
+// The API's own units are converted on the client (see fmtTemp, fmtWind, ...).
+const UNIT_CHOICES = {
+  temp: ["C", "F"],
+  wind: ["KMH", "MS", "MPH", "KN", "BFT"],
+  precip: ["MM", "IN"],
+  pressure: ["HPA", "INHG", "MMHG"]
+};
+const UNIT_SYSTEMS = {
+  METRIC: { temp: "C", wind: "KMH", precip: "MM", pressure: "HPA" },
+  IMPERIAL: { temp: "F", wind: "MPH", precip: "IN", pressure: "INHG" }
+};
+
+function resolveUnits(cfg) {
+  const base = UNIT_SYSTEMS[cfg.unitsSystem] || UNIT_SYSTEMS.METRIC;
+  const units = {};
+  for (const k of Object.keys(UNIT_CHOICES)) {
+    const u = cfg.units && cfg.units[k] ? String(cfg.units[k]).toUpperCase() : null;
+    units[k] = UNIT_CHOICES[k].includes(u) ? u : base[k];
+  }
+  cfg.units = units;
+  return cfg;
+}
+
+let units = { ...UNIT_SYSTEMS.METRIC };
+
+// Called by each script with cfg.units before building the widget.
+function setUnits(prefs) {
+  units = { ...UNIT_SYSTEMS.METRIC, ...(prefs || {}) };
+}
+
+// Tiny string hash (djb2) → short, file-name-safe id
+function hashString(s) {
+  let h = 5381;
+  for (let i = 0; i < s.length; i++) h = ((h << 5) + h + s.charCodeAt(i)) >>> 0;
+  return h.toString(36);
+}
+
+// ---- API key handling (secure; no hard-coding) ----
+async function getApiKey(keychainKey = DEFAULT_KEYCHAIN_KEY) {
+  const key = Keychain.contains(keychainKey) ? Keychain.get(keychainKey) : null;
+  if (key) return key;
+  const entered = await askApiKey(keychainKey);
+  if (!entered) throw new Error("API key input cancelled.");
+  return entered;
+}
+
+// Prompts for a key and saves it to the Keychain; null when cancelled
+async function askApiKey(keychainKey = DEFAULT_KEYCHAIN_KEY) {
+  const a = new Alert();
+  a.title = tr("apiKeyTitle");
+  a.message = tr("apiKeyMessage");
+  a.addTextField("YOUR_API_KEY_HERE");
+  a.addAction(tr("save"));
+  a.addCancelAction(tr("cancel"));
+  if (await a.present() === -1) return null;
+  const key = a.textFieldValue(0).trim();
+  if (!key) throw new Error("Empty API key.");
+  Keychain.set(keychainKey, key);
+  return key;
+}
+
+async function deleteApiKey(keychainKey = DEFAULT_KEYCHAIN_KEY) {
+  const a = new Alert();
+  a.title = tr("deleteKey");
+  a.message = tr("deleteKeyMessage");
+  a.addDestructiveAction(tr("delete"));
+  a.addCancelAction(tr("cancel"));
+  if (await a.presentAlert() === -1) return false;
+  Keychain.remove(keychainKey);
+  return true;
+}
+
+// "AIza…x3Q", never the whole key
+function maskKey(key) {
+  if (!key) return tr("noKey");
+  return key.length > 8 ? `${key.slice(0, 4)}…${key.slice(-3)}` : "…";
+}
+
+// ---- Location (GPS or fixed) ----
+// The last good fix is kept for all scripts, with the place name and where it was resolved:
+//   { latitude, longitude, timestamp, name, namedAt: { latitude, longitude } }
+function lastLocationPath() {
+  const fm = FileManager.local();
+  return fm.joinPath(fm.documentsDirectory(), LOCATION_FILE);
+}
+
+function readLastLocation() {
+  const fm = FileManager.local();
+  try {
+    if (fm.fileExists(lastLocationPath())) return JSON.parse(fm.readString(lastLocationPath()));
+  } catch (_) {}
+  return null;
+}
+
+// Great-circle distance in km between two { latitude, longitude }
+function distanceKm(a, b) {
+  const rad = d => d * Math.PI / 180;
+  const dLat = rad(b.latitude - a.latitude);
+  const dLon = rad(b.longitude - a.longitude);
+  const h = Math.sin(dLat / 2) ** 2
+    + Math.cos(rad(a.latitude)) * Math.cos(rad(b.latitude)) * Math.sin(dLon / 2) ** 2;
+  return 2 * 6371 * Math.asin(Math.sqrt(h));
+}
+
+function withTimeout(promise, ms, message) {
+  let timer;
+  const timeout = new Promise((_, reject) => {
+    timer = Timer.schedule(ms, false, () => reject(new Error(message)));
+  });
+  return Promise.race([promise, timeout]).finally(() => timer.invalidate());
+}
+
+async function reverseGeocodeName(loc) {
+  try {
+    const placemarks = await Location.reverseGeocode(loc.latitude, loc.longitude);
+    return placemarks?.[0]?.locality
+      || placemarks?.[0]?.subLocality
+      || placemarks?.[0]?.administrativeArea
+      || null;
+  } catch (_) {
+    return null;
+  }
+}
+
+// GPS fix at kilometre accuracy. If it fails or times out, the last saved fix
+// is returned with `fallback: true`. The place name is only re-geocoded after
+// moving cfg.geocodeKm or more from where it was last resolved.
+async function getLocation(cfg) {
+  if (!cfg.useCurrentLocation) {
+    return { latitude: cfg.lat, longitude: cfg.lon, name: null };
+  }
+  const last = readLastLocation();
+
+  let fix;
+  try {
+    Location.setAccuracyToKilometer();
+    fix = await withTimeout(Location.current(), LOCATION_TIMEOUT_MS, "Timed out waiting for the current location.");
+  } catch (err) {
+    if (!last) throw err;
+    console.warn(`Using the last known location: ${err.message}`);
+    return { latitude: last.latitude, longitude: last.longitude, name: last.name, fallback: true, timestamp: last.timestamp };
+  }
+
+  const near = last && last.name && last.namedAt && distanceKm(last.namedAt, fix) < (cfg.geocodeKm || 0);
+  const name = near ? last.name : await reverseGeocodeName(fix);
+  const namedAt = near ? last.namedAt : { latitude: fix.latitude, longitude: fix.longitude };
+
+  const saved = { latitude: fix.latitude, longitude: fix.longitude, timestamp: Date.now(), name, namedAt };
+  try { FileManager.local().writeString(lastLocationPath(), JSON.stringify(saved)); } catch (_) {}
+  return { latitude: fix.latitude, longitude: fix.longitude, name };
+}
+
+// ---- Saved locations ----
+// One list for all scripts, managed from the in-app run:
+//   [{ name: "Current location", current: true }, { name: "Office", lat: 52.23, lon: 21.01 }]
+function favouritesPath() {
+  const fm = FileManager.local();
+  return fm.joinPath(fm.documentsDirectory(), FAVOURITES_FILE);
+}
+
+function readFavourites() {
+  const fm = FileManager.local();
+  try {
+    const list = fm.fileExists(favouritesPath()) ? JSON.parse(fm.readString(favouritesPath())) : null;
+    if (Array.isArray(list) && list.length) return list;
+  } catch (_) {}
+  return [{ name: CURRENT_LOCATION, current: true }];
+}
+
+function writeFavourites(list) {
+  FileManager.local().writeString(favouritesPath(), JSON.stringify(list));
+}
+
+// Next index for `id` (script + parameter set); only widget refreshes advance it.
+function nextRotation(id, count) {
+  const fm = FileManager.local();
+  const path = fm.joinPath(fm.documentsDirectory(), ROTATION_FILE);
+  let state = {};
+  try { if (fm.fileExists(path)) state = JSON.parse(fm.readString(path)); } catch (_) {}
+  const last = Number.isInteger(state[id]) ? state[id] : -1;
+  if (!config.runsInWidget) return Math.max(last, 0) % count;
+  state[id] = (last + 1) % count;
+  try { fm.writeString(path, JSON.stringify(state)); } catch (_) {}
+  return state[id];
+}
+
+// Applies `loc=<name>` (pin one saved location) or `loc=rotate` (next one on
+// every refresh) to cfg. Each location gets its own cache entry. `pin` names the
+// rotation entry a tapped widget was showing; cfg.pin carries it into tap links.
+function selectFavourite(cfg, pin = null) {
+  if (!cfg.favourite) return cfg;
+  const list = readFavourites();
+  const rotate = cfg.favourite.toLowerCase() === "rotate";
+  let entry;
+  if (rotate) {
+    entry = (pin && list.find(f => f.name === pin))
+      || list[nextRotation(`${Script.name()}|${cfg.cacheKey}`, list.length)];
+  } else {
+    entry = list.find(f => f.name.toLowerCase() === cfg.favourite.toLowerCase());
+    if (!entry) throw new Error(`No saved location named "${cfg.favourite}". Add it by running the script in the app.`);
+  }
+  return {
+    ...cfg,
+    useCurrentLocation: !!entry.current,
+    lat: entry.current ? cfg.lat : entry.lat,
+    lon: entry.current ? cfg.lon : entry.lon,
+    name: cfg.name || (entry.current ? null : entry.name),
+    cacheKey: `${cfg.cacheKey};@${entry.name}`,
+    pin: rotate ? entry.name : null
+  };
+}
+
+async function askFavourite(title, fields) {
+  const a = new Alert();
+  a.title = title;
+  fields.forEach(([placeholder, value]) => a.addTextField(placeholder, value));
+  a.addAction(tr("save"));
+  a.addCancelAction(tr("cancel"));
+  if (await a.present() === -1) return null;
+  return fields.map((_, i) => a.textFieldValue(i).trim());
+}
+
+function saveFavourite(list, entry) {
+  if (!entry.name) return;
+  const rest = list.filter(f => f.name.toLowerCase() !== entry.name.toLowerCase());
+  writeFavourites([...rest, entry]);
+}
+
+// In-app list editor for the saved locations
+async function manageFavourites() {
+  for (;;) {
+    const list = readFavourites();
+    const a = new Alert();
+    a.title = tr("savedLocations");
+    a.message = list.map((f, i) => `${i + 1}. ${f.name}${f.current ? "" : ` (${f.lat}, ${f.lon})`}`).join("\n")
+      + `\n\n${tr("savedLocationsHelp")}`;
+    const actions = [];
+    const add = (label, run) => { a.addAction(label); actions.push(run); };
+
+    add(tr("addGps"), async () => {
+      Location.setAccuracyToKilometer();
+      const fix = await Location.current();
+      const values = await askFavourite(tr("nameLocation"), [[tr("name"), await reverseGeocodeName(fix) || ""]]);
+      if (values) {
+        saveFavourite(list, { name: values[0], lat: +fix.latitude.toFixed(4), lon: +fix.longitude.toFixed(4) });
+      }
+    });
+    add(tr("addCoords"), async () => {
+      const values = await askFavourite(tr("newLocation"), [[tr("name"), ""], [tr("latitude"), ""], [tr("longitude"), ""]]);
+      if (!values) return;
+      const [name, lat, lon] = [values[0], Number(values[1].replace(",", ".")), Number(values[2].replace(",", "."))];
+      if (values[1] === "" || values[2] === "" || !(Math.abs(lat) <= 90 && Math.abs(lon) <= 180)) {
+        throw new Error("Latitude must be between -90 and 90 and longitude between -180 and 180.");
+      }
+      saveFavourite(list, { name, lat, lon });
+    });
+    if (!list.some(f => f.current)) {
+      add(tr("addCurrent", { name: CURRENT_LOCATION }), async () => saveFavourite(list, { name: CURRENT_LOCATION, current: true }));
+    }
+    if (list.length > 1) {
+      add(tr("remove"), async () => {
+        const r = new Alert();
+        r.title = tr("removeTitle");
+        list.forEach(f => r.addDestructiveAction(f.name));
+        r.addCancelAction(tr("cancel"));
+        const idx = await r.presentSheet();
+        if (idx >= 0) writeFavourites(list.filter((_, i) => i !== idx));
+      });
+    }
+    a.addCancelAction(tr("done"));
+
+    const idx = await a.presentSheet();
+    if (idx === -1 || !actions[idx]) return;
+    try {
+      await actions[idx]();
+    } catch (err) {
+      const e = new Alert();
+      e.title = tr("notSaved");
+      e.message = err.message;
+      e.addAction(tr("ok"));
+      await e.present();
+    }
+  }
+}
+
+function placeNameFor(cfg, loc) {
+  return cfg.name || loc.name
+    ? `${cfg.name || loc.name}`
+    : `Lat ${loc.latitude.toFixed(2)}, Lon ${loc.longitude.toFixed(2)}`;
+}
+
+// "50.06,19.95": about 1 km apart, for state kept per place
+function locationKey(loc) {
+  return `${loc.latitude.toFixed(2)},${loc.longitude.toFixed(2)}`;
+}
+
+// ---- Cache helpers ----
+// One cache file per script (`baseName`) and widget parameter set;
+// the default parameter set keeps the plain name.
+function cachePathFor(cfg, baseName) {
+  const fm = FileManager.local();
+  const suffix = cfg.cacheKey ? `_${hashString(cfg.cacheKey)}` : "";
+  return fm.joinPath(fm.documentsDirectory(), `${baseName}${suffix}.json`);
+}
+
+// Returns { data, timestamp, ageMin } whatever the age; cachedFetch decides
+// whether that is fresh, a usable stale fallback or too old.
+function readCache(cfg, baseName) {
+  const fm = FileManager.local();
+  const cachePath = cachePathFor(cfg, baseName);
+  if (!fm.fileExists(cachePath)) return null;
+  try {
+    const obj = JSON.parse(fm.readString(cachePath));
+    if (!obj.timestamp) return null;
+    const ageMin = (Date.now() - obj.timestamp) / 60000;
+    return { data: obj.data, timestamp: obj.timestamp, ageMin };
+  } catch (_) { return null; }
+}
+
+function writeCache(cfg, baseName, data) {
+  const timestamp = Date.now();
+  try {
+    FileManager.local().writeString(cachePathFor(cfg, baseName), JSON.stringify({ timestamp, data }));
+  } catch (_) {}
+  return timestamp;
+}
+
+// ---- Cache-first fetching (stale-while-revalidate) ----
+//   age <= cfg.cacheMin     → fresh: served from cache, no network call
+//   age <= cfg.maxStaleMin  → stale: refetch; if that fails, serve the stale copy
+//   older / no cache        → refetch; if that fails, the error propagates
+// `accept(data)` can reject a fresh cache that doesn't fit this run (it stays a fallback).
+// SAFEGUARD: the cache is only updated when the fetch succeeds.
+// Returns { data, timestamp, fromCache, stale }.
+async function cachedFetch(cfg, baseName, fetcher, accept = () => true) {
+  const cached = readCache(cfg, baseName);
+  if (cached && cached.ageMin <= cfg.cacheMin && accept(cached.data)) {
+    return { data: cached.data, timestamp: cached.timestamp, fromCache: true, stale: false };
+  }
+
+  try {
+    const fresh = await fetcher();
+    const timestamp = writeCache(cfg, baseName, fresh);
+    return { data: fresh, timestamp, fromCache: false, stale: false };
+  } catch (netErr) {
+    // Network/timeout/HTTP error: fall back to a not-too-old cache, if any.
+    if (cached && cached.ageMin <= cfg.maxStaleMin) {
+      return { data: cached.data, timestamp: cached.timestamp, fromCache: true, stale: true, error: netErr };
+    }
+    throw netErr;
+  }
+}
+
+// Cache settings for a response with a lifetime of its own (not cfg.cacheMin), stretched
+// like cfg.cacheMin when the quota runs ahead of budget
+function ownCacheConfig(cfg, minutes) {
+  const cacheMin = minutes * Math.max(1, g(cfg, "quota.stretch", 1));
+  return { ...cfg, cacheMin, maxStaleMin: Math.max(cfg.maxStaleMin, cacheMin) };
+}
+
+// ownCacheConfig for a response about one place (alerts, air quality, pollen): the
+// rounded location joins the cache key, so after a move with GPS the previous place's
+// copy is neither fresh nor a stale fallback
+function placeCacheConfig(cfg, minutes, loc) {
+  return { ...ownCacheConfig(cfg, minutes), cacheKey: `${cfg.cacheKey || ""};at=${locationKey(loc)}` };
+}
+
+// Deletes every script's response caches (not locations, settings, quota or
+// backgrounds); returns how many files went
+function clearCaches() {
+  const fm = FileManager.local();
+  const dir = fm.documentsDirectory();
+  const names = fm.listContents(dir).filter(n => /^google_weather_.*cache.*\.json$/.test(n));
+  names.forEach(n => fm.remove(fm.joinPath(dir, n)));
+  return names.length;
+}
+
+// "Updated 2h ago", measured from the data's timestamp (not the clock)
+function fmtUpdated(timestamp) {
+  if (!timestamp) return "—";
+  const min = Math.max(0, Math.floor((Date.now() - timestamp) / 60000));
+  if (min < 1) return tr("updatedNow");
+  if (min < 60) return tr("updatedMin", { n: min });
+  if (min < 48 * 60) return tr("updatedHours", { n: Math.floor(min / 60) });
+  return tr("updatedDays", { n: Math.floor(min / 1440) });
+}
+
+// ---- Google Weather API requests ----
+// endpoint e.g. "currentConditions:lookup"; `extra` adds endpoint-specific query params.
+// Alerts carry no measurements, so publicAlerts:lookup takes no unitsSystem.
+function weatherUrl(endpoint, key, lat, lon, cfg, extra = {}) {
+  const params = [
+    `key=${encodeURIComponent(key)}`,
+    `location.latitude=${encodeURIComponent(lat)}`,
+    `location.longitude=${encodeURIComponent(lon)}`,
+    ...Object.keys(extra)
+      .filter(k => extra[k] != null)
+      .map(k => `${k}=${encodeURIComponent(extra[k])}`),
+    `languageCode=${encodeURIComponent(cfg.language)}`,
+    ...(endpoint === "publicAlerts:lookup" ? [] : [`unitsSystem=${encodeURIComponent(cfg.unitsSystem)}`])
+  ].join("&");
+  return `${WEATHER_API}/${endpoint}?${params}`;
+}
+
+// GET (or POST with a JSON `body`) with retries: 5xx and timeouts are retried with
+// backoff + jitter until RETRY_ATTEMPTS or RETRY_DEADLINE_MS; everything else fails at once.
+async function loadJSON(url, body = null) {
+  const deadline = Date.now() + RETRY_DEADLINE_MS;
+  for (let attempt = 1; ; attempt++) {
+    const timeout = Math.min(REQUEST_TIMEOUT_S, (deadline - Date.now()) / 1000);
+    try {
+      return await requestJSON(url, timeout, body);
+    } catch (err) {
+      const wait = RETRY_BASE_MS * 2 ** (attempt - 1) * (1 + Math.random() / 2);
+      if (!err.retryable || attempt >= RETRY_ATTEMPTS || Date.now() + wait + MIN_ATTEMPT_MS > deadline) {
+        throw err;
+      }
+      console.warn(`Attempt ${attempt} failed (${err.message}), retrying in ${Math.round(wait)} ms`);
+      await sleep(wait);
+    }
+  }
+}
+
+async function requestJSON(url, timeout, payload = null) {
+  recordApiCall(url);
+  const req = new Request(url);
+  req.timeoutInterval = timeout;
+  req.headers = { "Accept": "application/json" };
+  if (payload) {
+    req.method = "POST";
+    req.headers["Content-Type"] = "application/json";
+    req.body = JSON.stringify(payload);
+  }
+
+  let body;
+  try {
+    body = await req.loadString();
+  } catch (err) {
+    err.retryable = /timed out/i.test(err.message);
+    throw err;
+  }
+  let json = null;
+  try { json = JSON.parse(body); } catch (_) {}
+
+  const code = (req.response && req.response.statusCode) || 200;
+  if (code >= 400 || (json && json.error)) throw apiError(json, code);
+  if (json == null) throw new Error("Google Weather API returned an unreadable response.");
+  return json;
+}
+
+function sleep(ms) {
+  return new Promise(resolve => Timer.schedule(ms, false, resolve));
+}
+
+// ---- Google API errors ----
+// Error bodies look like { error: { code, status, message, details: [{ reason }] } }.
+// Matched by details[].reason first, then by status.
+const API_ERROR_MESSAGES = {
+  API_KEY_INVALID: () => "API key not valid. Run the script in the app to enter a new key",
+  PERMISSION_DENIED: () => "Weather API is not enabled for this key. Enable it in Google Cloud Console",
+  RESOURCE_EXHAUSTED: () => "API quota exhausted. Try again later or raise the quota",
+  INVALID_ARGUMENT: e => `Invalid request, check the coordinates: ${e.message}`,
+  UNAVAILABLE: () => "Google Weather API is unavailable. Try again later"
+};
+
+function apiError(json, httpStatus) {
+  const e = (json && json.error) || {};
+  const reason = (e.details || []).map(d => d.reason).find(Boolean) || null;
+  const status = e.status || null;
+  const code = e.code || httpStatus;
+  const describe = API_ERROR_MESSAGES[reason] || API_ERROR_MESSAGES[status];
+  const text = describe ? describe(e) : (e.message || "Google Weather API request failed");
+
+  const err = new Error(`${text.replace(/\.$/, "")} (${[code, reason || status].filter(Boolean).join(" ")})`);
+  err.httpStatus = httpStatus;
+  err.status = status;
+  err.reason = reason || status;
+  err.retryable = httpStatus >= 500;
+  return err;
+}
+
+// Runs fetcher(key). If Google rejects the key while the script runs in the
+// app, offer to replace it in Keychain and try once more with the new key.
+async function withApiKey(keychainKey, key, fetcher) {
+  try {
+    return await fetcher(key);
+  } catch (err) {
+    if (err.reason !== "API_KEY_INVALID" || config.runsInWidget) throw err;
+    const a = new Alert();
+    a.title = tr("keyRejectedTitle");
+    a.message = tr("keyRejectedMessage", { error: err.message });
+    a.addAction(tr("enterNewKey"));
+    a.addCancelAction(tr("cancel"));
+    if (await a.present() === -1) throw err;
+    Keychain.remove(keychainKey);
+    return fetcher(await getApiKey(keychainKey));
+  }
+}
+
+// ---- API quota budgeting ----
+// One call counter shared by all scripts and endpoints, reset each calendar month:
+//   { month: "2026-10", calls: 1234, endpoints: { "currentConditions:lookup": 1000, ... } }
+function monthKey(d = new Date()) {
+  return `${d.getFullYear()}-${String(d.getMonth() + 1).padStart(2, "0")}`;
+}
+
+function quotaPath() {
+  const fm = FileManager.local();
+  return fm.joinPath(fm.documentsDirectory(), QUOTA_FILE);
+}
+
+function readQuota() {
+  const fm = FileManager.local();
+  const month = monthKey();
+  try {
+    const q = fm.fileExists(quotaPath()) ? JSON.parse(fm.readString(quotaPath())) : null;
+    if (q && q.month === month) return { month, calls: q.calls || 0, endpoints: q.endpoints || {} };
+  } catch (_) {}
+  return { month, calls: 0, endpoints: {} };
+}
+
+function recordApiCall(url) {
+  const q = readQuota();
+  const [base, path] = String(url).split("?")[0].split("/v1/");
+  // Air Quality and Pollen calls are counted under their API's name
+  const api = /^https:\/\/(\w+)\.googleapis\.com$/.exec(base);
+  const endpoint = !path ? "other" : api && api[1] !== "weather" ? `${api[1]}/${path}` : path;
+  q.calls++;
+  q.endpoints[endpoint] = (q.endpoints[endpoint] || 0) + 1;
+  try { FileManager.local().writeString(quotaPath(), JSON.stringify(q)); } catch (_) {}
+  return q;
+}
+
+// Usage vs. budget, projected linearly to the end of the month.
+// `stretch` > 1 means we are running ahead of budget by that factor.
+function quotaStatus(budget) {
+  const q = readQuota();
+  const now = new Date();
+  const start = new Date(now.getFullYear(), now.getMonth(), 1);
+  const end = new Date(now.getFullYear(), now.getMonth() + 1, 1);
+  const dayMs = 24 * 60 * 60 * 1000;
+  // Count at least one day so the first hours of a month don't explode the projection.
+  const elapsed = Math.max(now - start, dayMs) / (end - start);
+  const projected = Math.round(q.calls / elapsed);
+
+  let stretch = 1;
+  if (q.calls >= budget) stretch = MAX_STRETCH;
+  else if (projected > budget) stretch = Math.min(MAX_STRETCH, projected / budget);
+
+  return {
+    month: q.month,
+    calls: q.calls,
+    endpoints: q.endpoints,
+    budget,
+    left: Math.max(0, budget - q.calls),
+    projected,
+    stretch
+  };
+}
+
+// Stretch refresh interval and cache lifetime when usage runs ahead of budget.
+function applyQuotaBudget(cfg) {
+  const quota = quotaStatus(cfg.monthlyBudget);
+  if (quota.stretch <= 1) return { ...cfg, quota };
+  const cacheMin = cfg.cacheMin * quota.stretch;
+  return {
+    ...cfg,
+    cacheMin,
+    refreshMin: cfg.refreshMin * quota.stretch,
+    maxStaleMin: Math.max(cfg.maxStaleMin, cacheMin),
+    quota
+  };
+}
+
+function fmtQuota(quota) {
+  const lines = [
+    tr("quotaUsage", {
+      month: quota.month,
+      calls: fmtNumber(quota.calls),
+      budget: fmtNumber(quota.budget),
+      left: fmtNumber(quota.left)
+    }),
+    tr("quotaProjected", { n: fmtNumber(quota.projected) })
+  ];
+  if (quota.stretch > 1) {
+    lines.push(tr("quotaStretched", { f: fmtNumber(quota.stretch, 1) }));
+  }
+  return lines.join("\n");
+}
+
+// ---- Condition text/type normalisation ----
+function normalizeConditionText(weatherCondition) {
+  if (!weatherCondition) return null;
+
+  // Example schema from docs:
+  // "weatherCondition": {
+  //   "iconBaseUri": "...",
+  //   "description": { "text": "Sunny", "languageCode": "en" },
+  //   "type": "CLEAR"
+  // }
+
+  if (typeof weatherCondition === "string") {
+    return weatherCondition;
+  }
+
+  const desc = weatherCondition.description;
+  if (typeof desc === "string") return desc;
+  if (desc && typeof desc.text === "string") return desc.text;
+
+  if (typeof weatherCondition.type === "string") return weatherCondition.type;
+
+  return null;
+}
+
+function getConditionType(weatherCondition) {
+  if (!weatherCondition) return "";
+  let type = weatherCondition.type;
+  if (!type) return "";
+  return String(type).toUpperCase();
+}
+
+// ---- Temperature helpers ----
+// Schema: { degrees: 13.7, unit: "CELSIUS" | "FAHRENHEIT" }
+// Exact °C (no rounding, so gradient thresholds see the real value)
+function parseTempC(tempObj) {
+  const val = g(tempObj, "degrees");
+  if (val == null) return null;
+  return g(tempObj, "unit") === "FAHRENHEIT" ? (val - 32) * 5 / 9 : val;
+}
+
+// Temperature in the preferred unit, unrounded
+function convertTemp(tempObj) {
+  const c = parseTempC(tempObj);
+  if (c == null) return null;
+  return units.temp === "F" ? c * 9 / 5 + 32 : c;
+}
+
+function fmtTemp(tempObj) {
+  const val = convertTemp(tempObj);
+  if (val == null) return "—";
+  return `${fmtNumber(Math.round(val) || 0)}°${units.temp}`;
+}
+
+// Compact temp for rows and lock-screen layouts: no unit (but keep °)
+function fmtTempCompact(tempObj) {
+  const val = convertTemp(tempObj);
+  if (val == null) return "—";
+  return `${fmtNumber(Math.round(val) || 0)}°`;
+}
+
+// ---- Wind helpers ----
+const SPEED_TO_MS = {
+  KILOMETERS_PER_HOUR: 1 / 3.6,
+  MILES_PER_HOUR: 0.44704,
+  MILE_PER_HOUR: 0.44704,
+  METERS_PER_SECOND: 1,
+  METER_PER_SECOND: 1,
+  KNOTS: 0.514444
+};
+// Upper bounds (m/s) of Beaufort 0–11; anything above is 12
+const BEAUFORT_MS = [0.5, 1.6, 3.4, 5.5, 8.0, 10.8, 13.9, 17.2, 20.8, 24.5, 28.5, 32.7];
+
+// { value, unit } → speed in the preferred unit, unrounded (Beaufort as its number)
+function convertSpeed(speedObj) {
+  const val = g(speedObj, "value");
+  if (val == null) return null;
+  const ms = val * (SPEED_TO_MS[g(speedObj, "unit")] || SPEED_TO_MS.KILOMETERS_PER_HOUR);
+  switch (units.wind) {
+    case "MS": return ms;
+    case "MPH": return ms / SPEED_TO_MS.MILES_PER_HOUR;
+    case "KN": return ms / SPEED_TO_MS.KNOTS;
+    case "BFT": {
+      const bft = BEAUFORT_MS.findIndex(max => ms < max);
+      return bft === -1 ? 12 : bft;
+    }
+    default: return ms * 3.6;
+  }
+}
+
+// { value, unit } → "12 km/h", "3.4 m/s", "5 Bft", ... in the preferred unit
+function fmtSpeed(speedObj) {
+  const v = convertSpeed(speedObj);
+  if (v == null) return "—";
+  switch (units.wind) {
+    case "MS": return `${fmtNumber(v, 1)} m/s`;
+    case "MPH": return `${fmtNumber(Math.round(v))} mph`;
+    case "KN": return `${fmtNumber(Math.round(v))} kn`;
+    case "BFT": return `${v} Bft`;
+    default: return `${fmtNumber(Math.round(v))} km/h`;
+  }
+}
+
+function fmtWind(windObj) {
+  // Schema:
+  // "wind": {
+  //   "direction": { "degrees": 335, "cardinal": "NORTH_NORTHWEST" },
+  //   "speed": { "value": 8, "unit": "KILOMETERS_PER_HOUR" },
+  //   "gust": { "value": 18, "unit": "KILOMETERS_PER_HOUR" }
+  // }
+  if (g(windObj, "speed.value") == null) return "—";
+  const dirTxt = degToDir(g(windObj, "direction.degrees"));
+  return `${fmtSpeed(g(windObj, "speed"))}${dirTxt ? " " + dirTxt : ""}`;
+}
+
+// ---- Precipitation / pressure ----
+// qpf schema: { quantity: 1.2, unit: "MILLIMETERS" | "INCHES" }
+function convertPrecip(qpfObj) {
+  const qty = g(qpfObj, "quantity");
+  if (qty == null) return null;
+  const mm = g(qpfObj, "unit") === "INCHES" ? qty * 25.4 : qty;
+  return units.precip === "IN" ? mm / 25.4 : mm;
+}
+
+function fmtPrecipAmount(qpfObj) {
+  const v = convertPrecip(qpfObj);
+  if (v == null) return "—";
+  return units.precip === "IN" ? `${fmtNumber(v, 2)} in` : `${fmtNumber(v, 1)} mm`;
+}
+
+// Daily forecasts split precipitation into daytime and nighttime parts; the day
+// gets the higher chance (and its type) and the summed amount, in the API's shape.
+function dayPrecipitation(day) {
+  const parts = [g(day, "daytimeForecast.precipitation"), g(day, "nighttimeForecast.precipitation")]
+    .filter(Boolean);
+  if (!parts.length) return null;
+  const pct = p => g(p, "probability.percent");
+  const wettest = parts.reduce((a, b) => ((pct(b) ?? -1) > (pct(a) ?? -1) ? b : a));
+  const amounts = parts.map(p => g(p, "qpf.quantity") == null ? null
+    : g(p, "qpf.unit") === "INCHES" ? g(p, "qpf.quantity") * 25.4 : g(p, "qpf.quantity"))
+    .filter(v => v != null);
+  return {
+    probability: { percent: pct(wettest), type: g(wettest, "probability.type") },
+    qpf: amounts.length ? { quantity: amounts.reduce((a, b) => a + b, 0), unit: "MILLIMETERS" } : null
+  };
+}
+
+// Detail-row label for a precipitation object: "Rain", "Snow" or "Precip."
+function precipLabel(precip) {
+  const type = g(precip, "probability.type");
+  if (type === "SNOW") return tr("snow");
+  if (type === "RAIN") return tr("rain");
+  return tr("precipitation");
+}
+
+// "80% · 8,0 mm"; either half is left out when the API doesn't send it
+function fmtPrecip(precip) {
+  const pct = g(precip, "probability.percent");
+  const parts = [];
+  if (pct != null) parts.push(`${Math.round(pct)}%`);
+  if (g(precip, "qpf.quantity") != null) parts.push(fmtPrecipAmount(g(precip, "qpf")));
+  return parts.length ? parts.join(" · ") : "—";
+}
+
+// "Take an umbrella": chance at or above cfg.umbrellaPct (null = never)
+function needsUmbrella(precip, threshold) {
+  const pct = g(precip, "probability.percent");
+  return threshold != null && pct != null && pct >= threshold;
+}
+
+// Google reports pressure in millibars (= hPa)
+function convertPressure(mb) {
+  if (mb == null) return null;
+  switch (units.pressure) {
+    case "INHG": return mb * 0.0295300;
+    case "MMHG": return mb * 0.750062;
+    default: return mb;
+  }
+}
+
+function fmtPressure(mb) {
+  const v = convertPressure(mb);
+  if (v == null) return "—";
+  switch (units.pressure) {
+    case "INHG": return `${fmtNumber(v, 2)} inHg`;
+    case "MMHG": return `${fmtNumber(Math.round(v), 0, false)} mmHg`;
+    default: return `${fmtNumber(Math.round(v), 0, false)} hPa`;
+  }
+}
+
+function degToDir(deg) {
+  if (deg == null || isNaN(deg)) return "";
+  const dirs = ["N","NNE","NE","ENE","E","ESE","SE","SSE",
+                "S","SSW","SW","WSW","W","WNW","NW","NNW"];
+  return dirs[Math.round((deg % 360) / 22.5) % 16];
+}
+
+// ---- Forecast days ----
+// Weekday for a day's displayDate; "Today" / "+N" when the date is missing
+function weekdayLabel(day, i) {
+  const dd = g(day, "displayDate");
+  const weekday = dd && dd.year && dd.month && dd.day ? fmtWeekday(new Date(dd.year, dd.month - 1, dd.day)) : "";
+  return weekday || (i === 0 ? tr("today") : `+${i}`);
+}
+
+function dayCondition(day) {
+  return g(day, "daytimeForecast.weatherCondition") || g(day, "nighttimeForecast.weatherCondition");
+}
+
+// Between today's sunrise and sunset (no sun events → day)
+function isDaytimeNow(today) {
+  const rise = g(today, "sunEvents.sunriseTime");
+  const set = g(today, "sunEvents.sunsetTime");
+  if (!rise || !set) return true;
+  const now = Date.now();
+  return now >= new Date(rise).getTime() && now < new Date(set).getTime();
+}
+
+// ---- Sun and moon (forecast/days sunEvents / moonEvents) ----
+const DAYLENGTH_FILE = "google_weather_daylength.json";
+const MOON_PHASES = {
+  NEW_MOON: ["moonphase.new.moon", "newMoon"],
+  WAXING_CRESCENT: ["moonphase.waxing.crescent", "waxingCrescent"],
+  FIRST_QUARTER: ["moonphase.first.quarter", "firstQuarter"],
+  WAXING_GIBBOUS: ["moonphase.waxing.gibbous", "waxingGibbous"],
+  FULL_MOON: ["moonphase.full.moon", "fullMoon"],
+  WANING_GIBBOUS: ["moonphase.waning.gibbous", "waningGibbous"],
+  LAST_QUARTER: ["moonphase.last.quarter", "lastQuarter"],
+  WANING_CRESCENT: ["moonphase.waning.crescent", "waningCrescent"]
+};
+
+// { sunrise, sunset } as Dates, or null (polar day/night has no sun events)
+function sunTimes(day) {
+  const rise = g(day, "sunEvents.sunriseTime");
+  const set = g(day, "sunEvents.sunsetTime");
+  return rise && set ? { sunrise: new Date(rise), sunset: new Date(set) } : null;
+}
+
+// The first sunrise or sunset after now: { type: "sunrise" | "sunset", at }
+function nextSunEvent(daysArr, now = Date.now()) {
+  for (const day of daysArr || []) {
+    const sun = sunTimes(day);
+    if (!sun) continue;
+    if (sun.sunrise.getTime() > now) return { type: "sunrise", at: sun.sunrise };
+    if (sun.sunset.getTime() > now) return { type: "sunset", at: sun.sunset };
+  }
+  return null;
+}
+
+// Suggested refresh: every cfg.refreshMin, but a minute after the next sunrise or
+// sunset when that comes first, so the day/night look switches on time
+function refreshDate(cfg, daysArr) {
+  const regular = new Date(Date.now() + cfg.refreshMin * 60 * 1000);
+  const next = nextSunEvent(daysArr);
+  return next && next.at < regular ? new Date(next.at.getTime() + 60 * 1000) : regular;
+}
+
+function dateKey(dd) {
+  const pad = n => String(n).padStart(2, "0");
+  return dd && dd.year ? `${dd.year}-${pad(dd.month)}-${pad(dd.day)}` : null;
+}
+
+// Today's day length and its change from yesterday, in minutes: { minutes, change }.
+// Every run records the forecast days' lengths per location in DAYLENGTH_FILE so the
+// next day can compare with a real value for the same place; until then tomorrow's
+// change stands in (they differ by seconds).
+function dayLength(daysArr, loc) {
+  const len = d => {
+    const sun = sunTimes(d);
+    return sun ? Math.round((sun.sunset - sun.sunrise) / 60000) : null;
+  };
+  const today = len(daysArr[0]);
+  if (today == null) return null;
+
+  const fm = FileManager.local();
+  const path = fm.joinPath(fm.documentsDirectory(), DAYLENGTH_FILE);
+  let all = {};
+  try {
+    if (fm.fileExists(path)) all = JSON.parse(fm.readString(path)) || {};
+  } catch (_) {}
+  const locKey = locationKey(loc);
+  const history = { ...all[locKey] };
+
+  const dd = g(daysArr[0], "displayDate");
+  const y = dd ? new Date(Date.UTC(dd.year, dd.month - 1, dd.day - 1)) : null;
+  const yesterday = y ? history[dateKey({ year: y.getUTCFullYear(), month: y.getUTCMonth() + 1, day: y.getUTCDate() })] : null;
+  const tomorrow = len(daysArr[1]);
+  const change = yesterday != null ? today - yesterday : (tomorrow != null ? tomorrow - today : null);
+
+  for (const d of daysArr) {
+    const key = dateKey(g(d, "displayDate"));
+    if (key && len(d) != null) history[key] = len(d);
+  }
+  const kept = Object.keys(history).sort().slice(-20);
+  all[locKey] = Object.fromEntries(kept.map(k => [k, history[k]]));
+  // places only (a file from before they were kept apart has dates at the top)
+  const places = Object.keys(all).filter(k => all[k] && typeof all[k] === "object");
+  try {
+    fm.writeString(path, JSON.stringify(Object.fromEntries(places.map(k => [k, all[k]]))));
+  } catch (_) {}
+
+  return { minutes: today, change };
+}
+
+// "10 h 36 min (−4 min)"
+function fmtDayLength(len) {
+  const text = tr("duration", { h: Math.floor(len.minutes / 60), m: len.minutes % 60 });
+  if (len.change == null) return text;
+  const sign = len.change > 0 ? "+" : len.change < 0 ? "−" : "±";
+  return `${text} (${sign}${tr("minutes", { m: Math.abs(len.change) })})`;
+}
+
+// { symbol, label } for the day's moonEvents.moonPhase, or null
+function moonPhase(day) {
+  const phase = MOON_PHASES[g(day, "moonEvents.moonPhase")];
+  return phase ? { symbol: phase[0], label: tr(phase[1]) } : null;
+}
+
+// ---- Compared to yesterday (history/hours:lookup) ----
+// The history covers the 24 hours before the call. Fetched on the first run after
+// midnight, it holds (nearly) all of yesterday: the hour 24 h ago and the high / low.
+
+// Minutes since local midnight in timeZone (e.g. "Europe/Warsaw"; device zone if unknown)
+function minutesSinceMidnight(timeZone, now = Date.now()) {
+  const opts = { hour: "2-digit", minute: "2-digit", hourCycle: "h23" };
+  let parts;
+  try {
+    parts = new Intl.DateTimeFormat("en-GB", { ...opts, timeZone: timeZone || undefined }).formatToParts(new Date(now));
+  } catch (_) {
+    parts = new Intl.DateTimeFormat("en-GB", opts).formatToParts(new Date(now));
+  }
+  const part = type => Number(parts.find(p => p.type === type).value);
+  return part("hour") * 60 + part("minute");
+}
+
+// { same, high, low } temperature objects for yesterday, or null when the history
+// has no hour 24 h before `now`. Yesterday is that hour's local date.
+function yesterdayTemps(historyHours, now = Date.now()) {
+  const then = now - 24 * 60 * 60 * 1000;
+  const same = (historyHours || []).find(h =>
+    new Date(g(h, "interval.startTime")).getTime() <= then && then < new Date(g(h, "interval.endTime")).getTime());
+  if (!same || g(same, "temperature.degrees") == null) return null;
+
+  const day = dateKey(g(same, "displayDateTime"));
+  const temps = historyHours
+    .filter(h => dateKey(g(h, "displayDateTime")) === day && g(h, "temperature.degrees") != null)
+    .map(h => g(h, "temperature"));
+  const byC = (a, b) => parseTempC(a) - parseTempC(b);
+  temps.sort(byC);
+  return { same: g(same, "temperature"), high: temps[temps.length - 1], low: temps[0] };
+}
+
+// "+4°", "−2°", "±0°": difference of the two temperatures as they are displayed
+function fmtTempDelta(tempObj, yesterdayObj) {
+  const now = convertTemp(tempObj);
+  const then = convertTemp(yesterdayObj);
+  if (now == null || then == null) return null;
+  const d = Math.round(now) - Math.round(then);
+  const sign = d > 0 ? "+" : d < 0 ? "−" : "±";
+  return `${sign}${fmtNumber(Math.abs(d))}°`;
+}
+
+// ---- Weather notifications (rules) ----
+// Rules in Documents/google_weather_rules.json, shared by all scripts:
+//   { "quiet": "22:00-07:00",
+//     "rules": [{ "when": "rain", "above": 60 }, { "when": "low", "below": 0 },
+//               { "when": "gust", "above": 50 }, { "when": "drop", "above": 8, "repeat": 6 }] }
+// `when`: temp (now), low (tonight), high (today), rain (highest chance in the next 24 h,
+// or today's from a daily forecast), precip (amount in the next 24 h or today), wind,
+// gust (strongest, now or in the next 24 h), uv, drop / rise (since the previous check).
+// temp, drop and rise come from current conditions only, rain and precip from a forecast only.
+// Thresholds are in °C, km/h, mm and %, whatever the display units. After each successful
+// fetch a script checks the rules it has values for (weatherFacts). A rule notifies when it
+// starts to hold, then again only every `repeat` hours (NOTIFY_REPEAT_H) while it keeps
+// holding. Inside quiet hours the notification is scheduled for their end. Scripts with
+// other data can disagree on a value (the hourly forecast's rain against the daily one's),
+// so that state is kept per source: one script can't clear what another one fired.
+const RULES_FILE = "google_weather_rules.json";
+const NOTIFY_STATE_FILE = "google_weather_notify.json";
+const NOTIFY_REPEAT_H = 12;
+
+// Temperature difference in the display unit: "8°"
+const fmtTempDiff = c => `${fmtNumber(Math.round(units.temp === "F" ? c * 9 / 5 : c))}°`;
+const celsius = c => fmtTemp({ degrees: c, unit: "CELSIUS" });
+const kmh = v => fmtSpeed({ value: v, unit: "KILOMETERS_PER_HOUR" });
+
+// `when` → [message string, value formatter]
+const RULE_METRICS = {
+  temp: ["notifyTemp", celsius],
+  low: ["notifyLow", celsius],
+  high: ["notifyHigh", celsius],
+  rain: ["notifyRain", v => `${Math.round(v)}%`],
+  precip: ["notifyPrecip", v => fmtPrecipAmount({ quantity: v, unit: "MILLIMETERS" })],
+  wind: ["notifyWind", kmh],
+  gust: ["notifyGust", kmh],
+  uv: ["notifyUv", v => fmtNumber(v)],
+  drop: ["notifyDrop", fmtTempDiff],
+  rise: ["notifyRise", fmtTempDiff]
+};
+
+function ruleProblem(r) {
+  if (!r || typeof r !== "object") return "not an object";
+  if (!RULE_METRICS[r.when]) return `"when" must be one of ${Object.keys(RULE_METRICS).join(", ")}`;
+  if ((typeof r.above === "number") === (typeof r.below === "number")) return "needs a number in either \"above\" or \"below\"";
+  if (r.repeat != null && !(r.repeat > 0)) return "\"repeat\" must be a number of hours";
+  return null;
+}
+
+// "22:00-07:00" or "22-7" → { from, to } in minutes after midnight
+function parseQuietHours(s) {
+  const m = String(s).trim().match(/^(\d{1,2})(?::(\d{2}))?\s*-\s*(\d{1,2})(?::(\d{2}))?$/);
+  if (!m || +m[1] > 23 || +m[3] > 23 || +(m[2] || 0) > 59 || +(m[4] || 0) > 59) return null;
+  return { from: +m[1] * 60 + +(m[2] || 0), to: +m[3] * 60 + +(m[4] || 0) };
+}
+
+// { rules, quiet } from RULES_FILE, or null without one. Broken rules are left out
+// with a warning so the others still work.
+function readRules() {
+  const fm = FileManager.local();
+  const path = fm.joinPath(fm.documentsDirectory(), RULES_FILE);
+  if (!fm.fileExists(path)) return null;
+  let obj;
+  try {
+    obj = JSON.parse(fm.readString(path));
+  } catch (err) {
+    console.warn(`Ignoring ${RULES_FILE}: ${err.message}`);
+    return null;
+  }
+
+  const rules = [];
+  (Array.isArray(g(obj, "rules")) ? obj.rules : []).forEach((r, i) => {
+    const problem = ruleProblem(r);
+    if (problem) console.warn(`Ignoring rule ${i + 1} in ${RULES_FILE}: ${problem}`);
+    else rules.push({ ...r, id: r.id || `${r.when}${r.above != null ? `>${r.above}` : `<${r.below}`}` });
+  });
+  const quiet = g(obj, "quiet") ? parseQuietHours(obj.quiet) : null;
+  if (g(obj, "quiet") && !quiet) console.warn(`Ignoring quiet hours in ${RULES_FILE}: "${obj.quiet}"`);
+  return { rules, quiet };
+}
+
+// End of the quiet hours `now` falls into (device time), or null outside them
+function quietEnd(quiet, now = new Date()) {
+  if (!quiet || quiet.from === quiet.to) return null;
+  const m = now.getHours() * 60 + now.getMinutes();
+  const inside = quiet.from < quiet.to ? m >= quiet.from && m < quiet.to : m >= quiet.from || m < quiet.to;
+  if (!inside) return null;
+  const end = new Date(now);
+  end.setHours(Math.floor(quiet.to / 60), quiet.to % 60, 0, 0);
+  if (end <= now) end.setDate(end.getDate() + 1);
+  return end;
+}
+
+// Rule values (°C, km/h, mm, %) from whatever a script fetched: current conditions,
+// forecast days and / or upcoming forecast hours. Values it can't know are left out.
+// `from` names the data behind each value ("current", "days", "hours", or e.g.
+// "current+days" for a maximum over both).
+function weatherFacts({ current = null, days = [], hours = [] } = {}) {
+  const next = (hours || []).slice(0, 24);
+  const today = (days || [])[0] || null;
+  const known = vals => vals.filter(v => v != null);
+  const max = vals => (known(vals).length ? Math.max(...known(vals)) : null);
+  const min = vals => (known(vals).length ? Math.min(...known(vals)) : null);
+  const speed = s => (g(s, "value") == null ? null
+    : g(s, "value") * (SPEED_TO_MS[g(s, "unit")] || SPEED_TO_MS.KILOMETERS_PER_HOUR) * 3.6);
+  const mm = q => (g(q, "quantity") == null ? null : g(q, "unit") === "INCHES" ? q.quantity * 25.4 : q.quantity);
+  const hourTemps = daytime => next.filter(h => g(h, "isDaytime") === daytime).map(h => parseTempC(g(h, "temperature")));
+  const parts = [g(today, "daytimeForecast"), g(today, "nighttimeForecast")];
+  const dayPrecip = dayPrecipitation(today);
+  const amounts = known(next.map(h => mm(g(h, "precipitation.qpf"))));
+
+  // [value, source]: the first one with a value
+  const first = (...options) => options.find(([v]) => v != null) || [null];
+  const forecast = next.length ? "hours" : "days";
+  const every = [current && "current", next.length && "hours", today && "days"].filter(Boolean).join("+");
+
+  const facts = {
+    temp: first([parseTempC(g(current, "temperature")), "current"]),
+    low: first([parseTempC(g(today, "minTemperature")), "days"], [min(hourTemps(false)), "hours"]),
+    high: first([parseTempC(g(today, "maxTemperature")), "days"], [max(hourTemps(true)), "hours"]),
+    rain: first([max(next.map(h => g(h, "precipitation.probability.percent"))), "hours"],
+      [g(dayPrecip, "probability.percent"), "days"]),
+    precip: first([amounts.length ? amounts.reduce((a, b) => a + b, 0) : null, "hours"], [mm(g(dayPrecip, "qpf")), "days"]),
+    wind: first([speed(g(current, "wind.speed")), "current"],
+      [max([...next, ...parts].map(x => speed(g(x, "wind.speed")))), forecast]),
+    gust: first([max([current, ...next, ...parts].map(x => speed(g(x, "wind.gust")))), every]),
+    uv: first([g(current, "uvIndex"), "current"], [g(today, "daytimeForecast.uvIndex"), "days"],
+      [max(next.map(h => g(h, "uvIndex"))), "hours"])
+  };
+  const found = Object.entries(facts).filter(([, [v]]) => v != null);
+  return {
+    ...Object.fromEntries(found.map(([k, [v]]) => [k, v])),
+    from: Object.fromEntries(found.map(([k, [, src]]) => [k, src]))
+  };
+}
+
+// Checks the rules against `facts` for the location and schedules a Notification
+// for each one that fires. State (last temperature, when each rule last notified,
+// per source in facts.from) is kept per location in NOTIFY_STATE_FILE. Never throws: a failing notification
+// must not cost the widget.
+async function notifyRules(facts, loc, placeName) {
+  try {
+    const setup = readRules();
+    if (!setup || !setup.rules.length) return;
+    const fm = FileManager.local();
+    const statePath = fm.joinPath(fm.documentsDirectory(), NOTIFY_STATE_FILE);
+    let all = {};
+    try {
+      if (fm.fileExists(statePath)) all = JSON.parse(fm.readString(statePath)) || {};
+    } catch (_) {}
+    const locKey = locationKey(loc);
+    const state = { fired: {}, ...all[locKey] };
+
+    const { from = {}, ...values } = facts;
+    if (facts.temp != null && state.temp != null) {
+      values.drop = state.temp - facts.temp;
+      values.rise = facts.temp - state.temp;
+    }
+    const now = new Date();
+    for (const rule of setup.rules) {
+      const v = values[rule.when];
+      if (v == null) continue;
+      // drop / rise follow temp
+      const source = from[rule.when === "drop" || rule.when === "rise" ? "temp" : rule.when];
+      const stateKey = source ? `${rule.id}@${source}` : rule.id;
+      const id = `google_weather_${locKey}_${stateKey}`;
+      const holds = rule.above != null ? v > rule.above : v < rule.below;
+      if (!holds) {
+        // cleared: fire again next time it holds, and drop a notification still waiting for quiet hours to end
+        if (state.fired[stateKey]) {
+          delete state.fired[stateKey];
+          await Notification.removePending([id]);
+        }
+        continue;
+      }
+      if (now - (state.fired[stateKey] || 0) < (rule.repeat || NOTIFY_REPEAT_H) * 60 * 60 * 1000) continue;
+
+      const [key, fmt] = RULE_METRICS[rule.when];
+      const n = new Notification();
+      n.identifier = id;
+      n.threadIdentifier = "google_weather";
+      n.title = placeName || tr("currentLocation");
+      n.body = rule.message ? String(rule.message).replace(/\{v\}/g, fmt(v)) : tr(key, { v: fmt(v) });
+      const later = quietEnd(setup.quiet, now);
+      if (later) n.setTriggerDate(later);
+      await n.schedule();
+      state.fired[stateKey] = now.getTime();
+    }
+
+    if (facts.temp != null) state.temp = facts.temp;
+    all[locKey] = state;
+    fm.writeString(statePath, JSON.stringify(all));
+  } catch (err) {
+    console.warn(`Notifications failed: ${err.message}`);
+  }
+}
+
+// ---- Public weather alerts (publicAlerts:lookup) ----
+// Official warnings for the location, in their own cache (cfg.alertsCacheMin) per
+// location and parameter set. A failed request only hides the banner. Severe and extreme alerts also
+// switch the background to the theme's alert palette.
+const ALERTS_CACHE_NAME = "google_weather_alerts_cache";
+const ALERT_SEVERITIES = ["EXTREME", "SEVERE", "MODERATE", "MINOR", "UNKNOWN"];
+// severity → [banner, text]
+const ALERT_COLORS = {
+  EXTREME: ["#8b0000", "#ffffff"],
+  SEVERE: ["#d32f2f", "#ffffff"],
+  MODERATE: ["#f57c00", "#ffffff"],
+  MINOR: ["#fbc02d", "#1c1c1e"],
+  UNKNOWN: ["#8e8e93", "#ffffff"]
+};
+
+function alertSeverity(alert) {
+  const s = g(alert, "severity");
+  return ALERT_SEVERITIES.includes(s) ? s : "UNKNOWN";
+}
+
+function hasSevereAlert(alerts) {
+  return (alerts || []).some(a => ["EXTREME", "SEVERE"].includes(alertSeverity(a)));
+}
+
+// "Severe: Strong wind warning"
+function alertHeadline(alert) {
+  const label = tr(`alert${alertSeverity(alert).charAt(0)}${alertSeverity(alert).slice(1).toLowerCase()}`);
+  return `${label}: ${g(alert, "alertTitle.text") || g(alert, "eventType") || "—"}`;
+}
+
+// Alerts that haven't expired (a cached response may hold old ones), most severe first
+function activeAlerts(alerts, now = Date.now()) {
+  return (alerts || [])
+    .filter(a => !g(a, "expirationTime") || new Date(a.expirationTime).getTime() > now)
+    .sort((a, b) => ALERT_SEVERITIES.indexOf(alertSeverity(a)) - ALERT_SEVERITIES.indexOf(alertSeverity(b)));
+}
+
+async function fetchAlerts(cfg, apiKey, loc) {
+  if (!cfg.alerts) return [];
+  try {
+    const result = await cachedFetch(placeCacheConfig(cfg, cfg.alertsCacheMin, loc), ALERTS_CACHE_NAME,
+      () => loadJSON(weatherUrl("publicAlerts:lookup", apiKey, loc.latitude, loc.longitude, cfg)));
+    return activeAlerts(g(result.data, "weatherAlerts", []));
+  } catch (err) {
+    console.warn(`Weather alerts unavailable: ${err}`);
+    return [];
+  }
+}
+
+// Start / expiry in the device's time zone: "Mon 19 Oct, 18:00"
+function fmtAlertTime(iso) {
+  if (!iso) return "—";
+  return new Date(iso).toLocaleString(localeTag(), { weekday: "short", day: "numeric", month: "short", ...clockOptions() });
+}
+
+// Banner for the most severe alert, "+N" for the others. A tap opens all of them
+// (?view=alerts). Not on the lock screen.
+function addAlertBanner(w, alerts, cfg, family) {
+  if (!alerts || !alerts.length || isAccessory(family)) return null;
+  const [bg, fg] = ALERT_COLORS[alertSeverity(alerts[0])];
+  const fontSize = family === "small" ? 9 : 11;
+
+  const banner = w.addStack();
+  banner.layoutHorizontally();
+  banner.centerAlignContent();
+  banner.backgroundColor = new Color(bg);
+  banner.cornerRadius = 6;
+  banner.setPadding(2, 6, 2, 6);
+  const url = itemUrl(cfg, { view: "alerts" });
+  if (url) banner.url = url;
+
+  const sym = addSymbol(banner, "exclamationmark.triangle.fill", fontSize);
+  sym.tintColor = new Color(fg);
+  banner.addSpacer(4);
+  const more = alerts.length > 1 ? ` +${alerts.length - 1}` : "";
+  const t = banner.addText(`${alertHeadline(alerts[0])}${more}`);
+  t.font = Font.semiboldSystemFont(fontSize);
+  t.textColor = new Color(fg);
+  t.lineLimit = 1;
+  t.minimumScaleFactor = 0.7;
+  banner.addSpacer();
+  w.addSpacer(4);
+  return banner;
+}
+
+// The in-app view behind the banner: every active alert in full
+async function showAlerts(cfg, apiKey, loc) {
+  const alerts = await fetchAlerts({ ...cfg, alerts: true }, apiKey, loc);
+  const rows = alerts.flatMap(a => [
+    [alertHeadline(a)],
+    [tr("area"), g(a, "areaName") || "—"],
+    [tr("alertFrom"), fmtAlertTime(g(a, "startTime"))],
+    [tr("alertUntil"), fmtAlertTime(g(a, "expirationTime"))],
+    [tr("issuedBy"), g(a, "dataSource.name") || g(a, "dataSource.publisher") || "—"],
+    ...(g(a, "description") ? [[null, a.description]] : []),
+    ...(g(a, "instruction", []) || []).map(text => [null, text])
+  ]);
+  await presentDetails(tr("alerts"), alerts.length ? rows : [[tr("noAlerts")]]);
+}
+
+// ---- Air quality and pollen ----
+// Air Quality currentConditions:lookup (POST) and Pollen forecast:lookup, called with the
+// weather API key (both APIs must be enabled for it) and only when a detail slot shows
+// them. Each has its own cache (cfg.airCacheMin, cfg.pollenCacheMin) per location and
+// parameter set; a failed source only leaves its slots out.
+const AIR_CACHE_NAME = "google_weather_air_cache";
+const POLLEN_CACHE_NAME = "google_weather_pollen_cache";
+const AIR_SLOTS = ["aqi", "pollutant"];
+const POLLEN_SLOTS = ["grass", "tree", "weed"];
+// dominantPollutant code → label
+const POLLUTANT_LABELS = { pm25: "PM2.5", pm10: "PM10", o3: "O₃", no2: "NO₂", so2: "SO₂", co: "CO" };
+
+function showsSlots(cfg, ids) {
+  return (cfg.details || []).some(id => ids.includes(id));
+}
+
+// { red, green, blue } in 0–1 (zero components are left out) → "#rrggbb"
+function apiColor(c) {
+  if (!c) return null;
+  const hex = k => Math.round(Math.min(1, Math.max(0, c[k] || 0)) * 255).toString(16).padStart(2, "0");
+  return `#${hex("red")}${hex("green")}${hex("blue")}`;
+}
+
+async function fetchAirQuality(cfg, apiKey, loc) {
+  if (!showsSlots(cfg, AIR_SLOTS)) return null;
+  try {
+    const result = await cachedFetch(placeCacheConfig(cfg, cfg.airCacheMin, loc), AIR_CACHE_NAME,
+      () => loadJSON(`${AIR_QUALITY_API}/currentConditions:lookup?key=${encodeURIComponent(apiKey)}`, {
+        location: { latitude: loc.latitude, longitude: loc.longitude },
+        languageCode: cfg.language
+      }));
+    return result.data;
+  } catch (err) {
+    console.warn(`Air quality unavailable: ${err}`);
+    return null;
+  }
+}
+
+// Today's entry of a pollen forecast (dates are the location's), or null
+function pollenToday(data, now = new Date()) {
+  return g(data, "dailyInfo", []).find(d => g(d, "date.year") === now.getFullYear() &&
+    g(d, "date.month") === now.getMonth() + 1 && g(d, "date.day") === now.getDate()) || null;
+}
+
+// A cached forecast from an earlier day is fetched again whatever its age
+async function fetchPollen(cfg, apiKey, loc) {
+  if (!showsSlots(cfg, POLLEN_SLOTS)) return null;
+  try {
+    const params = [
+      `key=${encodeURIComponent(apiKey)}`,
+      `location.latitude=${encodeURIComponent(loc.latitude)}`,
+      `location.longitude=${encodeURIComponent(loc.longitude)}`,
+      "days=1",
+      "plantsDescription=false",
+      `languageCode=${encodeURIComponent(cfg.language)}`
+    ].join("&");
+    const result = await cachedFetch(placeCacheConfig(cfg, cfg.pollenCacheMin, loc), POLLEN_CACHE_NAME,
+      () => loadJSON(`${POLLEN_API}/forecast:lookup?${params}`),
+      cached => pollenToday(cached) != null);
+    return pollenToday(result.data);
+  } catch (err) {
+    console.warn(`Pollen unavailable: ${err}`);
+    return null;
+  }
+}
+
+// Detail slots from the two sources (see detailSlots in the scripts): AQI with a symbol in
+// its category colour, the dominant pollutant, and today's pollen category per plant type.
+// Slots without data are left out.
+function airSlots(air, pollenDay) {
+  const indexes = g(air, "indexes", []);
+  const aqi = indexes.find(i => i.code === "uaqi") || indexes[0];
+  const pollutant = g(aqi, "dominantPollutant");
+  const pollen = code => {
+    const info = g(pollenDay, "pollenTypeInfo", []).find(p => p.code === code);
+    // types out of season come without an index
+    return info ? [tr(code.toLowerCase()), g(info, "indexInfo.category") || "—"] : null;
+  };
+  return {
+    aqi: aqi ? [tr("aqi"), g(aqi, "aqiDisplay") || String(g(aqi, "aqi", "—")), false, "aqi.medium", apiColor(g(aqi, "color"))] : null,
+    pollutant: pollutant ? [tr("pollutant"), POLLUTANT_LABELS[pollutant] || pollutant.toUpperCase()] : null,
+    grass: pollen("GRASS"),
+    tree: pollen("TREE"),
+    weed: pollen("WEED")
+  };
+}
+
+// ---- Detail slots ----
+// Ids for DETAILS / `details=`; each script fills the ones it has data for.
+const DETAIL_SLOTS = [
+  "feels", "humidity", "wind", "precip", "sunrise", "sunset", "countdown", "daylength", "moon",
+  ...AIR_SLOTS, ...POLLEN_SLOTS
+];
+
+// ---- Condition → SF Symbol ----
+// Every documented weatherCondition.type (WeatherCondition.Type in the API
+// reference) → [day, night] symbol.
+const CONDITION_SYMBOLS = {
+  CLEAR: ["sun.max.fill", "moon.stars.fill"],
+  MOSTLY_CLEAR: ["sun.min.fill", "moon.fill"],
+  PARTLY_CLOUDY: ["cloud.sun.fill", "cloud.moon.fill"],
+  MOSTLY_CLOUDY: ["cloud.fill", "cloud.fill"],
+  CLOUDY: ["smoke.fill", "smoke.fill"],
+
+  WINDY: ["wind", "wind"],
+  WIND_AND_RAIN: ["cloud.rain.fill", "cloud.rain.fill"],
+
+  LIGHT_RAIN_SHOWERS: ["cloud.sun.rain.fill", "cloud.moon.rain.fill"],
+  CHANCE_OF_SHOWERS: ["cloud.sun.rain.fill", "cloud.moon.rain.fill"],
+  SCATTERED_SHOWERS: ["cloud.sun.rain.fill", "cloud.moon.rain.fill"],
+  RAIN_SHOWERS: ["cloud.rain.fill", "cloud.rain.fill"],
+  HEAVY_RAIN_SHOWERS: ["cloud.heavyrain.fill", "cloud.heavyrain.fill"],
+  LIGHT_RAIN: ["cloud.drizzle.fill", "cloud.drizzle.fill"],
+  LIGHT_TO_MODERATE_RAIN: ["cloud.rain.fill", "cloud.rain.fill"],
+  RAIN: ["cloud.rain.fill", "cloud.rain.fill"],
+  MODERATE_TO_HEAVY_RAIN: ["cloud.heavyrain.fill", "cloud.heavyrain.fill"],
+  HEAVY_RAIN: ["cloud.heavyrain.fill", "cloud.heavyrain.fill"],
+  RAIN_PERIODICALLY_HEAVY: ["cloud.heavyrain.fill", "cloud.heavyrain.fill"],
+
+  LIGHT_SNOW_SHOWERS: ["cloud.snow", "cloud.snow"],
+  CHANCE_OF_SNOW_SHOWERS: ["cloud.snow", "cloud.snow"],
+  SCATTERED_SNOW_SHOWERS: ["cloud.snow", "cloud.snow"],
+  LIGHT_SNOW: ["cloud.snow", "cloud.snow"],
+  LIGHT_TO_MODERATE_SNOW: ["cloud.snow", "cloud.snow"],
+  SNOW_SHOWERS: ["cloud.snow.fill", "cloud.snow.fill"],
+  SNOW: ["cloud.snow.fill", "cloud.snow.fill"],
+  HEAVY_SNOW_SHOWERS: ["snowflake", "snowflake"],
+  MODERATE_TO_HEAVY_SNOW: ["snowflake", "snowflake"],
+  HEAVY_SNOW: ["snowflake", "snowflake"],
+  SNOW_PERIODICALLY_HEAVY: ["snowflake", "snowflake"],
+  SNOWSTORM: ["wind.snow", "wind.snow"],
+  HEAVY_SNOW_STORM: ["wind.snow", "wind.snow"],
+  BLOWING_SNOW: ["wind.snow", "wind.snow"],
+  RAIN_AND_SNOW: ["cloud.sleet.fill", "cloud.sleet.fill"],
+
+  HAIL: ["cloud.hail.fill", "cloud.hail.fill"],
+  HAIL_SHOWERS: ["cloud.hail.fill", "cloud.hail.fill"],
+
+  THUNDERSTORM: ["cloud.bolt.rain.fill", "cloud.bolt.rain.fill"],
+  THUNDERSHOWER: ["cloud.bolt.rain.fill", "cloud.bolt.rain.fill"],
+  LIGHT_THUNDERSTORM_RAIN: ["cloud.bolt.rain", "cloud.bolt.rain"],
+  SCATTERED_THUNDERSTORMS: ["cloud.sun.bolt.fill", "cloud.moon.bolt.fill"],
+  HEAVY_THUNDERSTORM: ["cloud.bolt.fill", "cloud.bolt.fill"]
+};
+
+const reportedTypes = new Set();
+
+function pickSymbol(weatherCondition, isDaytime) {
+  const t = getConditionType(weatherCondition);
+  const day = !!isDaytime;
+  if (CONDITION_SYMBOLS[t]) return CONDITION_SYMBOLS[t][day ? 0 : 1];
+
+  // Unknown type (or none): say so in the app's log, then try the English
+  // description before falling back to sun/moon.
+  if (t && t !== "TYPE_UNSPECIFIED" && !reportedTypes.has(t)) {
+    reportedTypes.add(t);
+    console.warn(`Unknown weather condition type "${t}" (${normalizeConditionText(weatherCondition) || "no description"})`);
+  }
+  const desc = (normalizeConditionText(weatherCondition) || "").toLowerCase();
+  if (desc.includes("storm") || desc.includes("thunder")) return "cloud.bolt.rain.fill";
+  if (desc.includes("snow") || desc.includes("sleet")) return "cloud.snow.fill";
+  if (desc.includes("rain") || desc.includes("drizzle")) return "cloud.rain.fill";
+  if (desc.includes("fog") || desc.includes("mist") || desc.includes("haze")) return "cloud.fog.fill";
+  if (desc.includes("cloud") || desc.includes("overcast")) return day ? "cloud.sun.fill" : "cloud.moon.fill";
+
+  return day ? "sun.max.fill" : "moon.stars.fill";
+}
+
+// ---- Charts (DrawContext) ----
+// A chart is a row of equal slots { temp, pct, night, label }: temp is an API
+// temperature object, pct the chance of precipitation. Days give two slots each
+// (daytime max, nighttime min), hours one each.
+const CHART_MODES = ["off", "days", "hours"];
+const CHART_SIZES = {   // points, per widget family
+  medium: [310, 62],
+  large: [320, 150],
+  extraLarge: [680, 150]
+};
+
+function chartSize(family) {
+  return CHART_SIZES[family] || CHART_SIZES.medium;
+}
+
+function chartSlotsFromDays(daysArr, count) {
+  const slots = [];
+  daysArr.slice(0, count).forEach((d, i) => {
+    slots.push({
+      temp: g(d, "maxTemperature"),
+      pct: g(d, "daytimeForecast.precipitation.probability.percent"),
+      night: false,
+      label: weekdayLabel(d, i)
+    });
+    slots.push({
+      temp: g(d, "minTemperature"),
+      pct: g(d, "nighttimeForecast.precipitation.probability.percent"),
+      night: true,
+      label: null
+    });
+  });
+  return slots;
+}
+
+// Drop hours that already ended (a stale cache can hold hours from before now)
+function upcomingHours(hoursArr) {
+  const now = Date.now();
+  return hoursArr.filter(h => {
+    const end = g(h, "interval.endTime");
+    return !end || new Date(end).getTime() > now;
+  });
+}
+
+// displayDateTime is already the location's local time
+function chartSlotsFromHours(hoursArr, count) {
+  return hoursArr.slice(0, count).map(h => {
+    const dt = g(h, "displayDateTime");
+    return {
+      temp: g(h, "temperature"),
+      pct: g(h, "precipitation.probability.percent"),
+      night: g(h, "isDaytime") === false,
+      label: dt && dt.hours != null ? fmtTime(dt.hours, dt.minutes || 0) : null
+    };
+  });
+}
+
+// Night shading, precipitation bars (full height = 100%) and the temperature line,
+// with temperature labels in the preferred unit on the left and slot labels below
+function drawChart(slots, [width, height]) {
+  const ctx = new DrawContext();
+  ctx.size = new Size(width, height);
+  ctx.opaque = false;
+  ctx.respectScreenScale = true;
+
+  const axisW = 30;
+  const labelH = 12;
+  const plot = { x: axisW, y: 2, w: width - axisW, h: height - labelH - 2 };
+  const step = plot.w / Math.max(1, slots.length);
+  const xAt = i => plot.x + step * (i + 0.5);
+
+  ctx.setFillColor(imageColor("text", 0.1));
+  slots.forEach((s, i) => {
+    if (s.night) ctx.fillRect(new Rect(plot.x + step * i, plot.y, step, plot.h));
+  });
+
+  ctx.setFillColor(imageColor("accent", 0.6));
+  slots.forEach((s, i) => {
+    if (!s.pct) return;
+    const h = plot.h * Math.min(100, s.pct) / 100;
+    ctx.fillRect(new Rect(xAt(i) - step * 0.3, plot.y + plot.h - h, step * 0.6, h));
+  });
+
+  ctx.setFont(Font.systemFont(9));
+  ctx.setTextColor(imageColor("muted"));
+
+  const temps = slots.map(s => convertTemp(s.temp));
+  const known = temps.filter(v => v != null);
+  if (known.length) {
+    const lo = Math.floor(Math.min(...known));
+    const hi = Math.max(Math.ceil(Math.max(...known)), lo + 4);  // small swings don't fill the chart
+    const yAt = v => plot.y + 5 + (plot.h - 10) * (hi - v) / (hi - lo);
+
+    const path = new Path();
+    let started = false;
+    temps.forEach((v, i) => {
+      if (v == null) return;
+      const p = new Point(xAt(i), yAt(v));
+      if (started) path.addLine(p);
+      else path.move(p);
+      started = true;
+    });
+    ctx.addPath(path);
+    ctx.setStrokeColor(imageColor("text"));
+    ctx.setLineWidth(2);
+    ctx.strokePath();
+
+    ctx.setTextAlignedRight();
+    for (const v of [hi, lo]) {
+      ctx.drawTextInRect(`${fmtNumber(v)}°${units.temp}`, new Rect(0, yAt(v) - 6, axisW - 4, 12));
+    }
+  }
+
+  // slot labels, skipping any that would overlap the previous one
+  ctx.setTextAlignedLeft();
+  let lastX = -Infinity;
+  slots.forEach((s, i) => {
+    const x = plot.x + step * i;
+    if (!s.label || x - lastX < 34) return;
+    ctx.drawTextInRect(s.label, new Rect(x + 1, height - labelH, 40, labelH));
+    lastX = x;
+  });
+
+  return ctx.getImage();
+}
+
+// Adds the chart image to a widget stack at its drawn size
+function addChart(stack, image, [width, height]) {
+  const img = stack.addImage(image);
+  img.imageSize = new Size(width, height);
+  img.centerAlignImage();
+  return img;
+}
+
+// ---- Themes ----
+// A theme sets the text colours and the background. Backgrounds, first match wins:
+//   alert (a severe or extreme weather alert) → conditions[group] (storm / snow / fog / rain)
+//   → night → temperature stops.
+// stops: [°C, top colour, bottom colour], sorted by °C; colours in between are
+// interpolated, colours outside the range clamp to the nearest stop.
+const THEME_FILE = "google_weather_theme.json";
+const THEMES = {
+  classic: {
+    text: "#ffffff", secondary: "#f5f5f7", muted: "#dddddd", accent: "#cfe8ff", updated: "#eaeaea",
+    stops: [[0, "#1e3c72", "#2a5298"], [10, "#2b4f9e", "#2a5ad0"], [17, "#396afc", "#2948ff"],
+      [24, "#ff7b39", "#f0463c"], [32, "#ff512f", "#dd2476"]],
+    night: ["#0f2027", "#203a43"],
+    alert: ["#5f0f0f", "#9b1c1c"],
+    conditions: {
+      storm: ["#232526", "#414345"],
+      snow: ["#4b6cb7", "#7f9cc9"],
+      fog: ["#606c88", "#3f4c6b"]
+    }
+  },
+  light: {
+    text: "#1c1c1e", secondary: "#3a3a3c", muted: "#636366", accent: "#0a60c2", updated: "#48484a",
+    stops: [[0, "#dbe9f9", "#b8d4f2"], [17, "#e8f4ff", "#cfe6fb"], [32, "#fff1e0", "#ffd6b0"]],
+    night: ["#d7dce8", "#b9c1d4"],
+    alert: ["#ffe1dc", "#ffc2b8"],
+    conditions: {
+      storm: ["#c9ccd3", "#a9adb6"],
+      snow: ["#f4f8fc", "#dfe9f3"],
+      fog: ["#e4e6ea", "#cdd1d7"]
+    }
+  },
+  dark: {
+    text: "#f2f2f7", secondary: "#e5e5ea", muted: "#aeaeb2", accent: "#64d2ff", updated: "#c7c7cc",
+    stops: [[0, "#0b1a33", "#13294b"], [17, "#102a43", "#1b3a57"], [32, "#3a1c1c", "#5a2323"]],
+    night: ["#000000", "#1c1c1e"],
+    alert: ["#2a0a0a", "#4a1212"],
+    conditions: {
+      storm: ["#111114", "#26262b"],
+      snow: ["#1d2733", "#2c3a4a"],
+      fog: ["#1f1f24", "#2e2e35"]
+    }
+  }
+};
+const THEME_NAMES = [...Object.keys(THEMES), "auto", "custom"];
+
+// Condition type → palette group used by theme.conditions
+const CONDITION_GROUPS = [
+  ["storm", /THUNDER|HAIL/],
+  ["snow", /SNOW/],
+  ["fog", /FOG|MIST|HAZE/],
+  ["rain", /RAIN|SHOWER|DRIZZLE/]
+];
+
+let theme = THEMES.classic;
+
+// "auto" follows dark mode: a widget gets dynamic light / dark colours, as
+// Device.isUsingDarkAppearance() doesn't work in widgets and the appearance may change
+// while the widget is on screen; the in-app preview asks the device. "custom" reads
+// THEME_FILE from Documents: { "base": "dark", "accent": "#ffd60a", "stops": [...], ... }
+function setTheme(name) {
+  const key = String(name || "classic").toLowerCase();
+  if (key === "auto" && config.runsInWidget) {
+    theme = { ...THEMES.light, darkVariant: THEMES.dark };
+  } else if (key === "auto") {
+    theme = Device.isUsingDarkAppearance() ? THEMES.dark : THEMES.light;
+  } else if (key === "custom") {
+    theme = readCustomTheme();
+  } else {
+    theme = THEMES[key] || THEMES.classic;
+  }
+  return theme;
+}
+
+function readCustomTheme() {
+  const fm = FileManager.local();
+  const path = fm.joinPath(fm.documentsDirectory(), THEME_FILE);
+  if (!fm.fileExists(path)) throw new Error(`theme=custom needs ${THEME_FILE} in Scriptable's Documents folder`);
+  let custom;
+  try {
+    custom = JSON.parse(fm.readString(path));
+  } catch (e) {
+    throw new Error(`${THEME_FILE} is not valid JSON: ${e.message}`);
+  }
+  const base = THEMES[String(custom.base || "classic").toLowerCase()] || THEMES.classic;
+  const merged = { ...base, ...custom, conditions: { ...base.conditions, ...(custom.conditions || {}) } };
+  merged.stops = [...merged.stops].sort((a, b) => a[0] - b[0]);
+  return merged;
+}
+
+// Text and tint colours: "text", "secondary", "muted", "accent", "updated"
+function themeColor(role, alpha = 1) {
+  const color = t => new Color(t[role] || t.text, alpha);
+  return theme.darkVariant ? Color.dynamic(color(theme), color(theme.darkVariant)) : color(theme);
+}
+
+// Colours for DrawContext images (the chart). A drawing bakes its colours in and can't
+// follow the appearance like dynamic ones, so the auto theme draws with IMAGE_PALETTE,
+// readable on its light and its dark backgrounds.
+const IMAGE_PALETTE = { text: "#8e8e93", accent: "#0a84ff" };
+function imageColor(role, alpha = 1) {
+  if (!theme.darkVariant) return themeColor(role, alpha);
+  return new Color(IMAGE_PALETTE[role] || IMAGE_PALETTE.text, alpha);
+}
+
+function conditionGroup(weatherCondition) {
+  const type = getConditionType(weatherCondition) || "";
+  const found = CONDITION_GROUPS.find(([, re]) => re.test(type));
+  return found ? found[0] : null;
+}
+
+function hexToRgb(hex) {
+  const h = String(hex).replace(/^#/, "");
+  return [0, 2, 4].map(i => parseInt(h.slice(i, i + 2), 16));
+}
+
+function mixHex(a, b, f) {
+  const [ca, cb] = [hexToRgb(a), hexToRgb(b)];
+  return `#${ca.map((v, i) => Math.round(v + (cb[i] - v) * f).toString(16).padStart(2, "0")).join("")}`;
+}
+
+// [top, bottom] hex colours for a temperature on the theme's stops
+function tempColors(tempC, stops = theme.stops) {
+  if (tempC == null) return stops[0].slice(1);
+  if (tempC <= stops[0][0]) return stops[0].slice(1);
+  for (let i = 1; i < stops.length; i++) {
+    const [t1, top1, bottom1] = stops[i];
+    if (tempC <= t1) {
+      const [t0, top0, bottom0] = stops[i - 1];
+      const f = (tempC - t0) / (t1 - t0);
+      return [mixHex(top0, top1, f), mixHex(bottom0, bottom1, f)];
+    }
+  }
+  return stops[stops.length - 1].slice(1);
+}
+
+// ---- Background gradient based on temp + day/night + condition ----
+function gradientFor(tempC, isDay = true, weatherCondition = null, severeAlert = false) {
+  const group = weatherCondition ? conditionGroup(weatherCondition) : null;
+  const colorsOf = t => {
+    let colors = tempColors(tempC, t.stops);
+    if (!isDay && t.night) colors = t.night;
+    if (group && t.conditions && t.conditions[group]) colors = t.conditions[group];
+    if (severeAlert && t.alert) colors = t.alert;
+    return colors.map(c => new Color(c));
+  };
+
+  const grad = new LinearGradient();
+  const colors = colorsOf(theme);
+  grad.colors = theme.darkVariant
+    ? colorsOf(theme.darkVariant).map((dark, i) => Color.dynamic(colors[i], dark))
+    : colors;
+  grad.locations = [0, 1];
+  return grad;
+}
+
+// ---- Background images ----
+// bg=<file> uses an image from Documents; bg=transparent:<position> uses the crop
+// saved by setupTransparentBackground() for this widget size and position.
+const BACKGROUND_POSITIONS = {
+  small: ["top-left", "top-right", "middle-left", "middle-right", "bottom-left", "bottom-right"],
+  medium: ["top", "middle", "bottom"],
+  large: ["top", "bottom"]
+};
+
+// Home-screen widget frames in screenshot pixels, keyed by screenshot height
+const SCREEN_LAYOUTS = {
+  2796: { small: 510, medium: 1092, large: 1146, left: 99, right: 681, top: 282, middle: 918, bottom: 1554 },
+  2778: { small: 510, medium: 1092, large: 1146, left: 96, right: 678, top: 246, middle: 882, bottom: 1518 },
+  2688: { small: 507, medium: 1080, large: 1137, left: 81, right: 654, top: 228, middle: 858, bottom: 1488 },
+  2556: { small: 474, medium: 1014, large: 1062, left: 82, right: 622, top: 270, middle: 858, bottom: 1446 },
+  2532: { small: 474, medium: 1014, large: 1062, left: 78, right: 618, top: 231, middle: 819, bottom: 1407 },
+  2436: { small: 465, medium: 987, large: 1035, left: 69, right: 591, top: 213, middle: 783, bottom: 1353 },
+  2340: { small: 436, medium: 936, large: 980, left: 72, right: 570, top: 212, middle: 756, bottom: 1300 },
+  2208: { small: 471, medium: 1044, large: 1071, left: 99, right: 672, top: 114, middle: 696, bottom: 1278 },
+  1792: { small: 338, medium: 720, large: 758, left: 54, right: 436, top: 160, middle: 580, bottom: 1000 },
+  1334: { small: 296, medium: 642, large: 648, left: 54, right: 400, top: 60, middle: 412, bottom: 764 }
+};
+
+function backgroundFile(size, position) {
+  return `google_weather_bg_${size}_${position}.jpg`;
+}
+
+// Crop rect for one widget slot, or null when the screen isn't in SCREEN_LAYOUTS
+function widgetFrame(screenHeight, size, position) {
+  const l = SCREEN_LAYOUTS[Math.round(screenHeight)];
+  if (!l) return null;
+  if (size === "small") {
+    const [row, col] = position.split("-");
+    return new Rect(l[col], l[row], l.small, l.small);
+  }
+  if (size === "medium") return new Rect(l.left, l[position], l.medium, l.small);
+  return new Rect(l.left, position === "top" ? l.top : l.middle, l.medium, l.large);
+}
+
+function backgroundImage(background, family) {
+  const fm = FileManager.local();
+  const m = /^transparent:(.+)$/i.exec(background);
+  const size = isLarge(family) ? "large" : family;
+  const name = m ? backgroundFile(size, m[1].toLowerCase()) : background;
+  const path = fm.joinPath(fm.documentsDirectory(), name);
+  if (!fm.fileExists(path)) {
+    console.warn(`Background ${name} not found; using the theme gradient`);
+    return null;
+  }
+  return fm.readImage(path);
+}
+
+// Widget background: the `bg=` image when there is one, else the theme gradient.
+// look: { tempC, isDay, condition, severeAlert }
+function applyBackground(w, cfg, family, look) {
+  const img = cfg.background ? backgroundImage(cfg.background, family) : null;
+  if (img) w.backgroundImage = img;
+  else w.backgroundGradient = gradientFor(look.tempC, look.isDay, look.condition, look.severeAlert);
+}
+
+// In-app: crop a home-screen screenshot into google_weather_bg_<size>_<position>.jpg
+async function setupTransparentBackground() {
+  const intro = new Alert();
+  intro.title = tr("transparentAction");
+  intro.message = tr("transparentIntro");
+  intro.addAction(tr("ok"));
+  intro.addCancelAction(tr("cancel"));
+  if (await intro.presentAlert() === -1) return null;
+
+  const img = await Photos.fromLibrary();
+  const height = img.size.height;
+  if (!SCREEN_LAYOUTS[Math.round(height)]) {
+    throw new Error(tr("transparentUnsupported", { size: `${img.size.width}×${height}` }));
+  }
+
+  const sizes = Object.keys(BACKGROUND_POSITIONS);
+  const sizeSheet = new Alert();
+  sizeSheet.title = tr("transparentSize");
+  sizes.forEach(s => sizeSheet.addAction(s));
+  sizeSheet.addCancelAction(tr("cancel"));
+  const si = await sizeSheet.presentSheet();
+  if (si < 0) return null;
+  const size = sizes[si];
+
+  const positions = BACKGROUND_POSITIONS[size];
+  const posSheet = new Alert();
+  posSheet.title = tr("transparentPosition");
+  positions.forEach(p => posSheet.addAction(p));
+  posSheet.addCancelAction(tr("cancel"));
+  const pi = await posSheet.presentSheet();
+  if (pi < 0) return null;
+  const position = positions[pi];
+
+  const frame = widgetFrame(height, size, position);
+  const ctx = new DrawContext();
+  ctx.size = frame.size;
+  ctx.opaque = true;
+  ctx.respectScreenScale = false;
+  ctx.drawImageAtPoint(img, new Point(-frame.x, -frame.y));
+
+  const fm = FileManager.local();
+  fm.writeImage(fm.joinPath(fm.documentsDirectory(), backgroundFile(size, position)), ctx.getImage());
+
+  const done = new Alert();
+  done.title = tr("transparentAction");
+  done.message = tr("transparentSaved", { position });
+  done.addAction(tr("ok"));
+  await done.presentAlert();
+  return position;
+}
+
+// ---- Widget families ----
+// config.widgetFamily → layout. "extraLarge" (iPad) reuses the large layout.
+const FAMILIES = ["small", "medium", "large", "accessoryCircular", "accessoryRectangular", "accessoryInline"];
+
+function isAccessory(family) {
+  return String(family || "").startsWith("accessory");
+}
+
+function isLarge(family) {
+  return family === "large" || family === "extraLarge";
+}
+
+// ---- In-app menu ----
+// Running a script in the app opens this table: widget sizes to preview, the current
+// response in detail (scripts that pass `details`), shared settings, saved locations,
+// the transparent background, the API key and the caches. `report` (e.g. fmtQuota)
+// is shown on top. Resolves to { family, details }; family is null when the menu was
+// closed without a choice.
+async function appMenu(report, { keychainKey = DEFAULT_KEYCHAIN_KEY, details = false } = {}) {
+  const table = new UITable();
+  table.showSeparators = true;
+  let choice = { family: null, details: false };
+
+  const header = title => {
+    const r = new UITableRow();
+    r.isHeader = true;
+    r.addText(title);
+    table.addRow(r);
+  };
+  const row = (title, subtitle, onSelect, dismiss = false) => {
+    const r = new UITableRow();
+    r.addText(title, subtitle);
+    r.dismissOnSelect = dismiss;
+    r.onSelect = onSelect;
+    table.addRow(r);
+  };
+  // Alert-driven actions: errors are shown, then the rows are rebuilt with fresh values
+  const act = (title, run) => async () => {
+    try {
+      await run();
+    } catch (err) {
+      await showMessage(title, err.message || String(err));
+    }
+    render();
+  };
+
+  function render() {
+    table.removeAllRows();
+    header(tr("previewTitle"));
+    if (report) {
+      const r = new UITableRow();
+      r.addText(report).titleFont = Font.systemFont(12);
+      r.height = 24 + 18 * report.split("\n").length;
+      table.addRow(r);
+    }
+    FAMILIES.forEach(f => row(f, null, () => { choice = { family: f, details: false }; }, true));
+    if (details) row(tr("menuDetails"), null, () => { choice = { family: "medium", details: true }; }, true);
+
+    header(tr("menuSettings"));
+    const settings = readSettings();
+    for (const keys of SETTING_KEYS) {
+      const value = keys.map(k => settings[k]).filter(v => v != null).join(", ");
+      row(keys.join(" / "), value || tr("settingDefault"), act(tr("settingNotSaved"), () => editSetting(keys)));
+    }
+    row(tr("savedLocationsAction"), null, act(tr("savedLocations"), manageFavourites));
+    row(tr("transparentAction"), null, act(tr("transparentAction"), setupTransparentBackground));
+
+    header(tr("menuData"));
+    const key = Keychain.contains(keychainKey) ? Keychain.get(keychainKey) : null;
+    row(tr("replaceKey"), maskKey(key), act(tr("replaceKey"), () => askApiKey(keychainKey)));
+    if (key) row(tr("deleteKey"), null, act(tr("deleteKey"), () => deleteApiKey(keychainKey)));
+    row(tr("clearCaches"), null, act(tr("clearCaches"),
+      () => showMessage(tr("clearCaches"), tr("cachesCleared", { n: clearCaches() }))));
+    table.reload();
+  }
+
+  render();
+  await table.present();
+  return choice;
+}
+
+// Label / value table (see Detail views); a one-element row is a section header
+async function presentDetails(title, rows) {
+  const table = new UITable();
+  table.showSeparators = true;
+  const header = text => {
+    const r = new UITableRow();
+    r.isHeader = true;
+    r.addText(text);
+    table.addRow(r);
+  };
+  header(title);
+  for (const [label, value] of rows) {
+    if (value === undefined) { header(label); continue; }
+    if (label == null) {
+      // long text (an alert's description) on a full-width row, about 40 characters a line
+      const r = new UITableRow();
+      r.dismissOnSelect = false;
+      r.height = 16 + 18 * Math.ceil(String(value).length / 40);
+      r.addText(String(value));
+      table.addRow(r);
+      continue;
+    }
+    const r = new UITableRow();
+    r.dismissOnSelect = false;
+    const l = r.addText(label);
+    l.widthWeight = 45;
+    const v = r.addText(String(value));
+    v.widthWeight = 55;
+    v.rightAligned();
+    table.addRow(r);
+  }
+  await table.present();
+}
+
+async function showMessage(title, message) {
+  const a = new Alert();
+  a.title = title;
+  a.message = message;
+  a.addAction(tr("ok"));
+  await a.presentAlert();
+}
+
+// ---- Detail views ----
+// Rows for presentDetails: [label, value], or [title] for a section.
+const pctStr = v => (v != null ? `${Math.round(v)}%` : "—");
+
+// Every field of a currentConditions response, in the preferred units
+function currentDetailRows(data) {
+  const visDist = g(data, "visibility.distance");
+  const visUnit = g(data, "visibility.unit") === "MILES" ? "mi" : "km";
+  const hist = g(data, "currentConditionsHistory");
+  const temp = g(data, "temperature");
+  const change = g(hist, "temperatureChange.degrees");
+  const before = change != null && temp ? { ...temp, degrees: temp.degrees - change } : null;
+  const measured = g(data, "currentTime");
+
+  return [
+    [tr("condition"), String(normalizeConditionText(g(data, "weatherCondition")) || "—")],
+    [tr("temperature"), fmtTemp(temp)],
+    [tr("feels"), fmtTemp(g(data, "feelsLikeTemperature"))],
+    [tr("heatIndex"), fmtTemp(g(data, "heatIndex"))],
+    [tr("windChill"), fmtTemp(g(data, "windChill"))],
+    [tr("dewPoint"), fmtTemp(g(data, "dewPoint"))],
+    [tr("humidity"), pctStr(g(data, "relativeHumidity"))],
+    [tr("pressure"), fmtPressure(g(data, "airPressure.meanSeaLevelMillibars"))],
+    [tr("uv"), g(data, "uvIndex", "—")],
+    [tr("visibility"), visDist != null ? `${Math.round(visDist)} ${visUnit}` : "—"],
+    [tr("clouds"), pctStr(g(data, "cloudCover"))],
+    [tr("storm"), pctStr(g(data, "thunderstormProbability"))],
+    [precipLabel(g(data, "precipitation")), fmtPrecip(g(data, "precipitation"))],
+    [tr("wind"), fmtWind(g(data, "wind"))],
+    [tr("gusts"), fmtSpeed(g(data, "wind.gust"))],
+    [tr("tempChange24h"), fmtTempDelta(temp, before) || "—"],
+    [tr("high24h"), fmtTemp(g(hist, "maxTemperature"))],
+    [tr("low24h"), fmtTemp(g(hist, "minTemperature"))],
+    [tr("precip24h"), fmtPrecipAmount(g(hist, "qpf"))],
+    [tr("measuredAt"), measured ? fmtClock(new Date(measured), g(data, "timeZone.id")) : "—"]
+  ];
+}
+
+// "poniedziałek, 19 października" for a forecast day's displayDate
+function dayTitle(day) {
+  const dd = g(day, "displayDate");
+  if (!dd || !dd.year) return tr("today");
+  return new Date(dd.year, dd.month - 1, dd.day)
+    .toLocaleDateString(localeTag(), { weekday: "long", day: "numeric", month: "long" });
+}
+
+// Rows shared by the daytime and nighttime parts of a day
+function partRows(part) {
+  return [
+    [tr("condition"), String(normalizeConditionText(g(part, "weatherCondition")) || "—")],
+    [precipLabel(g(part, "precipitation")), fmtPrecip(g(part, "precipitation"))],
+    [tr("storm"), pctStr(g(part, "thunderstormProbability"))],
+    [tr("humidity"), pctStr(g(part, "relativeHumidity"))],
+    [tr("clouds"), pctStr(g(part, "cloudCover"))],
+    [tr("wind"), fmtWind(g(part, "wind"))],
+    [tr("gusts"), fmtSpeed(g(part, "wind.gust"))]
+  ];
+}
+
+// Full daytime and nighttime forecast of one day, then its sun and moon
+function dayDetailRows(day, timeZone) {
+  const sun = sunTimes(day);
+  const moon = moonPhase(day);
+  return [
+    [tr("daytime")],
+    [tr("temperature"), fmtTemp(g(day, "maxTemperature"))],
+    [tr("feels"), fmtTemp(g(day, "feelsLikeMaxTemperature"))],
+    ...partRows(g(day, "daytimeForecast")),
+    [tr("uv"), g(day, "daytimeForecast.uvIndex", "—")],
+    [tr("nighttime")],
+    [tr("temperature"), fmtTemp(g(day, "minTemperature"))],
+    [tr("feels"), fmtTemp(g(day, "feelsLikeMinTemperature"))],
+    ...partRows(g(day, "nighttimeForecast")),
+    [tr("sunMoon")],
+    [tr("sunrise"), sun ? fmtClock(sun.sunrise, timeZone) : "—"],
+    [tr("sunset"), sun ? fmtClock(sun.sunset, timeZone) : "—"],
+    [tr("moon"), moon ? moon.label : "—"]
+  ];
+}
+
+// "20:00, poniedziałek" for a forecast hour's displayDateTime
+function hourTitle(hour) {
+  const dt = g(hour, "displayDateTime");
+  if (!dt || dt.hours == null) return "—";
+  const date = new Date(dt.year, dt.month - 1, dt.day);
+  return `${fmtTime(dt.hours, dt.minutes || 0)}, ${date.toLocaleDateString(localeTag(), { weekday: "long" })}`;
+}
+
+function hourDetailRows(hour) {
+  return [
+    [tr("temperature"), fmtTemp(g(hour, "temperature"))],
+    [tr("feels"), fmtTemp(g(hour, "feelsLikeTemperature"))],
+    ...partRows(hour),
+    [tr("dewPoint"), fmtTemp(g(hour, "dewPoint"))],
+    [tr("pressure"), fmtPressure(g(hour, "airPressure.meanSeaLevelMillibars"))],
+    [tr("uv"), g(hour, "uvIndex", "—")]
+  ];
+}
+
+// ---- Tap actions (deep links) ----
+// Tapping a widget (or a day on medium / large) runs the script again in the app with
+// query parameters, e.g. scriptable:///run/Weather?view=day&index=3, and the script
+// shows that detail view. `tap=web` opens WEATHER_PAGE_URL for the location instead.
+// The app run has no widget parameter, so the link carries it (`param`), and the
+// rotation entry on screen (`pin`) as the rotation may have moved on by the tap.
+const TAP_ACTIONS = ["app", "web"];
+const WEATHER_PAGE_URL = "https://weather.com/weather/today/l/{lat},{lon}";
+
+function scriptLink(params) {
+  const query = Object.keys(params)
+    .filter(k => params[k] != null)
+    .map(k => `${encodeURIComponent(k)}=${encodeURIComponent(params[k])}`)
+    .join("&");
+  return `${URLScheme.forRunningScript()}${query ? `?${query}` : ""}`;
+}
+
+// The whole widget: the detail view given by `params`, or the weather page
+function widgetUrl(cfg, loc, params) {
+  if (cfg.tap === "web") {
+    return WEATHER_PAGE_URL
+      .replace("{lat}", loc.latitude.toFixed(4))
+      .replace("{lon}", loc.longitude.toFixed(4));
+  }
+  return scriptLink(linkParams(cfg, params));
+}
+
+// A part of the widget (a day in a row); null with tap=web, where the whole widget
+// opens the page
+function itemUrl(cfg, params) {
+  return cfg.tap === "web" ? null : scriptLink(linkParams(cfg, params));
+}
+
+function linkParams(cfg, params) {
+  return { ...params, param: cfg.param || null, pin: cfg.pin || null };
+}
+
+// The link's query parameters ({ view, index, ... }) when the script was opened
+// from one, otherwise null
+function linkedView() {
+  const q = (typeof args !== "undefined" && args.queryParameters) || {};
+  if (!q.view) return null;
+  const index = Number(q.index);
+  return { ...q, view: String(q.view), index: Number.isInteger(index) && index >= 0 ? index : 0 };
+}
+
+async function presentWidget(w, family) {
+  switch (family) {
+    case "small": return w.presentSmall();
+    case "large":
+    case "extraLarge": return w.presentLarge();
+    case "accessoryCircular":
+      return typeof w.presentAccessoryCircular === "function" ? w.presentAccessoryCircular() : w.presentSmall();
+    case "accessoryRectangular":
+      return typeof w.presentAccessoryRectangular === "function" ? w.presentAccessoryRectangular() : w.presentSmall();
+    case "accessoryInline":
+      return typeof w.presentAccessoryInline === "function" ? w.presentAccessoryInline() : w.presentSmall();
+    default: return w.presentMedium();
+  }
+}
+
+// ---- Shortcuts (Siri and the Shortcuts app) ----
+// Run from Shortcuts, a script skips the widget and hands a dictionary to
+// Script.setShortcutOutput:
+//   { summary, location, units, updated, stale, current | forecast | hours }
+// `summary` is one sentence for Siri to speak; the rest holds plain numbers in the
+// display units. The input (args.shortcutParameter) is widget-parameter text
+// ("loc=Home;units=IMPERIAL;data=forecast") or a dictionary with the same keys.
+// `location` takes a saved location's name or "lat,lon"; `data` picks current
+// conditions or the forecast where a script has both.
+const SHORTCUT_DATA = ["current", "forecast"];
+const round1 = v => (v == null ? null : Math.round(v * 10) / 10);
+
+// { param, data }: the input as a widget parameter, and the data asked for
+// (`supported[0]` unless given). Throws for data this script doesn't return.
+function shortcutInput(supported) {
+  const input = (typeof args !== "undefined" && args.shortcutParameter) || "";
+  const entries = typeof input === "object"
+    ? Object.entries(input)
+    : String(input).split(";").filter(p => p.trim()).map(p => {
+      const eq = p.indexOf("=");
+      // a bare word is the data or a location: "forecast", "Home"
+      if (eq < 0) return [SHORTCUT_DATA.includes(p.trim().toLowerCase()) ? "data" : "location", p];
+      return [p.slice(0, eq), p.slice(eq + 1)];
+    });
+
+  let data = supported[0];
+  const parts = [];
+  for (const [key, value] of entries) {
+    const k = String(key).trim().toLowerCase();
+    const v = String(value ?? "").trim();
+    if (k === "data") {
+      data = v.toLowerCase();
+      if (!supported.includes(data)) throw new Error(`data must be ${supported.join(" or ")} for this script`);
+    } else if (k === "location") {
+      const m = v.match(/^(-?\d+(?:\.\d+)?)\s*,\s*(-?\d+(?:\.\d+)?)$/);
+      parts.push(m ? `lat=${m[1]};lon=${m[2]}` : `loc=${v}`);
+    } else {
+      parts.push(`${k}=${v}`);
+    }
+  }
+  return { param: parts.join(";"), data };
+}
+
+// Condition text in the middle of a sentence ("cloudy"); German keeps its capitals
+function inSentence(text) {
+  const s = String(text || "—");
+  return language.toLowerCase().startsWith("de") ? s : s.charAt(0).toLocaleLowerCase(localeTag()) + s.slice(1);
+}
+
+function precipOutput(precip) {
+  return {
+    chance: g(precip, "probability.percent"),
+    type: g(precip, "probability.type"),
+    amount: round1(convertPrecip(g(precip, "qpf")))
+  };
+}
+
+function windOutput(wind) {
+  return {
+    speed: round1(convertSpeed(g(wind, "speed"))),
+    gust: round1(convertSpeed(g(wind, "gust"))),
+    direction: degToDir(g(wind, "direction.degrees")) || null
+  };
+}
+
+function currentOutput(data) {
+  return {
+    time: g(data, "currentTime"),
+    condition: normalizeConditionText(g(data, "weatherCondition")),
+    isDaytime: g(data, "isDaytime"),
+    temperature: round1(convertTemp(g(data, "temperature"))),
+    feelsLike: round1(convertTemp(g(data, "feelsLikeTemperature"))),
+    dewPoint: round1(convertTemp(g(data, "dewPoint"))),
+    humidity: g(data, "relativeHumidity"),
+    pressure: Math.round(convertPressure(g(data, "airPressure.meanSeaLevelMillibars")) * 100) / 100 || null,
+    uvIndex: g(data, "uvIndex"),
+    cloudCover: g(data, "cloudCover"),
+    precipitation: precipOutput(g(data, "precipitation")),
+    wind: windOutput(g(data, "wind"))
+  };
+}
+
+function dayOutput(day) {
+  return {
+    date: dateKey(g(day, "displayDate")),
+    condition: normalizeConditionText(dayCondition(day)),
+    high: round1(convertTemp(g(day, "maxTemperature"))),
+    low: round1(convertTemp(g(day, "minTemperature"))),
+    precipitation: precipOutput(dayPrecipitation(day)),
+    wind: windOutput(g(day, "daytimeForecast.wind")),
+    uvIndex: g(day, "daytimeForecast.uvIndex"),
+    sunrise: g(day, "sunEvents.sunriseTime"),
+    sunset: g(day, "sunEvents.sunsetTime")
+  };
+}
+
+function hourOutput(hour) {
+  return {
+    time: g(hour, "interval.startTime"),
+    condition: normalizeConditionText(g(hour, "weatherCondition")),
+    isDaytime: g(hour, "isDaytime"),
+    temperature: round1(convertTemp(g(hour, "temperature"))),
+    feelsLike: round1(convertTemp(g(hour, "feelsLikeTemperature"))),
+    precipitation: precipOutput(g(hour, "precipitation")),
+    wind: windOutput(g(hour, "wind"))
+  };
+}
+
+// "12° and cloudy in Kraków, feels like 9°, wind 15 km/h NW"
+function currentSummary(data, placeName) {
+  return tr("summaryCurrent", {
+    place: placeName || tr("currentLocation"),
+    temp: fmtTempCompact(g(data, "temperature")),
+    cond: inSentence(normalizeConditionText(g(data, "weatherCondition"))),
+    feels: fmtTempCompact(g(data, "feelsLikeTemperature")),
+    wind: fmtWind(g(data, "wind"))
+  });
+}
+
+// Today's forecast: condition, high / low and chance of rain or snow
+function daySummary(day, placeName) {
+  return tr("summaryDay", {
+    place: placeName || tr("currentLocation"),
+    cond: inSentence(normalizeConditionText(dayCondition(day))),
+    hi: fmtTempCompact(g(day, "maxTemperature")),
+    lo: fmtTempCompact(g(day, "minTemperature")),
+    pct: pctStr(g(dayPrecipitation(day), "probability.percent"))
+  });
+}
+
+// The coming hours: temperature range, the condition now and the highest chance of rain or snow
+function hoursSummary(hours, placeName) {
+  const temps = hours.filter(h => parseTempC(g(h, "temperature")) != null).map(h => g(h, "temperature"));
+  temps.sort((a, b) => parseTempC(a) - parseTempC(b));
+  const pcts = hours.map(h => g(h, "precipitation.probability.percent")).filter(v => v != null);
+  return tr("summaryHours", {
+    place: placeName || tr("currentLocation"),
+    n: hours.length,
+    lo: fmtTempCompact(temps[0]),
+    hi: fmtTempCompact(temps[temps.length - 1]),
+    cond: inSentence(normalizeConditionText(g(hours[0], "weatherCondition"))),
+    pct: pctStr(pcts.length ? Math.max(...pcts) : null)
+  });
+}
+
+// The dictionary for Script.setShortcutOutput; `data` is { current }, { forecast } or { hours }.
+// meta: { timestamp, stale, location } as for the widget header
+function shortcutOutput(summary, placeName, meta, data) {
+  const loc = meta.location || {};
+  return {
+    summary,
+    location: { name: placeName || null, latitude: loc.latitude ?? null, longitude: loc.longitude ?? null },
+    units: { ...units },
+    updated: meta.timestamp ? new Date(meta.timestamp).toISOString() : null,
+    stale: !!meta.stale,
+    ...data
+  };
+}
+
+// What Shortcuts gets instead of the error widget
+function shortcutError(title, err) {
+  const message = err && err.message ? err.message : String(err);
+  return { summary: `${title}: ${message}`, error: message };
+}
+
+// ---- Script runner ----
+// The run every widget script shares, from the config to the widget. Only the
+// data and what is drawn from it differ, so each script passes its steps:
+//   fetch(ctx)          → the script's data; throws when there is nothing to show
+//   facts(data, ctx)    → notification rule values from fresh data, or null
+//   shortcut(data, ctx) → the dictionary handed back to Shortcuts
+//   details(data, ctx)  → presents the detail view ctx.view opened from a tap
+//   widget(data, ctx)   → the ListWidget
+// ctx is { cfg, apiKey, loc, family, view, shortcut, placeName, alerts }.
+// spec.views lists the linked views the script shows itself ("alerts" is shown
+// here); spec.menuDetails the view opened by the menu's detail row, if it has one.
+async function runWidgetScript(spec) {
+  // CONFIG constants < shared settings (in-app menu) < widget parameter
+  const loadConfig = param => {
+    const c = applyQuotaBudget(parseWidgetParameter(param, applySettings(spec.defaults), spec.extraKeys));
+    setLanguage(c.language);
+    setUnits(c.units);
+    return { ...c, param: param || null };  // for tap links
+  };
+
+  let family = config.runsInWidget ? (config.widgetFamily || "medium") : null;
+  setLanguage(spec.defaults.language);
+  try {
+    // From Shortcuts: no widget, the data goes back as the shortcut's output
+    const shortcut = config.runsWithSiri ? shortcutInput(spec.shortcutData) : null;
+    // Opened from a tap: show what was tapped, with the tapped widget's parameter
+    const link = config.runsInWidget || shortcut ? null : linkedView();
+    let cfg = loadConfig(shortcut ? shortcut.param : link ? link.param : args.widgetParameter);
+    let view = link && (link.view === "alerts" || (spec.views || []).includes(link.view)) ? link : null;
+    if (shortcut || view) {
+      family = "medium";
+    } else if (!config.runsInWidget) {
+      const choice = await appMenu(fmtQuota(cfg.quota), { keychainKey: spec.keychainKey, details: !!spec.menuDetails });
+      if (!choice.family) return;  // menu closed
+      family = choice.family;
+      if (choice.details) view = { view: spec.menuDetails, index: 0 };
+      cfg = loadConfig(args.widgetParameter);  // the menu may have changed the settings
+    }
+    setTheme(isAccessory(family) ? "classic" : cfg.theme);
+    cfg = selectFavourite(cfg, link && link.pin);
+
+    const apiKey = await getApiKey(spec.keychainKey);
+    const loc = await getLocation(cfg);
+    if (view && view.view === "alerts") {
+      await showAlerts(cfg, apiKey, loc);
+      return;
+    }
+
+    const ctx = { cfg, apiKey, loc, family, view, shortcut };
+    const data = await spec.fetch(ctx);
+    ctx.placeName = placeNameFor(cfg, loc);
+    const facts = spec.facts(data, ctx);
+    if (facts) await notifyRules(facts, loc, ctx.placeName);
+
+    if (shortcut) {
+      Script.setShortcutOutput(spec.shortcut(data, ctx));
+    } else if (view) {
+      await spec.details(data, ctx);
+    } else {
+      ctx.alerts = isAccessory(family) ? [] : await fetchAlerts(cfg, apiKey, loc);
+      const widget = await spec.widget(data, ctx);
+      if (!config.runsInWidget) await presentWidget(widget, family);
+      else Script.setWidget(widget);
+    }
+  } catch (err) {
+    if (config.runsWithSiri) {
+      Script.setShortcutOutput(shortcutError(tr(spec.errorTitle), err));
+    } else {
+      // Fallback error widget, sized for the family we were asked for
+      const w = buildErrorWidget(tr(spec.errorTitle), err, family || "small", spec.errorRefreshMin);
+      if (!config.runsInWidget) await presentWidget(w, family || "small");
+      else Script.setWidget(w);
+    }
+  } finally {
+    Script.complete();
+  }
+}
+
+// ---- Layout helpers ----
+function addSymbol(stack, symName, size) {
+  const img = stack.addImage(SFSymbol.named(symName).image);
+  img.imageSize = new Size(size, size);
+  img.tintColor = themeColor("text");
+  return img;
+}
+
+const STALE_COLOR = "#ffcc00";
+
+// Header "Updated …" text; stale fallback data gets a warning badge in front
+function addUpdated(stack, meta, fontSize = 11) {
+  if (meta && meta.stale) {
+    const badge = addSymbol(stack, "exclamationmark.arrow.circlepath", fontSize);
+    badge.tintColor = new Color(STALE_COLOR);
+    stack.addSpacer(3);
+  }
+  const t = stack.addText(fmtUpdated(meta && meta.timestamp));
+  t.font = Font.regularSystemFont(fontSize);
+  t.textColor = meta && meta.stale ? new Color(STALE_COLOR) : themeColor("updated");
+  t.lineLimit = 1;
+  return t;
+}
+
+// HEADER: place name | Updated HH:MM
+function addHeader(w, placeName, meta) {
+  const header = w.addStack();
+  header.layoutHorizontally();
+  header.centerAlignContent();
+
+  addPlaceName(header, placeName, meta, 13);
+
+  header.addSpacer();
+  addUpdated(header, meta);
+  return header;
+}
+
+// Place name text; a last-known (fallback) location gets a badge in front
+function addPlaceName(container, placeName, meta, fontSize) {
+  let stack = container;
+  if (meta && meta.location && meta.location.fallback) {
+    stack = container.addStack();
+    stack.layoutHorizontally();
+    stack.centerAlignContent();
+    const badge = addSymbol(stack, "location.slash", fontSize - 1);
+    badge.tintColor = new Color(STALE_COLOR);
+    stack.addSpacer(3);
+  }
+  const t = stack.addText(placeName);
+  t.font = Font.mediumSystemFont(fontSize);
+  t.textColor = themeColor("text");
+  t.lineLimit = 1;
+  return t;
+}
+
+// ---- Error widget (per family) ----
+function buildErrorWidget(title, err, family, refreshMin) {
+  const w = new ListWidget();
+  w.refreshAfterDate = new Date(Date.now() + refreshMin * 60 * 1000);
+
+  if (family === "accessoryInline") {
+    w.addText(`⚠︎ ${title}`);
+    return w;
+  }
+  if (family === "accessoryCircular") {
+    w.addAccessoryWidgetBackground = true;
+    addSymbol(w, "exclamationmark.triangle", 22);
+    return w;
+  }
+  if (family === "accessoryRectangular") {
+    const t = w.addText(title);
+    t.font = Font.semiboldSystemFont(12);
+    const m = w.addText(String(err));
+    m.font = Font.systemFont(11);
+    m.lineLimit = 2;
+    return w;
+  }
+
+  w.setPadding(16, 16, 16, 16);
+  const t = w.addText(title);
+  t.font = Font.boldSystemFont(16);
+  t.textColor = Color.red();
+  w.addSpacer(6);
+  const m = w.addText(String(err));
+  m.font = Font.systemFont(12);
+  m.textColor = Color.white();
+  return w;
+}
+
+module.exports = {
+  STRINGS,
+  setLanguage,
+  tr,
+  fmtNumber,
+  fmtWeekday,
+  fmtTime,
+  fmtClock,
+  WEATHER_API,
+  AIR_QUALITY_API,
+  POLLEN_API,
+  DEFAULT_KEYCHAIN_KEY,
+  FAMILIES,
+  g,
+  parseWidgetParameter,
+  SETTING_KEYS,
+  readSettings,
+  applySettings,
+  editSetting,
+  hashString,
+  getApiKey,
+  askApiKey,
+  deleteApiKey,
+  maskKey,
+  getLocation,
+  readLastLocation,
+  readFavourites,
+  selectFavourite,
+  manageFavourites,
+  distanceKm,
+  placeNameFor,
+  locationKey,
+  cachePathFor,
+  readCache,
+  writeCache,
+  cachedFetch,
+  ownCacheConfig,
+  placeCacheConfig,
+  clearCaches,
+  fmtUpdated,
+  weatherUrl,
+  loadJSON,
+  apiError,
+  withApiKey,
+  readQuota,
+  recordApiCall,
+  quotaStatus,
+  applyQuotaBudget,
+  fmtQuota,
+  normalizeConditionText,
+  getConditionType,
+  UNIT_CHOICES,
+  setUnits,
+  convertTemp,
+  fmtTemp,
+  fmtTempCompact,
+  parseTempC,
+  fmtWind,
+  fmtSpeed,
+  convertSpeed,
+  convertPrecip,
+  convertPressure,
+  fmtPrecipAmount,
+  dayPrecipitation,
+  weekdayLabel,
+  dayCondition,
+  isDaytimeNow,
+  precipLabel,
+  fmtPrecip,
+  needsUmbrella,
+  fmtPressure,
+  sunTimes,
+  nextSunEvent,
+  refreshDate,
+  dayLength,
+  fmtDayLength,
+  moonPhase,
+  minutesSinceMidnight,
+  yesterdayTemps,
+  fmtTempDelta,
+  readRules,
+  quietEnd,
+  weatherFacts,
+  notifyRules,
+  activeAlerts,
+  hasSevereAlert,
+  alertHeadline,
+  fetchAlerts,
+  addAlertBanner,
+  showAlerts,
+  fetchAirQuality,
+  fetchPollen,
+  pollenToday,
+  apiColor,
+  airSlots,
+  DETAIL_SLOTS,
+  degToDir,
+  CONDITION_SYMBOLS,
+  pickSymbol,
+  chartSize,
+  chartSlotsFromDays,
+  upcomingHours,
+  chartSlotsFromHours,
+  drawChart,
+  addChart,
+  THEMES,
+  setTheme,
+  themeColor,
+  conditionGroup,
+  tempColors,
+  gradientFor,
+  BACKGROUND_POSITIONS,
+  widgetFrame,
+  applyBackground,
+  setupTransparentBackground,
+  isAccessory,
+  isLarge,
+  appMenu,
+  presentDetails,
+  showMessage,
+  currentDetailRows,
+  dayTitle,
+  dayDetailRows,
+  hourTitle,
+  hourDetailRows,
+  scriptLink,
+  widgetUrl,
+  itemUrl,
+  linkedView,
+  shortcutInput,
+  currentOutput,
+  dayOutput,
+  hourOutput,
+  currentSummary,
+  daySummary,
+  hoursSummary,
+  shortcutOutput,
+  shortcutError,
+  runWidgetScript,
+  presentWidget,
+  addSymbol,
+  addUpdated,
+  addPlaceName,
+  addHeader,
+  buildErrorWidget
+};